@@ -0,0 +1,104 @@
+// Scripted conversations for the mock Voice Live server.
+// Each turn is consumed when the user finishes speaking (server VAD) or
+// commits the input buffer manually. A turn may:
+//   - transcript: what the "user" said (sent as the input transcription)
+//   - toolCalls:  function calls the "assistant" makes before replying
+//   - reply:      the assistant's spoken answer (after tool outputs, if any)
+//   - error:      an error event to emit instead of a response
+
+export const scenarios = {
+  'car-basics': {
+    description: 'Lights, windows, climate and a status check',
+    responseDelayMs: 400,
+    turns: [
+      {
+        transcript: 'Turn on the headlights.',
+        toolCalls: [{ name: 'control_headlights', arguments: { state: 'on' } }],
+        reply: 'Headlights are on.'
+      },
+      {
+        transcript: 'Open the driver window.',
+        toolCalls: [{ name: 'control_windows', arguments: { position: 'driver', action: 'open' } }],
+        reply: 'The driver window is open.'
+      },
+      {
+        transcript: 'Set the temperature to 21 degrees.',
+        toolCalls: [{ name: 'set_temperature', arguments: { temperature: 21 } }],
+        reply: 'Cabin temperature set to 21 degrees.'
+      },
+      {
+        transcript: "What's the vehicle status?",
+        toolCalls: [{ name: 'get_vehicle_status', arguments: {} }],
+        reply: 'Everything looks good. The battery is healthy and the driver window is open.'
+      }
+    ]
+  },
+
+  'media-and-navigation': {
+    description: 'Media playback, volume and navigation',
+    responseDelayMs: 500,
+    turns: [
+      {
+        transcript: 'Play some jazz.',
+        toolCalls: [{ name: 'play_music', arguments: { content: 'Jazz' } }],
+        reply: 'Playing some jazz for you.'
+      },
+      {
+        transcript: 'Turn the volume down to 40.',
+        toolCalls: [{ name: 'set_media_volume', arguments: { volume: 40 } }],
+        reply: 'Volume is at 40 percent.'
+      },
+      {
+        transcript: 'Navigate to Seattle Center.',
+        toolCalls: [{ name: 'start_navigation', arguments: { destination: 'Seattle Center' } }],
+        reply: 'Starting navigation to Seattle Center.'
+      },
+      {
+        transcript: 'Cancel the navigation.',
+        toolCalls: [{ name: 'stop_navigation', arguments: {} }],
+        reply: 'Navigation stopped.'
+      }
+    ]
+  },
+
+  'small-talk': {
+    description: 'Plain voice turns without tool calls',
+    responseDelayMs: 300,
+    turns: [
+      { transcript: 'Hello there.', reply: 'Hi! How can I help you on the road today?' },
+      { transcript: 'Tell me a short joke.', reply: 'Why did the car get a flat tire? There was a fork in the road.' },
+      { transcript: 'Thanks, that is all.', reply: 'You are welcome. Drive safely!' }
+    ]
+  },
+
+  confirmation: {
+    description: 'Actions held by the safety policy until the driver confirms',
+    responseDelayMs: 400,
+    turns: [
+      {
+        transcript: 'Open all the windows.',
+        toolCalls: [{ name: 'control_windows', arguments: { position: 'all', action: 'open' } }],
+        reply: 'Are you sure you want to open every window?'
+      },
+      { transcript: 'Yes, go ahead.', reply: 'Okay, opening all the windows.' },
+      {
+        transcript: 'Set the temperature to 29 degrees.',
+        toolCalls: [{ name: 'set_temperature', arguments: { temperature: 29 } }],
+        reply: 'That is a big change. Are you sure?'
+      },
+      { transcript: 'No, leave it.', reply: 'Alright, I will keep the current temperature.' }
+    ]
+  },
+
+  errors: {
+    description: 'Error events interleaved with normal turns',
+    responseDelayMs: 300,
+    turns: [
+      { transcript: 'What time is it?', toolCalls: [{ name: 'get_current_time', arguments: { timezone: 'local' } }], reply: 'Here is the current time.' },
+      { error: { type: 'server_error', code: 'rate_limit_exceeded', message: 'Mock rate limit exceeded, please retry.' } },
+      { transcript: 'Try again please.', reply: 'Sure, I am back.' }
+    ]
+  }
+};
+
+export const DEFAULT_SCENARIO = 'car-basics';
@@ -0,0 +1,440 @@
+// Local stand-in for the Azure Voice Live realtime endpoint.
+// Speaks the same event protocol the app consumes so the whole UI, tool
+// calls included, can be driven without a network connection.
+//
+// Usage:
+//   npm run mock-server -- --port 8080 --scenario car-basics
+// Then set the Endpoint field to ws://localhost:8080 (any API key works).
+// A scenario can also be picked per connection: ws://localhost:8080/?scenario=errors
+
+import { WebSocketServer } from 'ws';
+import { scenarios, DEFAULT_SCENARIO } from './scenarios.js';
+
+const SAMPLE_RATE = 24000;
+const AUDIO_CHUNK_MS = 100;
+const WORD_DURATION_MS = 250;
+const SPEECH_RMS_THRESHOLD = 0.02;
+
+const parseArgs = (argv) => {
+  const options = { port: Number(process.env.PORT) || 8080, scenario: DEFAULT_SCENARIO, realtimeFactor: 2 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = Number(argv[++i]);
+    else if (arg === '--scenario') options.scenario = argv[++i];
+    else if (arg === '--speed') options.realtimeFactor = Number(argv[++i]);
+    else if (arg === '--list') options.list = true;
+  }
+  return options;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const estimateTextTokens = (text) => Math.max(1, Math.ceil((text || '').split(/\s+/).filter(Boolean).length * 1.3));
+
+// Synthesises a soft tone per word so playback is audible and has the right duration
+const synthesizeSpeech = (text) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  const samplesPerWord = Math.round(SAMPLE_RATE * WORD_DURATION_MS / 1000);
+  const pcm16 = new Int16Array(Math.max(1, words.length) * samplesPerWord);
+  words.forEach((word, w) => {
+    const frequency = 180 + (word.length % 6) * 30;
+    for (let i = 0; i < samplesPerWord; i++) {
+      const envelope = Math.sin(Math.PI * i / samplesPerWord);
+      const sample = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * envelope * 0.2;
+      pcm16[w * samplesPerWord + i] = Math.round(sample * 0x7FFF);
+    }
+  });
+  return pcm16;
+};
+
+const pcm16Rms = (buffer) => {
+  const samples = new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.byteLength / 2));
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i] / 0x8000;
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples.length);
+};
+
+class MockSession {
+  constructor(ws, scenarioName, options) {
+    this.ws = ws;
+    this.options = options;
+    this.scenarioName = scenarios[scenarioName] ? scenarioName : DEFAULT_SCENARIO;
+    this.scenario = scenarios[this.scenarioName];
+    this.turnIndex = 0;
+    this.idCounter = 0;
+    this.session = {
+      id: this.nextId('sess'),
+      object: 'realtime.session',
+      model: 'mock-voice-live',
+      modalities: ['text', 'audio'],
+      voice: { name: 'alloy', type: 'openai' },
+      input_audio_format: 'pcm16',
+      output_audio_format: 'pcm16',
+      turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500 },
+      tools: []
+    };
+
+    // Input audio buffer state
+    this.bufferMs = 0;
+    this.audioPositionMs = 0;
+    this.speaking = false;
+    this.silenceMs = 0;
+    this.speechItemId = null;
+    this.lastItemId = null;
+
+    // Response state
+    this.activeResponse = null;
+    this.queuedTurn = null;
+    this.pendingReply = null;
+    this.pendingCallIds = new Set();
+    this.lastUserText = null;
+  }
+
+  nextId(prefix) {
+    this.idCounter += 1;
+    return `${prefix}_mock${String(this.idCounter).padStart(6, '0')}`;
+  }
+
+  send(event) {
+    if (this.ws.readyState !== this.ws.OPEN) return;
+    this.ws.send(JSON.stringify({ event_id: this.nextId('event'), ...event }));
+  }
+
+  start() {
+    this.send({ type: 'session.created', session: this.session });
+    console.log(`[mock] session started with scenario "${this.scenarioName}"`);
+  }
+
+  handle(message) {
+    switch (message.type) {
+      case 'session.update':
+        this.session = { ...this.session, ...message.session };
+        this.send({ type: 'session.updated', session: this.session });
+        break;
+      case 'input_audio_buffer.append':
+        this.appendAudio(message.audio);
+        break;
+      case 'input_audio_buffer.commit':
+        this.commitBuffer();
+        break;
+      case 'input_audio_buffer.clear':
+        this.bufferMs = 0;
+        this.speaking = false;
+        this.send({ type: 'input_audio_buffer.cleared' });
+        break;
+      case 'conversation.item.create':
+        this.createItem(message.item);
+        break;
+      case 'conversation.item.truncate':
+        this.send({
+          type: 'conversation.item.truncated',
+          item_id: message.item_id,
+          content_index: message.content_index || 0,
+          audio_end_ms: message.audio_end_ms
+        });
+        break;
+      case 'response.create':
+        this.createResponse();
+        break;
+      case 'response.cancel':
+        this.cancelResponse();
+        break;
+      default:
+        this.sendError('invalid_request_error', `Unsupported event type: ${message.type}`);
+    }
+  }
+
+  sendError(type, message, code = null) {
+    this.send({ type: 'error', error: { type, code, message } });
+  }
+
+  get vadEnabled() {
+    return this.session.turn_detection && this.session.turn_detection.type === 'server_vad';
+  }
+
+  appendAudio(base64Audio) {
+    const chunk = Buffer.from(base64Audio || '', 'base64');
+    const chunkMs = (chunk.byteLength / 2) / SAMPLE_RATE * 1000;
+    this.bufferMs += chunkMs;
+    this.audioPositionMs += chunkMs;
+
+    if (!this.vadEnabled) return;
+
+    const voiced = pcm16Rms(chunk) > SPEECH_RMS_THRESHOLD;
+    if (voiced && !this.speaking) {
+      this.speaking = true;
+      this.silenceMs = 0;
+      this.speechItemId = this.nextId('item');
+      const prefixMs = this.session.turn_detection.prefix_padding_ms || 0;
+      this.send({
+        type: 'input_audio_buffer.speech_started',
+        audio_start_ms: Math.max(0, Math.round(this.audioPositionMs - chunkMs - prefixMs)),
+        item_id: this.speechItemId
+      });
+      if (this.activeResponse) this.cancelResponse();
+    } else if (this.speaking) {
+      this.silenceMs = voiced ? 0 : this.silenceMs + chunkMs;
+      const silenceDuration = this.session.turn_detection.silence_duration_ms || 500;
+      if (this.silenceMs >= silenceDuration) {
+        this.speaking = false;
+        this.send({
+          type: 'input_audio_buffer.speech_stopped',
+          audio_end_ms: Math.round(this.audioPositionMs - this.silenceMs),
+          item_id: this.speechItemId
+        });
+        this.commitBuffer(this.speechItemId);
+        if (this.session.turn_detection.create_response !== false) {
+          this.createResponse();
+        }
+      }
+    }
+  }
+
+  commitBuffer(itemId = this.nextId('item')) {
+    const turn = this.scenario.turns[this.turnIndex % this.scenario.turns.length];
+    this.turnIndex += 1;
+    const audioMs = this.bufferMs;
+    this.bufferMs = 0;
+
+    this.send({ type: 'input_audio_buffer.committed', previous_item_id: this.lastItemId, item_id: itemId });
+    this.send({
+      type: 'conversation.item.created',
+      previous_item_id: this.lastItemId,
+      item: { id: itemId, object: 'realtime.item', type: 'message', status: 'completed', role: 'user', content: [{ type: 'input_audio', transcript: null }] }
+    });
+    this.lastItemId = itemId;
+    this.queuedTurn = { ...turn, inputAudioMs: audioMs };
+
+    if (turn.transcript) {
+      this.lastUserText = turn.transcript;
+      setTimeout(() => {
+        this.send({
+          type: 'conversation.item.input_audio_transcription.completed',
+          item_id: itemId,
+          content_index: 0,
+          transcript: turn.transcript
+        });
+      }, 150);
+    }
+  }
+
+  createItem(item = {}) {
+    const id = item.id || this.nextId('item');
+    this.send({ type: 'conversation.item.created', previous_item_id: this.lastItemId, item: { ...item, id, status: 'completed' } });
+    this.lastItemId = id;
+
+    if (item.type === 'function_call_output') {
+      this.pendingCallIds.delete(item.call_id);
+    } else if (item.type === 'message' && item.role !== 'assistant') {
+      const text = (item.content || []).map(part => part.text).filter(Boolean).join(' ');
+      if (text) this.lastUserText = text;
+    }
+  }
+
+  createResponse() {
+    if (this.activeResponse) {
+      this.sendError('invalid_request_error', 'Conversation already has an active response', 'conversation_already_has_active_response');
+      return;
+    }
+
+    if (this.queuedTurn) {
+      const turn = this.queuedTurn;
+      this.queuedTurn = null;
+      if (turn.error) {
+        this.send({ type: 'error', error: { code: null, ...turn.error } });
+        return;
+      }
+      this.runResponse({ toolCalls: turn.toolCalls || [], reply: turn.reply, inputAudioMs: turn.inputAudioMs });
+      return;
+    }
+
+    if (this.pendingReply && this.pendingCallIds.size === 0) {
+      const reply = this.pendingReply;
+      this.pendingReply = null;
+      this.runResponse({ toolCalls: [], reply, inputAudioMs: 0 });
+      return;
+    }
+
+    const fallback = this.lastUserText ? `You said: ${this.lastUserText}` : 'This is the mock Voice Live server.';
+    this.runResponse({ toolCalls: [], reply: fallback, inputAudioMs: 0 });
+  }
+
+  cancelResponse() {
+    if (!this.activeResponse) return;
+    this.activeResponse.cancelled = true;
+  }
+
+  async runResponse({ toolCalls, reply, inputAudioMs }) {
+    const response = { id: this.nextId('resp'), object: 'realtime.response', status: 'in_progress', output: [], cancelled: false };
+    this.activeResponse = response;
+    const publicResponse = () => ({ id: response.id, object: response.object, status: response.status, output: response.output });
+
+    this.send({ type: 'response.created', response: publicResponse() });
+    await sleep(this.scenario.responseDelayMs || 0);
+
+    let outputTextTokens = 0;
+    let outputAudioMs = 0;
+
+    if (toolCalls.length > 0) {
+      toolCalls.forEach((call, outputIndex) => {
+        if (response.cancelled) return;
+        const item = {
+          id: this.nextId('item'),
+          object: 'realtime.item',
+          type: 'function_call',
+          status: 'completed',
+          name: call.name,
+          call_id: this.nextId('call'),
+          arguments: JSON.stringify(call.arguments)
+        };
+        response.output.push(item);
+        this.pendingCallIds.add(item.call_id);
+        this.send({ type: 'response.output_item.added', response_id: response.id, output_index: outputIndex, item: { ...item, arguments: '' } });
+        this.send({ type: 'conversation.item.created', previous_item_id: this.lastItemId, item: { ...item, arguments: '' } });
+        this.lastItemId = item.id;
+        this.send({ type: 'response.function_call_arguments.delta', response_id: response.id, item_id: item.id, output_index: outputIndex, call_id: item.call_id, delta: item.arguments });
+        this.send({ type: 'response.function_call_arguments.done', response_id: response.id, item_id: item.id, output_index: outputIndex, call_id: item.call_id, name: item.name, arguments: item.arguments });
+        this.send({ type: 'response.output_item.done', response_id: response.id, output_index: outputIndex, item });
+        outputTextTokens += estimateTextTokens(item.arguments);
+      });
+      this.pendingReply = reply || null;
+    } else if (reply) {
+      const result = await this.streamReply(response, reply);
+      outputTextTokens += result.textTokens;
+      outputAudioMs += result.audioMs;
+    }
+
+    response.status = response.cancelled ? 'cancelled' : 'completed';
+    const inputTextTokens = estimateTextTokens(this.session.instructions) + 20 * this.turnIndex;
+    const inputAudioTokens = Math.round(inputAudioMs / 100);
+    const outputAudioTokens = Math.round(outputAudioMs / 50);
+    const cachedTokens = this.turnIndex > 1 ? Math.floor(inputTextTokens * 0.6) : 0;
+
+    this.send({
+      type: 'response.done',
+      response: {
+        ...publicResponse(),
+        usage: {
+          total_tokens: inputTextTokens + inputAudioTokens + outputTextTokens + outputAudioTokens,
+          input_tokens: inputTextTokens + inputAudioTokens,
+          output_tokens: outputTextTokens + outputAudioTokens,
+          input_token_details: {
+            text_tokens: inputTextTokens,
+            audio_tokens: inputAudioTokens,
+            cached_tokens: cachedTokens,
+            cached_audio_tokens: 0
+          },
+          output_token_details: {
+            text_tokens: outputTextTokens,
+            audio_tokens: outputAudioTokens
+          }
+        }
+      }
+    });
+    this.activeResponse = null;
+  }
+
+  async streamReply(response, text) {
+    const withAudio = (this.session.modalities || []).includes('audio');
+    const item = { id: this.nextId('item'), object: 'realtime.item', type: 'message', status: 'in_progress', role: 'assistant', content: [] };
+    const outputIndex = response.output.length;
+    const base = { response_id: response.id, item_id: item.id, output_index: outputIndex, content_index: 0 };
+    response.output.push(item);
+
+    this.send({ type: 'response.output_item.added', response_id: response.id, output_index: outputIndex, item });
+    this.send({ type: 'conversation.item.created', previous_item_id: this.lastItemId, item });
+    this.lastItemId = item.id;
+    this.send({ type: 'response.content_part.added', ...base, part: { type: withAudio ? 'audio' : 'text', transcript: '' } });
+
+    const words = text.split(/\s+/).filter(Boolean);
+    const textTokens = estimateTextTokens(text);
+
+    if (!withAudio) {
+      for (const word of words) {
+        if (response.cancelled) break;
+        this.send({ type: 'response.text.delta', ...base, delta: `${word} ` });
+        await sleep(20);
+      }
+      this.send({ type: 'response.text.done', ...base, text });
+      item.status = 'completed';
+      item.content = [{ type: 'text', text }];
+      this.send({ type: 'response.output_item.done', response_id: response.id, output_index: outputIndex, item });
+      return { textTokens, audioMs: 0 };
+    }
+
+    const pcm16 = synthesizeSpeech(text);
+    const samplesPerChunk = SAMPLE_RATE * AUDIO_CHUNK_MS / 1000;
+    const chunkCount = Math.ceil(pcm16.length / samplesPerChunk);
+    const wordsPerChunk = Math.max(1, Math.ceil(words.length / chunkCount));
+    let sentMs = 0;
+
+    for (let c = 0; c < chunkCount; c++) {
+      if (response.cancelled) break;
+      const transcriptPart = words.slice(c * wordsPerChunk, (c + 1) * wordsPerChunk).join(' ');
+      if (transcriptPart) {
+        this.send({ type: 'response.audio_transcript.delta', ...base, delta: `${transcriptPart} ` });
+      }
+      const samples = pcm16.subarray(c * samplesPerChunk, (c + 1) * samplesPerChunk);
+      const delta = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength).toString('base64');
+      this.send({ type: 'response.audio.delta', ...base, delta });
+      sentMs += samples.length / SAMPLE_RATE * 1000;
+      await sleep(AUDIO_CHUNK_MS / this.options.realtimeFactor);
+    }
+
+    this.send({ type: 'response.audio.done', ...base });
+    this.send({ type: 'response.audio_transcript.done', ...base, transcript: text });
+    this.send({ type: 'response.content_part.done', ...base, part: { type: 'audio', transcript: text } });
+    item.status = response.cancelled ? 'incomplete' : 'completed';
+    item.content = [{ type: 'audio', transcript: text }];
+    this.send({ type: 'response.output_item.done', response_id: response.id, output_index: outputIndex, item });
+    return { textTokens, audioMs: sentMs };
+  }
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (options.list) {
+  Object.entries(scenarios).forEach(([name, scenario]) => {
+    console.log(`${name.padEnd(24)} ${scenario.description} (${scenario.turns.length} turns)`);
+  });
+  process.exit(0);
+}
+
+const wss = new WebSocketServer({
+  port: options.port,
+  handleProtocols: (protocols) => (protocols.has('realtime') ? 'realtime' : false)
+});
+
+wss.on('connection', (ws, request) => {
+  const url = new URL(request.url, `http://localhost:${options.port}`);
+  const session = new MockSession(ws, url.searchParams.get('scenario') || options.scenario, options);
+
+  ws.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (e) {
+      session.sendError('invalid_request_error', 'Message is not valid JSON');
+      return;
+    }
+    if (message.type !== 'input_audio_buffer.append') {
+      console.log(`[mock] <- ${message.type}`);
+    }
+    session.handle(message);
+  });
+
+  ws.on('close', () => {
+    session.cancelResponse();
+    console.log('[mock] session closed');
+  });
+
+  session.start();
+});
+
+wss.on('listening', () => {
+  console.log(`[mock] Voice Live mock server listening on ws://localhost:${options.port} (scenario: ${options.scenario})`);
+});
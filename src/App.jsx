@@ -1,9 +1,99 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Mic, MicOff, Settings, Gauge, Play, Square, ChevronDown, ChevronUp, Radio, Navigation, Thermometer, RotateCcw } from 'lucide-react';
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { Mic, MicOff, FileAudio, Settings, Gauge, Play, Square, ChevronDown, ChevronUp, Navigation, Thermometer, RotateCcw, Ear, Fan } from 'lucide-react';
 import { RealtimeClient } from './services/realtimeService';
-import { carTools, executeCarTool } from './tools/carTools';
-import { calculateEPASpeed, calculateBatteryConsumption, EPA_CYCLE_DURATION } from './utils/epaSimulator';
+import { vehicleStore } from './services/vehicleStore';
+import { advanceCharging } from './services/chargingSimulator';
+import { advanceNavigation, describeNavigation, formatDistance, navigationGraph, startNavigation, stopNavigation } from './services/navigationSimulator';
+import { carTools, executeCarTool, WINDOW_POSITIONS, WINDOW_LABELS } from './tools/carTools';
+import { CLIMATE_ZONES, CLIMATE_ZONE_LABELS, MAX_FAN_SPEED, MAX_SEAT_LEVEL, SEAT_POSITIONS, VENTILATED_SEATS, setSync, setZoneTemperature } from './tools/climateTools';
+import { evaluateToolPolicy, policyOutput } from './tools/policyEngine';
+import { createConfirmationManager } from './tools/confirmationManager';
+import { createEventBus, navigationBusEvent, watchVehicle } from './services/vehicleEvents';
+import { createNotificationEngine, DEFAULT_MIN_INTERVAL_MS } from './services/notificationEngine';
+import { advanceMedia } from './services/mediaPlayer';
+import { advanceTuner } from './services/radioTuner';
+import { advanceEnergy, changeVehiclePreset, MAX_OUTSIDE_TEMPERATURE, MIN_OUTSIDE_TEMPERATURE } from './utils/energyModel';
+import { buildDriveCycle, createDriveCyclePlayer, DEFAULT_DRIVE_CYCLE, loadImportedCycleTables, saveImportedCycleTables } from './services/driveCycles';
+import { loadPriceOverrides, mergePrices, savePriceOverrides, usageToTokens } from './utils/pricing';
+import { describeSession } from './utils/metricsReport';
 import Statistics from './components/Statistics';
+import { DEFAULT_CHUNK_MS } from './audio/microphoneCapture';
+import { createInputSource, INPUT_SOURCES } from './audio/inputSource';
+import { loadAudioFile } from './audio/wavFile';
+import { createAudioPlayer } from './audio/audioPlayer';
+import SessionRecording from './components/SessionRecording';
+import BenchmarkPanel from './components/BenchmarkPanel';
+import WakeWordSettings from './components/WakeWordSettings';
+import DriveCyclePanel from './components/DriveCyclePanel';
+import EnergyPanel from './components/EnergyPanel';
+import ChargingPanel from './components/ChargingPanel';
+import MediaPanel from './components/MediaPanel';
+import { createWakeWordGate, DEFAULT_WAKE_WORD, loadWakeWordTemplates, saveWakeWordTemplates } from './audio/wakeWordGate';
+import { createSessionRecorder, createSessionReplayer, downloadRecording, parseRecording, ReplayClient } from './services/sessionRecording';
+
+// Server VAD settings, also restored when leaving push-to-talk
+const DEFAULT_TURN_DETECTION = {
+  type: "server_vad",
+  threshold: 0.5,
+  prefix_padding_ms: 300,
+  silence_duration_ms: 500
+};
+
+// Push-to-talk turns detection off: audio is only sent while the talk
+// button (or Space) is down, and releasing it commits the turn
+const TURN_MODES = [
+  { value: 'server_vad', label: 'Server VAD' },
+  { value: 'push_to_talk_hold', label: 'Push-to-talk (hold)' },
+  { value: 'push_to_talk_toggle', label: 'Push-to-talk (tap to toggle)' }
+];
+
+// Push-to-talk only gates the microphone; audio files are committed per file
+const isPushToTalk = (config) => config.turnMode !== 'server_vad' && config.inputSource === 'microphone';
+
+// The wake word gates live microphone audio in server VAD mode; push-to-talk already gates it
+const usesWakeWord = (config) => config.wakeWord.enabled && config.inputSource === 'microphone' && config.turnMode === 'server_vad';
+
+// Log icons for events on the vehicle bus
+const VEHICLE_EVENT_ICONS = {
+  battery_low: '🔋',
+  window_open_at_speed: '🪟',
+  charging_complete: '🔌',
+  maneuver_approaching: '↪️',
+  waypoint_reached: '📍',
+  arrived: '🏁'
+};
+
+const updateClimate = (update) => vehicleStore.setState(prev => ({ ...prev, climate: update(prev.climate) }));
+
+// Seat button: off → heat 1..3 → vent 1..3 (front seats only) → off
+const nextSeatSetting = (seat, { heat, vent }) => {
+  if (vent > 0) return vent < MAX_SEAT_LEVEL ? { heat: 0, vent: vent + 1 } : { heat: 0, vent: 0 };
+  if (heat < MAX_SEAT_LEVEL) return { heat: heat + 1, vent: 0 };
+  return VENTILATED_SEATS.includes(seat) ? { heat: 0, vent: 1 } : { heat: 0, vent: 0 };
+};
+
+const createInitialMetrics = () => ({
+  tokens: {
+    input_text: 0,
+    input_audio: 0,
+    output_text: 0,
+    output_audio: 0,
+    cached_text: 0,
+    cached_audio: 0
+  },
+  latency: {
+    values: [],
+    min: 0,
+    avg: 0,
+    max: 0,
+    p90: 0
+  },
+  // Per-turn stage breakdown, see utils/latencyStats.js
+  turnLatencies: [],
+  // Billable tokens per response ({ turnId, model, tokens }), priced in Statistics
+  usage: [],
+  turns: 0
+});
 
 function App() {
   // Cookie utility functions
@@ -20,7 +110,9 @@ function App() {
   };
 
   const [isConnected, setIsConnected] = useState(false);
+  const [isReconnecting, setIsReconnecting] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
+  const [isTalking, setIsTalking] = useState(false);
   const [logs, setLogs] = useState([]);
   const [isConfigPanelOpen, setIsConfigPanelOpen] = useState(true);
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -30,12 +122,7 @@ function App() {
     voice: "alloy",
     input_audio_format: "pcm16",
     output_audio_format: "pcm16",
-    turn_detection: {
-      type: "server_vad",
-      threshold: 0.5,
-      prefix_padding_ms: 300,
-      silence_duration_ms: 500
-    },
+    turn_detection: { ...DEFAULT_TURN_DETECTION },
     input_audio_echo_cancellation: {
       type: "server_echo_cancellation"
     },
@@ -48,22 +135,22 @@ function App() {
     tools: carTools
   }, null, 2));
 
-  const [carStatus, setCarStatus] = useState({
-    speed: 0,
-    battery: 80,
-    batteryRange: 245,
-    temperature: 22,
-    lights: 'off',
-    windows: 'closed',
-    music: 'off',
-    radioStation: 'FM 101.5',
-    radioPlaying: true,
-    mediaType: 'radio',
-    mediaVolume: 70,
-    navigationActive: false,
-    navigationDestination: 'Not set',
-    navigationDistance: '—'
-  });
+  const carStatus = useSyncExternalStore(vehicleStore.subscribe, vehicleStore.getState);
+
+  // Drive cycle that sets the simulated speed; official tables imported by the user are kept across sessions
+  const [importedCycleTables, setImportedCycleTables] = useState(loadImportedCycleTables);
+  const [driveCycle] = useState(() => createDriveCyclePlayer(buildDriveCycle(DEFAULT_DRIVE_CYCLE)));
+  const driveCycleState = useSyncExternalStore(driveCycle.subscribe, driveCycle.getState);
+
+  useEffect(() => {
+    saveImportedCycleTables(importedCycleTables);
+  }, [importedCycleTables]);
+
+  const [audioPlayer] = useState(() => createAudioPlayer());
+
+  // Tool calls held until the driver confirms them
+  const [confirmations] = useState(() => createConfirmationManager());
+  const pendingConfirmations = useSyncExternalStore(confirmations.subscribe, confirmations.getPending);
   
   const [config, setConfig] = useState(() => {
     const savedEndpoint = getCookie('azure_endpoint');
@@ -74,12 +161,7 @@ function App() {
       voice: "alloy",
       input_audio_format: "pcm16",
       output_audio_format: "pcm16",
-      turn_detection: {
-        type: "server_vad",
-        threshold: 0.5,
-        prefix_padding_ms: 300,
-        silence_duration_ms: 500
-      },
+      turn_detection: { ...DEFAULT_TURN_DETECTION },
       input_audio_echo_cancellation: {
         type: "server_echo_cancellation"
       },
@@ -97,40 +179,128 @@ function App() {
       apiVersion: '2025-10-01',
       modelCategory: 'LLM Realtime',
       model: 'gpt-realtime',
+      audioChunkMs: DEFAULT_CHUNK_MS,
+      inputSource: 'microphone',
+      turnMode: 'server_vad',
+      fileInputSpeed: 1,
+      wakeWord: { ...DEFAULT_WAKE_WORD },
+      proactive: { enabled: true, minIntervalMs: DEFAULT_MIN_INTERVAL_MS },
       sessionConfig: initialSessionConfig
     };
   });
 
-  const [metrics, setMetrics] = useState({
-    tokens: {
-      input_text: 0,
-      input_audio: 0,
-      output_text: 0,
-      output_audio: 0,
-      cached_text: 0,
-      cached_audio: 0
-    },
-    latency: {
-      values: [],
-      min: 0,
-      avg: 0,
-      max: 0,
-      p90: 0
-    },
-    turns: 0
-  });
+  const [metrics, setMetrics] = useState(createInitialMetrics);
+  const [priceOverrides, setPriceOverrides] = useState(loadPriceOverrides);
+
+  useEffect(() => {
+    savePriceOverrides(priceOverrides);
+  }, [priceOverrides]);
+
+  // Enrolled wake word samples (MFCC templates), kept across sessions
+  const [wakeWordTemplates, setWakeWordTemplates] = useState(loadWakeWordTemplates);
+  // 'off' when no gate is running, otherwise 'idle' (waiting for the wake word) or 'listening'
+  const [wakeState, setWakeState] = useState('off');
+
+  useEffect(() => {
+    saveWakeWordTemplates(wakeWordTemplates);
+  }, [wakeWordTemplates]);
 
   const clientRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const mediaStreamRef = useRef(null);
-  const audioProcessorRef = useRef(null);
+  const audioCaptureRef = useRef(null);
+  // Playlist for the audio file input source
+  const [inputTracks, setInputTracks] = useState([]);
+  const inputFileRef = useRef(null);
+  // Resolves when the assistant has finished answering, so a playlist can move on
+  const turnCompleteRef = useRef(null);
+  // Push-to-talk: whether the talk button is down, and how much audio was sent since
+  const talkingRef = useRef(false);
+  const talkAudioMsRef = useRef(0);
+  const talkHandlersRef = useRef(null);
+  const wakeGateRef = useRef(null);
   const speechStartTimeRef = useRef(null);
-  const playbackAudioContextRef = useRef(null);
-  const audioQueueRef = useRef([]);
-  const isPlayingRef = useRef(false);
-  const nextPlayTimeRef = useRef(0);
+  const currentTurnRef = useRef(null);
+  // What turns and usage are attributed to: the connected config, or the recorded one during replay
+  const sessionInfoRef = useRef(null);
+  const currentAudioItemRef = useRef(null);
+  const truncatedItemsRef = useRef(new Set());
   const logsEndRef = useRef(null);
   const firstAudioReceivedRef = useRef(false);
+  const responseActiveRef = useRef(false);
+  const responseRequestedRef = useRef(false);
+  // Between speech_started and speech_stopped (or the commit)
+  const userSpeakingRef = useRef(false);
+
+  // Session recording / replay
+  const [recordSession, setRecordSession] = useState(false);
+  const [lastRecording, setLastRecording] = useState(null);
+  const [replay, setReplay] = useState({ active: false, progress: 0, total: 0, name: '' });
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const recorderRef = useRef(null);
+  const replayerRef = useRef(null);
+  const replayingRef = useRef(false);
+  // While replaying, timing uses the recorded event timestamps so latency
+  // metrics come out the same at any playback speed
+  const eventTimeRef = useRef(null);
+  const now = () => eventTimeRef.current ?? Date.now();
+
+  // Vehicle events, and the assistant speaking up about them unprompted.
+  // Notifications wait while the driver or the assistant is talking, or
+  // while an action waits for confirmation.
+  const [vehicleBus] = useState(() => createEventBus());
+  const [notificationEngine] = useState(() => createNotificationEngine({
+    send: text => clientRef.current.sendMessage('system', text),
+    isSuppressed: () => replayingRef.current || !clientRef.current?.isOpen() || userSpeakingRef.current || talkingRef.current ||
+      responseActiveRef.current || responseRequestedRef.current || audioPlayer.isPlaying() ||
+      confirmations.getPending().length > 0,
+    onDecision: (decision, { rule, event }) => {
+      if (decision === 'sent') addLog(`📣 Proactive (${rule.id}): ${event.text}`);
+      if (decision === 'expired') addLog(`🔕 Dropped stale notification (${rule.id}): ${event.text}`);
+    }
+  }));
+
+  // Latency breakdown: each turn starts when the user stops speaking and
+  // records the first occurrence of every stage as ms after that point
+  const publishTurn = (turn) => {
+    const snapshot = { ...turn, marks: { ...turn.marks } };
+    setMetrics(prev => ({
+      ...prev,
+      turnLatencies: prev.turnLatencies.some(t => t.id === turn.id)
+        ? prev.turnLatencies.map(t => (t.id === turn.id ? snapshot : t))
+        : [...prev.turnLatencies, snapshot]
+    }));
+  };
+
+  const getSessionInfo = () => sessionInfoRef.current || describeSession(config);
+
+  const startTurn = () => {
+    const previous = currentTurnRef.current;
+    currentTurnRef.current = {
+      id: (previous?.id || 0) + 1,
+      speechEndedAt: now(),
+      ...getSessionInfo(),
+      marks: {},
+      toolMs: 0,
+      toolCalls: 0,
+      tools: []
+    };
+    publishTurn(currentTurnRef.current);
+  };
+
+  const markTurnStage = (stage, at = now()) => {
+    const turn = currentTurnRef.current;
+    if (!turn || turn.marks[stage] !== undefined) return;
+    turn.marks[stage] = Math.max(0, Math.round(at - turn.speechEndedAt));
+    publishTurn(turn);
+  };
+
+  const recordToolCall = (name, args, effect, elapsedMs = 0) => {
+    const turn = currentTurnRef.current;
+    if (!turn) return;
+    turn.tools = [...turn.tools, { name, arguments: args, effect }];
+    turn.toolMs += Math.round(elapsedMs);
+    turn.toolCalls += 1;
+    publishTurn(turn);
+  };
 
   // Save endpoint and apiKey to cookies when they change
   useEffect(() => {
@@ -156,169 +326,569 @@ function App() {
     setIsConfigPanelOpen(!isConnected);
   }, [isConnected]);
 
-  // EPA Cycle Simulation for BEV
+  // Drive cycle simulation for BEV
   useEffect(() => {
     const epaInterval = setInterval(() => {
-      setCarStatus(prev => {
-        // EPA Federal Test Procedure: Total 1369 seconds (Cold Start 505s + Transient 864s)
+      // Replay restores the recorded vehicle status instead
+      if (replayingRef.current) return;
+      // At playback rates above 1× each tick covers several seconds of the cycle
+      const { speed, elapsedS, distanceKm, steps } = driveCycle.tick(1);
+      const averageSpeed = elapsedS > 0 ? (distanceKm * 3600) / elapsedS : 0;
+      // The route advances at the simulated speed
+      const { navigation, events: navigationEvents } = advanceNavigation(vehicleStore.getState().navigation, averageSpeed, elapsedS);
+      vehicleStore.setState(prev => {
         const time = Date.now() / 1000;
-        const cyclePosition = time % EPA_CYCLE_DURATION; // Full EPA cycle
-        
-        // Get speed from EPA simulator
-        const newSpeed = calculateEPASpeed(cyclePosition);
-        
-        // Calculate battery consumption
-        const consumption = calculateBatteryConsumption(newSpeed);
-        const newBattery = Math.max(0, prev.battery - consumption);
-        const newRange = Math.round(newBattery * 3.1); // ~310 km at 100%
+        const newSpeed = Math.round(speed);
+
+        // Battery drain from the energy model; a paused cycle stands still for
+        // the tick, at the playback rate so charging is sped up too
+        const standingS = driveCycle.getState().rate;
+        const drained = { ...prev, ...advanceEnergy(prev, elapsedS > 0 ? steps : [{ fromKmh: 0, toKmh: 0, dtS: standingS }]) };
+        const battery = { ...drained, ...advanceCharging(drained, standingS) };
 
         // Debug log to verify speed updates
-        if (Math.floor(time) % 10 === 0) { // Log every 5 seconds
-          console.log(`[EPA Simulator] Speed: ${newSpeed} km/h, Battery: ${newBattery.toFixed(2)}%, Range: ${newRange} km`);
+        if (Math.floor(time) % 10 === 0) { // Log every 10 seconds
+          console.log(`[Drive Cycle] Speed: ${newSpeed} km/h, Battery: ${battery.battery.toFixed(2)}%, Range: ${battery.batteryRange} km`);
         }
 
         return {
-          ...prev,
+          ...battery,
           speed: newSpeed,
-          battery: Math.round(newBattery * 100) / 100,
-          batteryRange: newRange
+          navigation,
+          // Media plays, and the radio scans, in real time whatever the drive cycle rate
+          media: prev.mediaType === 'radio' ? prev.media : advanceMedia(prev.media, 1),
+          tuner: prev.mediaType === 'radio' && prev.radioPlaying ? advanceTuner(prev.tuner, 1) : prev.tuner
         };
       });
+      navigationEvents.forEach(event => vehicleBus.emit(navigationBusEvent(event)));
+      // Also picks up notifications that waited for the driver or the assistant
+      notificationEngine.flush();
     }, 1000); // Update every 1 second
 
     return () => clearInterval(epaInterval);
-  }, []);
+  }, [driveCycle, vehicleBus, notificationEngine]);
+
+  // Every vehicle event goes to the log; the notification rules decide which ones the assistant mentions
+  useEffect(() => {
+    const unwatch = watchVehicle(vehicleStore, vehicleBus);
+    const unlisten = vehicleBus.on('*', event => {
+      // A replayed status jump is not something that happened to the car now
+      if (replayingRef.current) return;
+      addLog(`${VEHICLE_EVENT_ICONS[event.type]} ${event.text}`);
+      notificationEngine.handle(event);
+    });
+    return () => {
+      unlisten();
+      unwatch();
+    };
+  }, [vehicleBus, notificationEngine]);
+
+  useEffect(() => {
+    notificationEngine.configure(config.proactive);
+  }, [notificationEngine, config.proactive]);
+
+  // Plugging in parks the car: the drive cycle pauses until it is unplugged
+  useEffect(() => {
+    let pluggedIn = vehicleStore.getState().charging.pluggedIn;
+    let resume = false;
+    return vehicleStore.subscribe(state => {
+      if (state.charging.pluggedIn === pluggedIn) return;
+      pluggedIn = state.charging.pluggedIn;
+      if (pluggedIn) {
+        resume = driveCycle.getState().playing;
+        driveCycle.pause();
+      } else if (resume) {
+        driveCycle.play();
+      }
+    });
+  }, [driveCycle]);
 
   const addLog = (message, type = 'info') => {
     setLogs(prev => [...prev, { time: new Date().toLocaleTimeString(), message, type }]);
   };
 
+  // Tell the model about something that happened outside a function call.
+  // If a response is already in progress, ask for a new one once it is done.
+  const notifyModel = (text, { createResponse = true } = {}) => {
+    if (!clientRef.current) return;
+    const respondNow = createResponse && !responseActiveRef.current;
+    clientRef.current.sendMessage('system', text, { createResponse: respondNow });
+    if (createResponse && !respondNow) {
+      responseRequestedRef.current = true;
+    }
+  };
+
+  // Run or drop confirmed/declined tool calls
+  useEffect(() => {
+    return confirmations.onResolved(async ({ entry, outcome, itemId }) => {
+      const { name, args } = entry;
+      if (outcome !== 'confirmed') {
+        const why = outcome === 'timeout' ? 'the confirmation timed out' :
+                    outcome === 'cancelled' ? 'it was cancelled from the screen' :
+                    'the driver did not confirm it';
+        addLog(`❎ ${name} not executed: ${why}`, 'confirm');
+        notifyModel(`${name} was not executed because ${why}.`, { createResponse: false });
+        return;
+      }
+
+      // The vehicle may have changed while waiting, so a deny still wins
+      const decision = evaluateToolPolicy(name, args, vehicleStore.getState());
+      const result = decision.effect === 'deny'
+        ? policyOutput(name, decision)
+        : await executeCarTool(name, args, vehicleStore);
+      addLog(`✅ Confirmed ${name}: ${JSON.stringify(result)}`, 'confirm');
+      // A spoken yes was committed as a user turn, which already gets a response
+      // (server VAD, push-to-talk or manual commit); asking for another would answer twice
+      notifyModel(`The driver confirmed ${name}. Result: ${JSON.stringify(result)}`, { createResponse: !itemId });
+    });
+  }, [confirmations]);
+
+  const waitForTurnComplete = (timeoutMs = 30000) => new Promise(resolve => {
+    const timer = setTimeout(() => {
+      turnCompleteRef.current = null;
+      resolve();
+    }, timeoutMs);
+    turnCompleteRef.current = () => {
+      clearTimeout(timer);
+      turnCompleteRef.current = null;
+      resolve();
+    };
+  });
+
+  // Lets the answer play out so the next file does not barge in on it
+  const waitForPlaybackEnd = async (timeoutMs = 30000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (audioPlayer.isPlaying() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  };
+
+  const requestResponse = () => {
+    if (responseActiveRef.current) {
+      responseRequestedRef.current = true;
+    } else {
+      clientRef.current?.send({ type: 'response.create' });
+    }
+  };
+
+  const loadInputFiles = async (files) => {
+    const loaded = [];
+    for (const file of files) {
+      try {
+        loaded.push(await loadAudioFile(file));
+      } catch (error) {
+        addLog(`❌ ${file.name}: ${error.message}`, 'error');
+      }
+    }
+    setInputTracks(loaded);
+    if (loaded.length > 0) {
+      addLog(`📂 Playlist: ${loaded.map(track => track.name).join(', ')}`);
+    }
+  };
+
   const startRecording = async () => {
+    // Without turn detection the end of each file is committed by hand
+    const manualCommit = !config.sessionConfig.turn_detection;
+    const pushToTalk = isPushToTalk(config);
+    // The client buffers audio itself while it is reconnecting
+    const appendAudio = (base64Audio) => {
+      clientRef.current?.send({
+        type: 'input_audio_buffer.append',
+        audio: base64Audio
+      });
+    };
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      mediaStreamRef.current = stream;
-
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 24000 });
-      audioContextRef.current = audioContext;
-
-      const source = audioContext.createMediaStreamSource(stream);
-      const processor = audioContext.createScriptProcessor(4096, 1, 1);
-      audioProcessorRef.current = processor;
-
-      processor.onaudioprocess = (e) => {
-        const inputData = e.inputBuffer.getChannelData(0);
-        const pcm16 = new Int16Array(inputData.length);
-        for (let i = 0; i < inputData.length; i++) {
-          const s = Math.max(-1, Math.min(1, inputData[i]));
-          pcm16[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-        }
-        
-        const base64Audio = btoa(String.fromCharCode.apply(null, new Uint8Array(pcm16.buffer)));
-        
-        if (clientRef.current && clientRef.current.ws && clientRef.current.ws.readyState === WebSocket.OPEN) {
-          clientRef.current.send({
-            type: 'input_audio_buffer.append',
-            audio: base64Audio
-          });
+      // Until the wake word is heard, microphone audio never leaves the browser
+      const wakeGate = usesWakeWord(config) ? createWakeWordGate({
+        templates: wakeWordTemplates,
+        sensitivity: config.wakeWord.sensitivity,
+        preRollMs: config.wakeWord.preRollMs,
+        silenceTimeoutMs: config.wakeWord.silenceTimeoutMs,
+        forward: appendAudio,
+        onWake: ({ distance, threshold }) => {
+          setWakeState('listening');
+          addLog(`👂 Wake word detected (distance ${distance.toFixed(1)} / ${threshold.toFixed(1)}), streaming audio`);
+        },
+        onSleep: () => {
+          setWakeState('idle');
+          // Drop any partial utterance so it is not committed with the next one
+          clientRef.current?.send({ type: 'input_audio_buffer.clear' });
+          addLog(`💤 No speech for ${config.wakeWord.silenceTimeoutMs / 1000}s, waiting for "${config.wakeWord.phrase}"`);
         }
-      };
+      }) : null;
 
-      source.connect(processor);
-      processor.connect(audioContext.destination);
+      // Microphone capture runs in an AudioWorklet; files are decoded up front.
+      // Both deliver 24 kHz PCM16 chunks of the configured size.
+      const capture = createInputSource(config.inputSource, {
+        chunkMs: config.audioChunkMs,
+        onChunk: (base64Audio, { samples, sampleRate }) => {
+          // With push-to-talk the microphone stays open but nothing leaves the car until the button is down
+          if (pushToTalk) {
+            if (!talkingRef.current) return;
+            talkAudioMsRef.current += (samples / sampleRate) * 1000;
+          }
+          if (wakeGate) {
+            // An answer in progress counts as activity, so the gate does not close mid-reply
+            if (responseActiveRef.current || audioPlayer.isPlaying()) wakeGate.keepAlive();
+            wakeGate.process(base64Audio, { samples, sampleRate });
+            return;
+          }
+          appendAudio(base64Audio);
+        },
+        tracks: inputTracks,
+        speed: config.fileInputSpeed,
+        // Server VAD needs trailing silence to notice the end of each file
+        gapMs: manualCommit ? 0 : 1000,
+        onTrackStart: (track, index) => {
+          addLog(`📂 Playing ${track.name} (${index + 1}/${inputTracks.length})`);
+        },
+        onTrackEnd: async () => {
+          const turnComplete = waitForTurnComplete();
+          if (manualCommit) {
+            // Without server VAD there is no speech_stopped; like push-to-talk, latency counts from the commit
+            speechStartTimeRef.current = now();
+            firstAudioReceivedRef.current = false;
+            clientRef.current?.send({ type: 'input_audio_buffer.commit' });
+            requestResponse();
+          }
+          await turnComplete;
+          await waitForPlaybackEnd();
+        },
+        onEnd: () => {
+          audioCaptureRef.current = null;
+          setIsRecording(false);
+          addLog('📂 Playlist finished');
+        }
+      });
+      const info = await capture.start();
+      audioCaptureRef.current = capture;
+      wakeGateRef.current = wakeGate;
 
       setIsRecording(true);
-      addLog('🎤 Recording started');
+      if (wakeGate) {
+        setWakeState('idle');
+        addLog(`👂 Microphone ready: say "${config.wakeWord.phrase}" to start talking`);
+      } else if (pushToTalk) {
+        addLog(`🎤 Microphone ready: ${config.turnMode === 'push_to_talk_hold' ? 'hold' : 'tap'} Space or the talk button to speak`);
+      } else if (config.inputSource === 'file') {
+        addLog(`📂 Streaming ${info.tracks} file(s), ${(info.durationMs / 1000).toFixed(1)}s at ${config.fileInputSpeed}x (${manualCommit ? 'manual commit' : 'server VAD'})`);
+      } else {
+        addLog(`🎤 Recording started (${info.contextSampleRate} Hz → 24000 Hz, ${config.audioChunkMs} ms chunks)`);
+      }
     } catch (error) {
       addLog(`❌ Failed to start recording: ${error.message}`, 'error');
     }
   };
 
   const stopRecording = () => {
-    if (audioProcessorRef.current) {
-      audioProcessorRef.current.disconnect();
-      audioProcessorRef.current = null;
-    }
-    if (audioContextRef.current) {
-      audioContextRef.current.close();
-      audioContextRef.current = null;
-    }
-    if (mediaStreamRef.current) {
-      mediaStreamRef.current.getTracks().forEach(track => track.stop());
-      mediaStreamRef.current = null;
+    if (audioCaptureRef.current) {
+      audioCaptureRef.current.stop();
+      audioCaptureRef.current = null;
     }
+    wakeGateRef.current = null;
+    setWakeState('off');
+    talkingRef.current = false;
+    setIsTalking(false);
     setIsRecording(false);
     addLog('🎤 Recording stopped');
   };
 
-  const playAudio = async (base64Audio) => {
-    try {
-      if (!playbackAudioContextRef.current) {
-        playbackAudioContextRef.current = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 24000 });
-      }
-      
-      const audioContext = playbackAudioContextRef.current;
-      
-      // Decode base64 to PCM16
-      const binaryString = atob(base64Audio);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      
-      const pcm16 = new Int16Array(bytes.buffer);
-      const float32 = new Float32Array(pcm16.length);
-      for (let i = 0; i < pcm16.length; i++) {
-        float32[i] = pcm16[i] / (pcm16[i] < 0 ? 0x8000 : 0x7FFF);
+  // Push-to-talk: pressing opens the microphone if needed and cuts the assistant off
+  const pressTalk = async () => {
+    if (talkingRef.current || !isConnected) return;
+    talkingRef.current = true;
+    talkAudioMsRef.current = 0;
+    setIsTalking(true);
+    interruptAssistant();
+    if (!audioCaptureRef.current) {
+      await startRecording();
+      if (!audioCaptureRef.current) {
+        talkingRef.current = false;
+        setIsTalking(false);
       }
-      
-      const audioBuffer = audioContext.createBuffer(1, float32.length, 24000);
-      audioBuffer.getChannelData(0).set(float32);
-      
-      // Add to queue
-      audioQueueRef.current.push(audioBuffer);
-      
-      // Start playing if not already playing
-      if (!isPlayingRef.current) {
-        playNextAudioChunk();
-      }
-    } catch (error) {
-      console.error('Audio playback error:', error);
     }
   };
 
-  const playNextAudioChunk = () => {
-    if (audioQueueRef.current.length === 0) {
-      isPlayingRef.current = false;
+  // Releasing sends the last partial chunk, then commits it as the user's turn
+  const releaseTalk = async () => {
+    if (!talkingRef.current) return;
+    await audioCaptureRef.current?.flush();
+    talkingRef.current = false;
+    setIsTalking(false);
+
+    // The server rejects commits of less than 100 ms of audio
+    if (talkAudioMsRef.current < 100) {
+      clientRef.current?.send({ type: 'input_audio_buffer.clear' });
+      addLog('🎙️ Too short, nothing sent');
       return;
     }
+    speechStartTimeRef.current = now();
+    firstAudioReceivedRef.current = false;
+    startTurn();
+    clientRef.current?.send({ type: 'input_audio_buffer.commit' });
+    requestResponse();
+    addLog(`🎙️ Released after ${(talkAudioMsRef.current / 1000).toFixed(1)}s of audio`);
+  };
+
+  const toggleTalk = () => (talkingRef.current ? releaseTalk() : pressTalk());
+
+  talkHandlersRef.current = { pressTalk, releaseTalk, toggleTalk };
+
+  const pushToTalkActive = isConnected && isPushToTalk(config);
 
-    isPlayingRef.current = true;
-    const audioContext = playbackAudioContextRef.current;
-    const audioBuffer = audioQueueRef.current.shift();
+  // Space acts as the steering-wheel talk button, except while typing
+  useEffect(() => {
+    if (!pushToTalkActive) return;
+    const isTyping = (event) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName);
+    const handleKeyDown = (event) => {
+      if (event.code !== 'Space' || event.repeat || isTyping(event)) return;
+      event.preventDefault();
+      if (config.turnMode === 'push_to_talk_hold') {
+        talkHandlersRef.current.pressTalk();
+      } else {
+        talkHandlersRef.current.toggleTalk();
+      }
+    };
+    const handleKeyUp = (event) => {
+      if (event.code !== 'Space' || isTyping(event)) return;
+      event.preventDefault();
+      if (config.turnMode === 'push_to_talk_hold') {
+        talkHandlersRef.current.releaseTalk();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [pushToTalkActive, config.turnMode]);
+
+  const clearAudioQueue = () => {
+    audioPlayer.stop();
+  };
+
+  // Barge-in: silence the assistant immediately and tell the server how much
+  // of its audio the driver actually heard, so the history matches
+  const interruptAssistant = () => {
+    const itemId = currentAudioItemRef.current;
+    const wasPlaying = audioPlayer.isPlaying();
+    const audioEndMs = itemId ? audioPlayer.playedMs(itemId) : 0;
+    audioPlayer.stop();
+
+    if (responseActiveRef.current) {
+      clientRef.current?.send({ type: 'response.cancel' });
+    }
+    if (itemId && (wasPlaying || responseActiveRef.current)) {
+      // Late deltas of the interrupted item must not start playing again
+      truncatedItemsRef.current.add(itemId);
+      clientRef.current?.send({
+        type: 'conversation.item.truncate',
+        item_id: itemId,
+        content_index: 0,
+        audio_end_ms: audioEndMs
+      });
+      addLog(`✂️ Assistant interrupted after ${(audioEndMs / 1000).toFixed(1)}s of audio`);
+    }
+    currentAudioItemRef.current = null;
+  };
+
+  // Handles every server event; also driven by session replay
+  const handleServerEvent = async (event) => {
+    console.log('Event:', event.type, event);
+    
+    // Session ready
+    if (event.type === 'session.updated' || event.type === 'session.created') {
+      addLog('✅ Session ready');
+    }
+    
+    // User speech detection
+    if (event.type === 'input_audio_buffer.speech_started') {
+      userSpeakingRef.current = true;
+      wakeGateRef.current?.keepAlive();
+      interruptAssistant();
+      addLog('🎤 Speech started');
+    }
     
-    const source = audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(audioContext.destination);
+    if (event.type === 'input_audio_buffer.speech_stopped') {
+      userSpeakingRef.current = false;
+      speechStartTimeRef.current = now();
+      firstAudioReceivedRef.current = false;
+      startTurn();
+      addLog('🎤 Speech stopped');
+    }
     
-    // Calculate when to start this chunk
-    const now = audioContext.currentTime;
-    const startTime = Math.max(now, nextPlayTimeRef.current);
+    if (event.type === 'input_audio_buffer.committed') {
+      userSpeakingRef.current = false;
+      // Without server VAD there is no speech_stopped, so the commit opens the turn
+      if (!currentTurnRef.current || currentTurnRef.current.marks.committed !== undefined) {
+        startTurn();
+      }
+      markTurnStage('committed');
+      confirmations.noteUserItem(event.item_id);
+      addLog('📝 Audio committed');
+    }
     
-    source.start(startTime);
+    // User transcription
+    if (event.type === 'conversation.item.input_audio_transcription.completed') {
+      markTurnStage('transcribed');
+      addLog(`👤 You: ${event.transcript}`, 'user');
+      // The driver's reply settles any action waiting for confirmation
+      confirmations.resolveFromUtterance(event.transcript, event.item_id);
+    }
     
-    // Update next play time
-    nextPlayTimeRef.current = startTime + audioBuffer.duration;
+    // Response events
+    if (event.type === 'response.created') {
+      responseActiveRef.current = true;
+      markTurnStage('responseCreated');
+      addLog('🤖 Assistant responding...');
+    }
     
-    // Schedule next chunk
-    source.onended = () => {
-      playNextAudioChunk();
-    };
-  };
-
-  const clearAudioQueue = () => {
-    audioQueueRef.current = [];
-    nextPlayTimeRef.current = 0;
-    isPlayingRef.current = false;
+    // Assistant text output
+    if (event.type === 'response.text.delta') {
+      markTurnStage('firstText');
+    }
+    
+    if (event.type === 'response.text.done') {
+      addLog(`🤖 Assistant: ${event.text}`, 'assistant');
+    }
+    
+    if (event.type === 'response.audio_transcript.delta') {
+      markTurnStage('firstText');
+    }
+    
+    if (event.type === 'response.audio_transcript.done') {
+      if (event.transcript) {
+        addLog(`🤖 Assistant: ${event.transcript}`, 'assistant');
+      }
+    }
+    
+    // Audio playback
+    if (event.type === 'response.audio.delta') {
+      if (event.delta && !truncatedItemsRef.current.has(event.item_id)) {
+        // Calculate latency on first audio chunk
+        if (!firstAudioReceivedRef.current && speechStartTimeRef.current) {
+          const latency = now() - speechStartTimeRef.current;
+          firstAudioReceivedRef.current = true;
+          
+          setMetrics(prev => {
+            const newLatencies = [...prev.latency.values, latency];
+            const sortedLatencies = [...newLatencies].sort((a, b) => a - b);
+            const p90Index = Math.ceil(sortedLatencies.length * 0.9) - 1;
+            
+            return {
+              ...prev,
+              latency: {
+                values: newLatencies,
+                min: newLatencies.length > 0 ? Math.min(...newLatencies) : 0,
+                avg: newLatencies.length > 0 ? Math.round(newLatencies.reduce((a, b) => a + b, 0) / newLatencies.length) : 0,
+                max: newLatencies.length > 0 ? Math.max(...newLatencies) : 0,
+                p90: sortedLatencies.length > 0 ? sortedLatencies[p90Index] || 0 : 0
+              }
+            };
+          });
+        }
+        markTurnStage('firstAudio');
+        currentAudioItemRef.current = event.item_id;
+        const audibleInMs = audioPlayer.enqueue(event.delta, event.item_id);
+        if (audibleInMs !== null) {
+          markTurnStage('firstAudible', now() + audibleInMs);
+        }
+      }
+    }
+    
+    if (event.type === 'response.audio.done') {
+      addLog('🔊 Audio playback complete');
+    }
+    
+    // Function calling
+    if (event.type === 'conversation.item.created') {
+      if (event.item && event.item.type === 'function_call') {
+        addLog(`🔧 Function call: ${event.item.name}`, 'tool');
+      }
+    }
+    
+    if (event.type === 'response.function_call_arguments.done') {
+      const { name, arguments: args, call_id } = event;
+      addLog(`🔧 Executing: ${name}(${args})`, 'tool');
+      // Safety policy is checked against the live vehicle status first
+      const decision = evaluateToolPolicy(name, args, vehicleStore.getState());
+      let result;
+      if (decision.effect === 'allow') {
+        // Arguments are parsed and validated by the tool registry; invalid ones
+        // come back as a structured error so the model can correct itself
+        const toolStartedAt = performance.now();
+        result = await executeCarTool(name, args, vehicleStore);
+        recordToolCall(name, args, decision.effect, performance.now() - toolStartedAt);
+      } else {
+        result = policyOutput(name, decision);
+        recordToolCall(name, args, decision.effect);
+      }
+      if (decision.effect === 'confirm') {
+        confirmations.request({ callId: call_id, name, args, rule: decision.rule, reason: decision.reason });
+        addLog(`❓ Waiting for confirmation: ${name} (${decision.reason})`, 'confirm');
+      } else if (result.policy) {
+        addLog(`🛡️ Safety policy (${result.policy.decision}): ${result.policy.reason}`, 'error');
+      } else if (result.error) {
+        addLog(`⚠️ Tool error (${result.error.type}): ${result.error.message}`, 'error');
+      } else {
+        addLog(`✅ Result: ${JSON.stringify(result)}`, 'tool');
+      }
+      clientRef.current.sendToolOutput(call_id, result);
+    }
+    
+    // Response complete with metrics
+    if (event.type === 'response.done') {
+      responseActiveRef.current = false;
+      if (responseRequestedRef.current) {
+        responseRequestedRef.current = false;
+        clientRef.current.send({ type: 'response.create' });
+      } else if (!event.response?.output?.some(item => item.type === 'function_call')) {
+        // A response with function calls is followed by another one with the results
+        turnCompleteRef.current?.();
+      }
+      if (event.response && event.response.usage) {
+        const usage = event.response.usage;
+        
+        // Log the raw usage JSON
+        console.log('Usage:', JSON.stringify(usage, null, 2));
+        
+        const inputText = usage.input_tokens || 0;
+        const inputAudio = usage.input_token_details?.audio_tokens || 0;
+        const outputText = usage.output_token_details?.text_tokens || 0;
+        const outputAudio = usage.output_token_details?.audio_tokens || 0;
+        const cachedText = usage.input_token_details?.cached_tokens || 0;
+        const cachedAudio = usage.input_token_details?.cached_audio_tokens || 0;
+        
+        setMetrics(prev => ({
+          ...prev,
+          tokens: {
+            input_text: prev.tokens.input_text + inputText,
+            input_audio: prev.tokens.input_audio + inputAudio,
+            output_text: prev.tokens.output_text + outputText,
+            output_audio: prev.tokens.output_audio + outputAudio,
+            cached_text: prev.tokens.cached_text + cachedText,
+            cached_audio: prev.tokens.cached_audio + cachedAudio
+          },
+          usage: [...prev.usage, {
+            turnId: currentTurnRef.current?.id ?? null,
+            at: now(),
+            ...getSessionInfo(),
+            tokens: usageToTokens(usage)
+          }],
+          turns: prev.turns + 1
+        }));
+      }
+      addLog('✅ Response complete');
+    }
+    
+    // Errors
+    if (event.type === 'error') {
+      // A barge-in may race the server's own cancellation; that is harmless
+      if (event.error?.code !== 'response_cancel_not_active') {
+        addLog(`❌ Error: ${event.error?.message || 'Unknown error'}`, 'error');
+      }
+    }
   };
 
   const handleConnect = async () => {
@@ -337,6 +907,7 @@ function App() {
     }
 
     try {
+      sessionInfoRef.current = describeSession(config);
       clientRef.current = new RealtimeClient(config);
       
       clientRef.current.on('open', () => {
@@ -345,154 +916,44 @@ function App() {
       });
 
       clientRef.current.on('error', (err) => {
-        addLog(`Error: ${err.message}`, 'error');
-        setIsConnected(false);
+        addLog(`Error: ${err.message || 'WebSocket error'}`, 'error');
+      });
+
+      clientRef.current.on('reconnecting', ({ attempt, delayMs }) => {
+        setIsReconnecting(true);
+        addLog(`⚠️ Connection lost, reconnecting in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt})...`, 'error');
+      });
+
+      clientRef.current.on('reconnected', ({ attempt }) => {
+        setIsReconnecting(false);
+        addLog(`🔌 Reconnected after ${attempt} attempt${attempt === 1 ? '' : 's'}, session restored`);
       });
 
       clientRef.current.on('close', () => {
         setIsConnected(false);
+        setIsReconnecting(false);
         stopRecording();
         clearAudioQueue();
+        confirmations.clear();
+        notificationEngine.reset();
+        responseActiveRef.current = false;
+        responseRequestedRef.current = false;
+        userSpeakingRef.current = false;
+        if (recorderRef.current) {
+          recorderRef.current.detach();
+          setLastRecording(recorderRef.current.toJSON());
+          recorderRef.current = null;
+        }
         addLog('Connection closed');
       });
 
-      clientRef.current.on('message', async (event) => {
-        console.log('Event:', event.type, event);
-        
-        // Session ready
-        if (event.type === 'session.updated' || event.type === 'session.created') {
-          addLog('✅ Session ready');
-        }
-        
-        // User speech detection
-        if (event.type === 'input_audio_buffer.speech_started') {
-          clearAudioQueue();
-          addLog('🎤 Speech started');
-        }
-        
-        if (event.type === 'input_audio_buffer.speech_stopped') {
-          speechStartTimeRef.current = Date.now();
-          firstAudioReceivedRef.current = false;
-          addLog('🎤 Speech stopped');
-        }
-        
-        if (event.type === 'input_audio_buffer.committed') {
-          addLog('📝 Audio committed');
-        }
-        
-        // User transcription
-        if (event.type === 'conversation.item.input_audio_transcription.completed') {
-          addLog(`👤 You: ${event.transcript}`, 'user');
-        }
-        
-        // Response events
-        if (event.type === 'response.created') {
-          addLog('🤖 Assistant responding...');
-        }
-        
-        // Assistant text output
-        if (event.type === 'response.text.delta') {
-          // Accumulate text deltas if needed
-        }
-        
-        if (event.type === 'response.text.done') {
-          addLog(`🤖 Assistant: ${event.text}`, 'assistant');
-        }
-        
-        if (event.type === 'response.audio_transcript.delta') {
-          // Audio transcript chunks
-        }
-        
-        if (event.type === 'response.audio_transcript.done') {
-          if (event.transcript) {
-            addLog(`🤖 Assistant: ${event.transcript}`, 'assistant');
-          }
-        }
-        
-        // Audio playback
-        if (event.type === 'response.audio.delta') {
-          if (event.delta) {
-            // Calculate latency on first audio chunk
-            if (!firstAudioReceivedRef.current && speechStartTimeRef.current) {
-              const latency = Date.now() - speechStartTimeRef.current;
-              firstAudioReceivedRef.current = true;
-              
-              setMetrics(prev => {
-                const newLatencies = [...prev.latency.values, latency];
-                const sortedLatencies = [...newLatencies].sort((a, b) => a - b);
-                const p90Index = Math.ceil(sortedLatencies.length * 0.9) - 1;
-                
-                return {
-                  ...prev,
-                  latency: {
-                    values: newLatencies,
-                    min: newLatencies.length > 0 ? Math.min(...newLatencies) : 0,
-                    avg: newLatencies.length > 0 ? Math.round(newLatencies.reduce((a, b) => a + b, 0) / newLatencies.length) : 0,
-                    max: newLatencies.length > 0 ? Math.max(...newLatencies) : 0,
-                    p90: sortedLatencies.length > 0 ? sortedLatencies[p90Index] || 0 : 0
-                  }
-                };
-              });
-            }
-            playAudio(event.delta);
-          }
-        }
-        
-        if (event.type === 'response.audio.done') {
-          addLog('🔊 Audio playback complete');
-        }
-        
-        // Function calling
-        if (event.type === 'conversation.item.created') {
-          if (event.item && event.item.type === 'function_call') {
-            addLog(`🔧 Function call: ${event.item.name}`, 'tool');
-          }
-        }
-        
-        if (event.type === 'response.function_call_arguments.done') {
-          const { name, arguments: args, call_id } = event;
-          addLog(`🔧 Executing: ${name}(${args})`, 'tool');
-          const result = await executeCarTool(name, JSON.parse(args), setCarStatus, carStatus);
-          addLog(`✅ Result: ${JSON.stringify(result)}`, 'tool');
-          clientRef.current.sendToolOutput(call_id, result);
-        }
-        
-        // Response complete with metrics
-        if (event.type === 'response.done') {
-          if (event.response && event.response.usage) {
-            const usage = event.response.usage;
-            
-            // Log the raw usage JSON
-            console.log('Usage:', JSON.stringify(usage, null, 2));
-            
-            const inputText = usage.input_tokens || 0;
-            const inputAudio = usage.input_token_details?.audio_tokens || 0;
-            const outputText = usage.output_token_details?.text_tokens || 0;
-            const outputAudio = usage.output_token_details?.audio_tokens || 0;
-            const cachedText = usage.input_token_details?.cached_tokens || 0;
-            const cachedAudio = usage.input_token_details?.cached_audio_tokens || 0;
-            
-            setMetrics(prev => ({
-              ...prev,
-              tokens: {
-                input_text: prev.tokens.input_text + inputText,
-                input_audio: prev.tokens.input_audio + inputAudio,
-                output_text: prev.tokens.output_text + outputText,
-                output_audio: prev.tokens.output_audio + outputAudio,
-                cached_text: prev.tokens.cached_text + cachedText,
-                cached_audio: prev.tokens.cached_audio + cachedAudio
-              },
-              turns: prev.turns + 1
-            }));
-          }
-          addLog('✅ Response complete');
-        }
-        
-        // Errors
-        if (event.type === 'error') {
-          addLog(`❌ Error: ${event.error?.message || 'Unknown error'}`, 'error');
-        }
-      });
+      clientRef.current.on('message', handleServerEvent);
+
+      if (recordSession) {
+        recorderRef.current = createSessionRecorder({ config, getStatus: vehicleStore.getState });
+        recorderRef.current.attach(clientRef.current, vehicleStore);
+        addLog('⏺️ Recording session');
+      }
       
       clientRef.current.setTools(carTools);
       await clientRef.current.connect();
@@ -502,7 +963,64 @@ function App() {
     }
   };
 
+  const startReplay = async (file) => {
+    let recording;
+    try {
+      recording = parseRecording(await file.text());
+    } catch (error) {
+      addLog(`❌ Failed to load recording: ${error.message}`, 'error');
+      return;
+    }
+
+    clearAudioQueue();
+    confirmations.clear();
+    setLogs([]);
+    setMetrics(createInitialMetrics());
+    currentTurnRef.current = null;
+    responseActiveRef.current = false;
+    responseRequestedRef.current = false;
+    replayingRef.current = true;
+    sessionInfoRef.current = describeSession({ ...config, ...recording.config });
+    clientRef.current = new ReplayClient();
+    setReplay({ active: true, progress: 0, total: recording.entries.length, name: file.name });
+    addLog(`⏯️ Replaying ${file.name} (${recording.config?.model || 'unknown model'}, ${(recording.durationMs / 1000).toFixed(1)}s) at ${replaySpeed}x`);
+
+    replayerRef.current = createSessionReplayer(recording, {
+      speed: replaySpeed,
+      dispatch: async (event, timestamp) => {
+        eventTimeRef.current = timestamp;
+        try {
+          await handleServerEvent(event);
+        } finally {
+          eventTimeRef.current = null;
+        }
+      },
+      applyStatus: (status) => vehicleStore.setState(status),
+      onProgress: (progress) => setReplay(prev => ({ ...prev, progress })),
+      onDone: (stopped) => {
+        replayingRef.current = false;
+        replayerRef.current = null;
+        clientRef.current = null;
+        confirmations.clear();
+        setReplay(prev => ({ ...prev, active: false }));
+        addLog(stopped ? '⏹️ Replay stopped' : '✅ Replay finished');
+      }
+    });
+    replayerRef.current.start();
+  };
+
+  const stopReplay = () => {
+    replayerRef.current?.stop();
+  };
+
+  const handleReplaySpeedChange = (speed) => {
+    setReplaySpeed(speed);
+    replayerRef.current?.setSpeed(speed);
+  };
+
   const handleReset = () => {
+    stopReplay();
+
     // Disconnect if connected
     if (isConnected) {
       stopRecording();
@@ -511,28 +1029,14 @@ function App() {
       setIsConnected(false);
     }
     
+    confirmations.clear();
+
     // Clear logs
     setLogs([]);
     
     // Reset metrics
-    setMetrics({
-      tokens: {
-        input_text: 0,
-        input_audio: 0,
-        output_text: 0,
-        output_audio: 0,
-        cached_text: 0,
-        cached_audio: 0
-      },
-      latency: {
-        values: [],
-        min: 0,
-        avg: 0,
-        max: 0,
-        p90: 0
-      },
-      turns: 0
-    });
+    setMetrics(createInitialMetrics());
+    currentTurnRef.current = null;
     
     addLog('🔄 Reset complete');
   };
@@ -546,8 +1050,8 @@ function App() {
             <img src="https://devblogs.microsoft.com/foundry/wp-content/uploads/sites/89/2025/03/ai-foundry.png" alt="Azure AI" className="w-6 h-6 object-contain" />
             Azure Voice Live - Car Assistant
           </h1>
-          <div className={`text-sm font-semibold ${isConnected ? 'text-green-400' : 'text-gray-400'}`}>
-            {isConnected ? '● Connected' : '● Disconnected'}
+          <div className={`text-sm font-semibold ${isReconnecting ? 'text-yellow-400' : isConnected ? 'text-green-400' : 'text-gray-400'}`}>
+            {isReconnecting ? '● Reconnecting...' : isConnected ? '● Connected' : '● Disconnected'}
           </div>
         </div>
       </header>
@@ -740,6 +1244,28 @@ function App() {
                     </div>
 
                     {/* Turn Detection */}
+                    <div>
+                      <label className="block text-xs text-gray-400 mb-1 font-semibold">Turn Mode</label>
+                      <select
+                        value={config.turnMode}
+                        onChange={e => {
+                          const turnMode = e.target.value;
+                          const newSessionConfig = {
+                            ...config.sessionConfig,
+                            turn_detection: turnMode === 'server_vad' ? { ...DEFAULT_TURN_DETECTION } : null
+                          };
+                          setConfig({ ...config, turnMode, sessionConfig: newSessionConfig });
+                          setSessionConfigJson(JSON.stringify(newSessionConfig, null, 2));
+                        }}
+                        disabled={isConnected}
+                        className="w-full bg-gray-700 border border-gray-600 rounded p-2 text-xs text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {TURN_MODES.map(mode => (
+                          <option key={mode.value} value={mode.value}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </div>
+
                     <div>
                       <label className="block text-xs text-gray-400 mb-1 font-semibold">VAD Threshold</label>
                       <input 
@@ -758,11 +1284,59 @@ function App() {
                             }
                           }
                         })}
-                        disabled={isConnected}
+                        disabled={isConnected || config.turnMode !== 'server_vad'}
                         className="w-full bg-gray-700 border border-gray-600 rounded p-2 text-xs disabled:opacity-50 disabled:cursor-not-allowed"
                       />
                     </div>
 
+                    {/* Audio Chunk Size */}
+                    <div>
+                      <label className="block text-xs text-gray-400 mb-1 font-semibold">Microphone Chunk Size (ms)</label>
+                      <select
+                        value={config.audioChunkMs}
+                        onChange={e => setConfig({ ...config, audioChunkMs: Number(e.target.value) })}
+                        disabled={isConnected}
+                        className="w-full bg-gray-700 border border-gray-600 rounded p-2 text-xs text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {[10, 20, 40, 60, 100, 170].map(ms => (
+                          <option key={ms} value={ms}>{ms} ms</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {/* Wake Word */}
+                    <WakeWordSettings
+                      settings={config.wakeWord}
+                      onChange={wakeWord => setConfig({ ...config, wakeWord })}
+                      templates={wakeWordTemplates}
+                      onTemplatesChange={setWakeWordTemplates}
+                      disabled={isRecording}
+                    />
+
+                    {/* Proactive Notifications */}
+                    <div>
+                      <label className="flex items-center gap-2 text-xs text-gray-400 font-semibold">
+                        <input
+                          type="checkbox"
+                          checked={config.proactive.enabled}
+                          onChange={e => setConfig({ ...config, proactive: { ...config.proactive, enabled: e.target.checked } })}
+                        />
+                        Proactive Notifications
+                      </label>
+                      <p className="text-xs text-gray-500 mt-1">Low battery, open windows at speed and route guidance are announced without being asked.</p>
+                      <label className="block text-xs text-gray-400 mt-2 mb-1">Minimum gap between notifications</label>
+                      <select
+                        value={config.proactive.minIntervalMs}
+                        onChange={e => setConfig({ ...config, proactive: { ...config.proactive, minIntervalMs: Number(e.target.value) } })}
+                        disabled={!config.proactive.enabled}
+                        className="w-full bg-gray-700 border border-gray-600 rounded p-2 text-xs text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {[0, 10000, 20000, 60000].map(ms => (
+                          <option key={ms} value={ms}>{ms === 0 ? 'No limit' : `${ms / 1000} s`}</option>
+                        ))}
+                      </select>
+                    </div>
+
                     {/* Full JSON Editor */}
                     <div>
                       <label className="block text-xs text-gray-400 mb-1 font-semibold">Session JSON</label>
@@ -790,7 +1364,8 @@ function App() {
               <div className="flex gap-2">
                 <button 
                   onClick={handleConnect}
-                  className={`flex-1 py-2 rounded font-semibold flex justify-center items-center gap-2 text-sm transition ${isConnected ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+                  disabled={replay.active}
+                  className={`flex-1 py-2 rounded font-semibold flex justify-center items-center gap-2 text-sm transition disabled:opacity-50 disabled:cursor-not-allowed ${isConnected ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
                 >
                   {isConnected ? <><Square size={16} /> Disconnect</> : <><Play size={16} /> Connect</>}
                 </button>
@@ -826,14 +1401,54 @@ function App() {
                   </div>
                 </div>
 
-                <div className="grid grid-cols-2 gap-2">
-                  <div className="bg-gray-700 p-2 rounded">
-                    <div className="text-gray-400 text-xs">Lights</div>
-                    <div className="font-mono capitalize text-sm">{carStatus.lights}</div>
-                  </div>
-                  <div className="bg-gray-700 p-2 rounded">
-                    <div className="text-gray-400 text-xs">Windows</div>
-                    <div className="font-mono capitalize text-sm">{carStatus.windows}</div>
+                <DriveCyclePanel
+                  player={driveCycle}
+                  state={driveCycleState}
+                  importedTables={importedCycleTables}
+                  onImportedTablesChange={setImportedCycleTables}
+                  disabled={replay.active || carStatus.charging.pluggedIn}
+                />
+
+                <EnergyPanel
+                  status={carStatus}
+                  onPresetChange={presetId => vehicleStore.setState(prev => ({ ...prev, ...changeVehiclePreset(prev, presetId) }))}
+                  onOutsideTemperatureChange={temperature => vehicleStore.setState({
+                    outsideTemperature: Math.min(MAX_OUTSIDE_TEMPERATURE, Math.max(MIN_OUTSIDE_TEMPERATURE, temperature))
+                  })}
+                  disabled={replay.active}
+                />
+
+                <ChargingPanel
+                  status={carStatus}
+                  onChange={update => vehicleStore.setState(prev => ({ ...prev, charging: update(prev) }))}
+                  disabled={replay.active}
+                />
+
+                <div className="bg-gray-700 p-2 rounded">
+                  <div className="text-gray-400 text-xs">Lights</div>
+                  <div className="font-mono capitalize text-sm">{carStatus.lights}</div>
+                </div>
+
+                {/* Windows */}
+                <div className="bg-gray-700 p-2 rounded">
+                  <div className="text-gray-400 text-xs mb-1">Windows</div>
+                  <div className="grid grid-cols-2 gap-1">
+                    {WINDOW_POSITIONS.map(position => {
+                      const openPercent = carStatus.windows[position];
+                      return (
+                        <div key={position} className="bg-gray-600 rounded px-2 py-1">
+                          <div className="flex justify-between text-xs">
+                            <span className="text-gray-400">{WINDOW_LABELS[position]}</span>
+                            <span className={`font-mono ${openPercent > 0 ? 'text-yellow-300' : 'text-gray-300'}`}>
+                              {openPercent === 0 ? 'Closed' : `${openPercent}%`}
+                            </span>
+                          </div>
+                          <div className="h-1 bg-gray-500 rounded mt-1">
+                            <div className="h-1 bg-yellow-400 rounded" style={{ width: `${openPercent}%` }} />
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
 
@@ -844,90 +1459,160 @@ function App() {
                     <span className="text-xs text-gray-400 font-semibold">CLIMATE</span>
                   </div>
                   
+                  {/* Zone temperatures */}
+                  <div className="space-y-1 mb-2">
+                    {CLIMATE_ZONES.map(zone => (
+                      <div key={zone} className="flex items-center justify-between">
+                        <span className="text-xs text-gray-400">{CLIMATE_ZONE_LABELS[zone]}</span>
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => updateClimate(climate => setZoneTemperature(climate, zone, climate.zones[zone] - 1))}
+                            className="bg-gray-600 hover:bg-gray-500 text-white rounded px-2 py-1 text-xs"
+                          >
+                            −
+                          </button>
+                          <span className="text-white font-semibold text-sm min-w-[3rem] text-center">
+                            {carStatus.climate.zones[zone]}°C
+                          </span>
+                          <button
+                            onClick={() => updateClimate(climate => setZoneTemperature(climate, zone, climate.zones[zone] + 1))}
+                            className="bg-gray-600 hover:bg-gray-500 text-white rounded px-2 py-1 text-xs"
+                          >
+                            +
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Fan */}
                   <div className="flex items-center justify-between mb-2">
-                    <span className="text-xs text-gray-400">Temperature</span>
+                    <span className="text-xs text-gray-400 flex items-center gap-1"><Fan size={12} /> Fan</span>
                     <div className="flex items-center gap-2">
                       <button
-                        onClick={() => setCarStatus({...carStatus, temperature: Math.max(16, carStatus.temperature - 1)})}
+                        onClick={() => updateClimate(climate => ({ ...climate, fanSpeed: Math.max(0, climate.fanSpeed - 1) }))}
                         className="bg-gray-600 hover:bg-gray-500 text-white rounded px-2 py-1 text-xs"
                       >
                         −
                       </button>
                       <span className="text-white font-semibold text-sm min-w-[3rem] text-center">
-                        {carStatus.temperature}°C
+                        {carStatus.climate.fanSpeed === 0 ? 'Off' : carStatus.climate.fanSpeed}
                       </span>
                       <button
-                        onClick={() => setCarStatus({...carStatus, temperature: Math.min(30, carStatus.temperature + 1)})}
+                        onClick={() => updateClimate(climate => ({ ...climate, fanSpeed: Math.min(MAX_FAN_SPEED, climate.fanSpeed + 1) }))}
                         className="bg-gray-600 hover:bg-gray-500 text-white rounded px-2 py-1 text-xs"
                       >
                         +
                       </button>
                     </div>
                   </div>
-                </div>
-
-                {/* Media Player */}
-                <div className="bg-gray-700 p-3 rounded border border-gray-600">
-                  <div className="flex items-center gap-2 mb-2">
-                    <Radio size={14} className="text-blue-400" />
-                    <span className="text-xs text-gray-400 font-semibold">MEDIA</span>
-                  </div>
-                  
-                  {/* Media Type Selection */}
-                  <div className="mb-2">
-                    <select 
-                      value={carStatus.mediaType}
-                      onChange={e => setCarStatus({...carStatus, mediaType: e.target.value})}
-                      className="w-full bg-gray-600 border border-gray-500 rounded p-1 text-xs text-white"
-                    >
-                      <option value="radio">Radio</option>
-                      <option value="music">Music</option>
-                      <option value="podcast">Podcast</option>
-                      <option value="audiobook">Audiobook</option>
-                    </select>
-                  </div>
 
-                  {/* Current Media Info */}
-                  <div className="text-xs font-mono mb-2 text-gray-300">
-                    {carStatus.mediaType === 'radio' && carStatus.radioStation}
-                    {carStatus.mediaType === 'music' && 'My Playlist'}
-                    {carStatus.mediaType === 'podcast' && 'Tech Talk #127'}
-                    {carStatus.mediaType === 'audiobook' && 'Digital Fortress'}
+                  {/* Toggles */}
+                  <div className="grid grid-cols-5 gap-1 mb-2">
+                    {[
+                      { key: 'sync', label: 'Sync', toggle: climate => setSync(climate, !climate.sync) },
+                      { key: 'ac', label: 'A/C' },
+                      { key: 'recirculation', label: 'Recirc' },
+                      { key: 'frontDefrost', label: 'Front' },
+                      { key: 'rearDefrost', label: 'Rear' }
+                    ].map(({ key, label, toggle }) => (
+                      <button
+                        key={key}
+                        onClick={() => updateClimate(toggle || (climate => ({ ...climate, [key]: !climate[key] })))}
+                        className={`rounded px-1 py-1 text-xs ${carStatus.climate[key] ? 'bg-orange-500 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'}`}
+                        title={key.endsWith('Defrost') ? `${label} defrost` : undefined}
+                      >
+                        {label}
+                      </button>
+                    ))}
                   </div>
 
-                  {/* Volume Control */}
-                  <div className="mb-2">
-                    <div className="flex justify-between items-center mb-1">
-                      <span className="text-xs text-gray-400">Volume</span>
-                      <span className="text-xs text-white font-semibold">{carStatus.mediaVolume}%</span>
-                    </div>
-                    <input 
-                      type="range"
-                      min="0"
-                      max="100"
-                      value={carStatus.mediaVolume}
-                      onChange={e => setCarStatus({...carStatus, mediaVolume: parseInt(e.target.value)})}
-                      className="w-full h-1 bg-gray-600 rounded-lg appearance-none slider"
-                    />
+                  {/* Seats: click cycles heat 1-3, then ventilation 1-3 on the front seats, then off */}
+                  <div className="grid grid-cols-2 gap-1">
+                    {SEAT_POSITIONS.map(seat => {
+                      const { heat, vent } = carStatus.climate.seats[seat];
+                      return (
+                        <button
+                          key={seat}
+                          onClick={() => updateClimate(climate => ({
+                            ...climate,
+                            seats: { ...climate.seats, [seat]: nextSeatSetting(seat, climate.seats[seat]) }
+                          }))}
+                          className="bg-gray-600 hover:bg-gray-500 rounded px-2 py-1 flex justify-between text-xs"
+                        >
+                          <span className="text-gray-400">{WINDOW_LABELS[seat]} seat</span>
+                          <span className={heat > 0 ? 'text-orange-300' : vent > 0 ? 'text-blue-300' : 'text-gray-300'}>
+                            {heat > 0 ? `Heat ${heat}` : vent > 0 ? `Vent ${vent}` : 'Off'}
+                          </span>
+                        </button>
+                      );
+                    })}
                   </div>
                 </div>
 
+                <MediaPanel
+                  status={carStatus}
+                  onChange={update => vehicleStore.setState(prev => ({ ...prev, ...update(prev) }))}
+                  disabled={replay.active}
+                />
+
                 {/* Navigator Status */}
                 <div className="bg-gray-700 p-3 rounded border border-gray-600">
                   <div className="flex items-center gap-2 mb-2">
                     <Navigation size={14} className="text-green-400" />
                     <span className="text-xs text-gray-400 font-semibold">NAVIGATION</span>
                   </div>
-                  <div className="text-xs text-gray-300 mb-2">
-                    <div className="truncate">{carStatus.navigationDestination}</div>
-                    <div className="text-gray-500">{carStatus.navigationDistance}</div>
-                  </div>
-                  <button 
-                    onClick={() => setCarStatus({...carStatus, navigationActive: !carStatus.navigationActive})}
-                    className={`w-full py-1 rounded text-xs ${carStatus.navigationActive ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-600 hover:bg-gray-500'}`}
-                  >
-                    {carStatus.navigationActive ? 'Active' : 'Inactive'}
-                  </button>
+                  {carStatus.navigation.active ? (
+                    <div className="text-xs text-gray-300 mb-2 space-y-1">
+                      <div className="truncate font-semibold">{carStatus.navigation.destination.name}</div>
+                      {carStatus.navigation.waypoints.length > 0 && (
+                        <div className="truncate text-gray-400">via {carStatus.navigation.waypoints.map(place => place.name).join(', ')}</div>
+                      )}
+                      <div className="flex justify-between text-gray-400">
+                        <span>{formatDistance(carStatus.navigation.remainingKm)}</span>
+                        <span>{carStatus.navigation.etaMinutes} min</span>
+                      </div>
+                      <div className="h-1 bg-gray-500 rounded">
+                        <div
+                          className="h-1 bg-green-400 rounded"
+                          style={{ width: `${(carStatus.navigation.traveledKm / carStatus.navigation.route.distanceKm) * 100}%` }}
+                        />
+                      </div>
+                      {carStatus.navigation.nextManeuver && (
+                        <div className="text-green-300 truncate" title={carStatus.navigation.nextManeuver.text}>
+                          {formatDistance(carStatus.navigation.nextManeuver.inKm)}: {carStatus.navigation.nextManeuver.text}
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="text-xs text-gray-400 mb-2 truncate">
+                      At {describeNavigation(carStatus.navigation).location}
+                    </div>
+                  )}
+                  {carStatus.navigation.active ? (
+                    <button
+                      onClick={() => vehicleStore.setState(prev => ({ ...prev, navigation: stopNavigation(prev.navigation) }))}
+                      className="w-full py-1 rounded text-xs bg-green-600 hover:bg-green-700"
+                    >
+                      Stop guidance
+                    </button>
+                  ) : (
+                    <select
+                      value=""
+                      onChange={e => {
+                        const place = navigationGraph.map.places.find(p => p.id === e.target.value);
+                        vehicleStore.setState(prev => ({ ...prev, navigation: startNavigation(prev.navigation, [place]) || prev.navigation }));
+                      }}
+                      className="w-full bg-gray-600 border border-gray-500 rounded p-1 text-xs text-white"
+                    >
+                      <option value="" disabled>Navigate to…</option>
+                      {navigationGraph.map.places
+                        .filter(place => place.node !== carStatus.navigation.location)
+                        .map(place => (
+                          <option key={place.id} value={place.id}>{place.name}</option>
+                        ))}
+                    </select>
+                  )}
                 </div>
               </div>
             </div>
@@ -951,6 +1636,7 @@ function App() {
                     log.type === 'assistant' ? 'bg-green-900/30 border-l-2 border-green-500' :
                     log.type === 'tool' ? 'bg-yellow-900/30 border-l-2 border-yellow-500' :
                     log.type === 'error' ? 'bg-red-900/30 border-l-2 border-red-500' :
+                    log.type === 'confirm' ? 'bg-purple-900/30 border-l-2 border-purple-500' :
                     'bg-gray-800/30'
                   }`}>
                     <span className="text-gray-500 shrink-0">[{log.time}]</span>
@@ -959,6 +1645,7 @@ function App() {
                       log.type === 'assistant' ? 'text-green-300' :
                       log.type === 'tool' ? 'text-yellow-300' :
                       log.type === 'error' ? 'text-red-300' :
+                      log.type === 'confirm' ? 'text-purple-300' :
                       'text-gray-300'
                     }`}>
                       {log.message}
@@ -968,22 +1655,157 @@ function App() {
                 <div ref={logsEndRef} />
               </div>
 
+              {/* Pending Confirmations */}
+              {pendingConfirmations.length > 0 && (
+                <div className="border-t border-gray-700 px-3 py-2 space-y-1">
+                  {pendingConfirmations.map(entry => (
+                    <div key={entry.id} className="flex items-center justify-between gap-2 bg-purple-900/30 border border-purple-700 rounded px-2 py-1 text-xs">
+                      <span className="text-purple-200 truncate">
+                        ❓ Awaiting confirmation: <span className="font-mono">{entry.name}</span> — {entry.reason}
+                      </span>
+                      <button
+                        onClick={() => confirmations.cancel(entry.id)}
+                        className="shrink-0 px-2 py-0.5 rounded bg-gray-600 hover:bg-gray-500 text-white"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Input Source */}
+              <div className="border-t border-gray-700 px-3 py-2 flex items-center gap-2 text-xs">
+                <span className="text-gray-400">Input</span>
+                <select
+                  value={config.inputSource}
+                  onChange={e => setConfig({ ...config, inputSource: e.target.value })}
+                  disabled={isRecording}
+                  className="bg-gray-700 border border-gray-600 rounded p-1 text-xs text-white disabled:opacity-50"
+                >
+                  {INPUT_SOURCES.map(source => (
+                    <option key={source.value} value={source.value}>{source.label}</option>
+                  ))}
+                </select>
+                {config.inputSource === 'file' && (
+                  <>
+                    <button
+                      onClick={() => inputFileRef.current?.click()}
+                      disabled={isRecording}
+                      className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded flex items-center gap-1 disabled:opacity-50"
+                      title="WAV, or raw 24 kHz mono PCM16 (.pcm/.raw); select several files for a playlist"
+                    >
+                      <FileAudio size={12} /> {inputTracks.length > 0 ? `${inputTracks.length} file(s)` : 'Choose files'}
+                    </button>
+                    <input
+                      ref={inputFileRef}
+                      type="file"
+                      multiple
+                      accept=".wav,.pcm,.raw,audio/wav,audio/x-wav"
+                      className="hidden"
+                      onChange={e => {
+                        const files = [...(e.target.files || [])];
+                        e.target.value = '';
+                        if (files.length > 0) loadInputFiles(files);
+                      }}
+                    />
+                    <select
+                      value={config.fileInputSpeed}
+                      onChange={e => setConfig({ ...config, fileInputSpeed: Number(e.target.value) })}
+                      disabled={isRecording}
+                      className="bg-gray-700 border border-gray-600 rounded p-1 text-xs text-white disabled:opacity-50"
+                      title="Streaming pace relative to real time"
+                    >
+                      {[1, 2, 4, 10].map(speed => (
+                        <option key={speed} value={speed}>{speed}x</option>
+                      ))}
+                    </select>
+                    <span className="text-gray-500 truncate">
+                      {config.sessionConfig.turn_detection ? 'server VAD' : 'manual commit'}
+                    </span>
+                  </>
+                )}
+              </div>
+
               {/* Microphone Button */}
               <div className="border-t border-gray-700 p-4 flex justify-center">
-                <button 
-                  className={`p-6 rounded-full transition transform ${
-                    isRecording ? 'bg-red-500 scale-110 animate-pulse' : 'bg-blue-600 hover:bg-blue-700 hover:scale-105'
-                  } disabled:opacity-50 disabled:cursor-not-allowed`}
-                  onClick={() => isRecording ? stopRecording() : startRecording()}
-                  disabled={!isConnected}
-                >
-                  {isRecording ? <MicOff size={28} /> : <Mic size={28} />}
-                </button>
+                {pushToTalkActive ? (
+                  <div className="flex flex-col items-center gap-2">
+                    <button
+                      className={`p-6 rounded-full transition transform select-none ${
+                        isTalking ? 'bg-red-500 scale-110 animate-pulse' : 'bg-blue-600 hover:bg-blue-700 hover:scale-105'
+                      }`}
+                      {...(config.turnMode === 'push_to_talk_hold'
+                        ? {
+                            onPointerDown: pressTalk,
+                            onPointerUp: releaseTalk,
+                            onPointerLeave: releaseTalk
+                          }
+                        : { onClick: toggleTalk })}
+                    >
+                      <Mic size={28} />
+                    </button>
+                    <div className="text-xs text-gray-400 flex items-center gap-2">
+                      {config.turnMode === 'push_to_talk_hold' ? 'Hold' : 'Tap'} the button or Space to talk
+                      {isRecording && (
+                        <button onClick={stopRecording} className="text-gray-500 hover:text-red-400 flex items-center gap-1">
+                          <MicOff size={12} /> Close mic
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex flex-col items-center gap-2">
+                    <button 
+                      className={`p-6 rounded-full transition transform ${
+                        wakeState === 'idle' ? 'bg-gray-600 hover:bg-gray-500'
+                          : isRecording ? 'bg-red-500 scale-110 animate-pulse' : 'bg-blue-600 hover:bg-blue-700 hover:scale-105'
+                      } disabled:opacity-50 disabled:cursor-not-allowed`}
+                      onClick={() => isRecording ? stopRecording() : startRecording()}
+                      disabled={!isConnected || (config.inputSource === 'file' && inputTracks.length === 0 && !isRecording)}
+                    >
+                      {isRecording ? <MicOff size={28} /> : config.inputSource === 'file' ? <FileAudio size={28} /> : <Mic size={28} />}
+                    </button>
+                    {wakeState !== 'off' && (
+                      <div className="text-xs text-gray-400 flex items-center gap-1">
+                        <Ear size={12} />
+                        {wakeState === 'idle' ? `Say "${config.wakeWord.phrase}" to start` : 'Listening…'}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
 
+            {/* Session Recording / Replay */}
+            <SessionRecording
+              recordSession={recordSession}
+              onRecordSessionChange={setRecordSession}
+              isConnected={isConnected}
+              lastRecording={lastRecording}
+              onDownload={() => downloadRecording(lastRecording)}
+              replay={replay}
+              replaySpeed={replaySpeed}
+              onReplaySpeedChange={handleReplaySpeedChange}
+              onReplayFile={startReplay}
+              onStopReplay={stopReplay}
+            />
+
+            {/* A/B benchmark across configurations */}
+            <BenchmarkPanel
+              config={config}
+              disabled={isConnected || replay.active}
+              prices={mergePrices(priceOverrides)}
+              onLog={addLog}
+            />
+
             {/* Token Usage Panel - Below Chat */}
-            <Statistics metrics={metrics} config={config} />
+            <Statistics
+              metrics={metrics}
+              config={config}
+              priceOverrides={priceOverrides}
+              onPriceOverridesChange={setPriceOverrides}
+            />
           </div>
         </div>
       </div>
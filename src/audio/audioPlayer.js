@@ -0,0 +1,101 @@
+// Plays assistant audio (24 kHz PCM16 deltas) gaplessly and keeps track of
+// how much of each assistant item has actually been heard, so a barge-in can
+// stop playback immediately and truncate the server item at the right spot.
+// All deltas are scheduled on arrival, so stop() must stop every source node.
+
+const SAMPLE_RATE = 24000;
+
+const decodePcm16 = (base64Audio) => {
+  const binaryString = atob(base64Audio);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  const pcm16 = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+  const float32 = new Float32Array(pcm16.length);
+  for (let i = 0; i < pcm16.length; i++) {
+    float32[i] = pcm16[i] / (pcm16[i] < 0 ? 0x8000 : 0x7FFF);
+  }
+  return float32;
+};
+
+export const createAudioPlayer = () => {
+  let audioContext = null;
+  let nextPlayTime = 0;
+  // Scheduled chunks: { source, itemId, start, duration } in AudioContext time (seconds)
+  let chunks = [];
+  // Total audio received per item, in ms
+  const receivedMs = new Map();
+
+  const getContext = () => {
+    if (!audioContext) {
+      audioContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: SAMPLE_RATE });
+    }
+    return audioContext;
+  };
+
+  // Schedule a delta right away, back to back with what is already queued.
+  // Returns how many ms from now the delta becomes audible (null if empty).
+  const enqueue = (base64Audio, itemId = null) => {
+    const context = getContext();
+    const samples = decodePcm16(base64Audio);
+    if (samples.length === 0) return null;
+
+    const buffer = context.createBuffer(1, samples.length, SAMPLE_RATE);
+    buffer.getChannelData(0).set(samples);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+
+    const start = Math.max(context.currentTime, nextPlayTime);
+    source.start(start);
+    nextPlayTime = start + buffer.duration;
+
+    const chunk = { source, itemId, start, duration: buffer.duration };
+    chunks.push(chunk);
+    receivedMs.set(itemId, (receivedMs.get(itemId) || 0) + buffer.duration * 1000);
+
+    source.onended = () => {
+      chunks = chunks.filter(c => c !== chunk);
+    };
+
+    // outputLatency covers the device buffer after the graph (0 where unsupported)
+    return Math.max(0, (start - context.currentTime + (context.outputLatency || 0)) * 1000);
+  };
+
+  // Milliseconds of an item that have actually been played out
+  const playedMs = (itemId) => {
+    if (!audioContext) return 0;
+    const now = audioContext.currentTime;
+    const unplayed = chunks
+      .filter(c => c.itemId === itemId)
+      .reduce((sum, c) => sum + Math.min(c.duration, Math.max(0, c.start + c.duration - now)), 0);
+    return Math.max(0, Math.round((receivedMs.get(itemId) || 0) - unplayed * 1000));
+  };
+
+  const isPlaying = () => !!audioContext && chunks.some(c => c.start + c.duration > audioContext.currentTime);
+
+  const stop = () => {
+    chunks.forEach(c => {
+      c.source.onended = null;
+      try {
+        c.source.stop();
+      } catch (e) {
+        // Already stopped
+      }
+    });
+    chunks = [];
+    nextPlayTime = 0;
+  };
+
+  const close = () => {
+    stop();
+    receivedMs.clear();
+    if (audioContext) {
+      audioContext.close();
+      audioContext = null;
+    }
+  };
+
+  return { enqueue, stop, close, playedMs, isPlaying };
+};
@@ -0,0 +1,90 @@
+import { TARGET_SAMPLE_RATE, toPcm16Chunks } from './wavFile';
+import { DEFAULT_CHUNK_MS } from './microphoneCapture';
+
+// Streams pre-decoded audio files (see loadAudioFile) as if they came from
+// the microphone: same onChunk(base64Pcm16, { samples, sampleRate }) contract
+// and start/stop/flush/setChunkMs surface as createMicrophoneCapture.
+//
+// Chunks are paced at chunkMs / speed, so speed 1 is real time. Each track is
+// followed by gapMs of silence, which server VAD needs to see the end of the
+// utterance. onTrackEnd may return a promise (e.g. until the response is
+// done); the next track waits for it.
+export const createFileInput = ({
+  tracks,
+  chunkMs = DEFAULT_CHUNK_MS,
+  speed = 1,
+  gapMs = 0,
+  onChunk,
+  onTrackStart,
+  onTrackEnd,
+  onEnd
+}) => {
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+  let currentChunkMs = chunkMs;
+
+  const sleep = (ms) => new Promise(resolve => {
+    wake = resolve;
+    timer = setTimeout(resolve, ms);
+  });
+
+  const streamTrack = async (track) => {
+    const silence = new Float32Array(Math.round(TARGET_SAMPLE_RATE * gapMs / 1000));
+    const samples = new Float32Array(track.samples.length + silence.length);
+    samples.set(track.samples);
+    const trackChunkMs = currentChunkMs;
+    const chunkSamples = Math.max(1, Math.round(TARGET_SAMPLE_RATE * trackChunkMs / 1000));
+    const chunks = toPcm16Chunks(samples, trackChunkMs);
+
+    // Paced against the start time so timer jitter does not accumulate
+    const startedAt = performance.now();
+    for (let i = 0; i < chunks.length; i++) {
+      if (stopped) return;
+      const due = startedAt + (i * trackChunkMs) / speed;
+      const wait = due - performance.now();
+      if (wait > 0) await sleep(wait);
+      if (stopped) return;
+      const remaining = samples.length - i * chunkSamples;
+      onChunk(chunks[i], { samples: Math.min(chunkSamples, remaining), sampleRate: TARGET_SAMPLE_RATE });
+    }
+  };
+
+  const play = async () => {
+    for (let index = 0; index < tracks.length && !stopped; index++) {
+      onTrackStart?.(tracks[index], index);
+      await streamTrack(tracks[index]);
+      if (stopped) return;
+      await onTrackEnd?.(tracks[index], index);
+    }
+    if (!stopped) onEnd?.();
+  };
+
+  const start = async () => {
+    if (tracks.length === 0) {
+      throw new Error('No audio files selected');
+    }
+    stopped = false;
+    play();
+    return {
+      tracks: tracks.length,
+      durationMs: tracks.reduce((sum, track) => sum + track.durationMs, 0)
+    };
+  };
+
+  // Applies from the next track on
+  const setChunkMs = (nextChunkMs) => {
+    currentChunkMs = nextChunkMs;
+  };
+
+  // Chunks are sent whole, so there is never a partial one to flush
+  const flush = () => Promise.resolve();
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    wake?.();
+  };
+
+  return { start, stop, flush, setChunkMs };
+};
@@ -0,0 +1,20 @@
+import { createMicrophoneCapture } from './microphoneCapture';
+import { createFileInput } from './fileInput';
+
+export const INPUT_SOURCES = [
+  { value: 'microphone', label: 'Microphone' },
+  { value: 'file', label: 'Audio file' }
+];
+
+// Every input source delivers 24 kHz PCM16 chunks through onChunk and exposes
+// start/stop/flush/setChunkMs, so the app streams them the same way
+export const createInputSource = (type, options) => {
+  switch (type) {
+    case 'file':
+      return createFileInput(options);
+    case 'microphone':
+      return createMicrophoneCapture(options);
+    default:
+      throw new Error(`Unknown input source: ${type}`);
+  }
+};
@@ -0,0 +1,242 @@
+// Local keyword spotting by template matching, no model download needed.
+//
+// The driver records the wake word a few times; each recording becomes a
+// template of MFCC frames. Live audio is turned into the same features and
+// compared with subsequence DTW (open start, ending at the newest frame), so a
+// detection fires right after the wake word ends. The detection threshold is
+// calibrated from how far the templates are from each other.
+
+const SAMPLE_RATE = 24000;
+const FRAME_SIZE = 600; // 25 ms
+const HOP_SIZE = 240; // 10 ms
+const FFT_SIZE = 1024;
+const MEL_BANDS = 26;
+const CEPSTRA = 13;
+const MIN_FREQUENCY = 100;
+const MAX_FREQUENCY = 6000;
+
+export const MIN_TEMPLATES = 2;
+const MIN_TEMPLATE_FRAMES = 20;
+const COOLDOWN_FRAMES = 100;
+// How long after the newest frame the wake word may have ended
+const END_SLACK_FRAMES = 20;
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+const WINDOW = Float32Array.from({ length: FRAME_SIZE }, (_, i) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)));
+
+// Triangular filters as [startBin, weights[]]
+const MEL_FILTERS = (() => {
+  const low = hzToMel(MIN_FREQUENCY);
+  const high = hzToMel(MAX_FREQUENCY);
+  const bins = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor(((FFT_SIZE + 1) * melToHz(low + ((high - low) * i) / (MEL_BANDS + 1))) / SAMPLE_RATE));
+  return Array.from({ length: MEL_BANDS }, (_, band) => {
+    const [start, center, end] = [bins[band], bins[band + 1], bins[band + 2]];
+    const weights = [];
+    for (let bin = start; bin <= end; bin++) {
+      weights.push(bin <= center
+        ? (bin - start) / Math.max(1, center - start)
+        : (end - bin) / Math.max(1, end - center));
+    }
+    return [start, weights];
+  });
+})();
+
+const DCT = Array.from({ length: CEPSTRA }, (_, k) =>
+  Float32Array.from({ length: MEL_BANDS }, (_, n) => Math.cos((Math.PI * k * (n + 0.5)) / MEL_BANDS)));
+
+// In-place iterative radix-2 FFT
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+};
+
+// One frame of FRAME_SIZE samples → { mfcc, rms }
+const analyzeFrame = (samples, offset) => {
+  const re = new Float32Array(FFT_SIZE);
+  const im = new Float32Array(FFT_SIZE);
+  let energy = 0;
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    const value = samples[offset + i];
+    energy += value * value;
+    re[i] = value * WINDOW[i];
+  }
+  fft(re, im);
+
+  const logMel = new Float32Array(MEL_BANDS);
+  MEL_FILTERS.forEach(([start, weights], band) => {
+    let sum = 0;
+    weights.forEach((weight, i) => {
+      const bin = start + i;
+      sum += weight * (re[bin] * re[bin] + im[bin] * im[bin]);
+    });
+    logMel[band] = Math.log(sum + 1e-10);
+  });
+
+  const mfcc = new Float32Array(CEPSTRA);
+  for (let k = 0; k < CEPSTRA; k++) {
+    let sum = 0;
+    for (let n = 0; n < MEL_BANDS; n++) sum += DCT[k][n] * logMel[n];
+    mfcc[k] = sum;
+  }
+  return { mfcc, rms: Math.sqrt(energy / FRAME_SIZE) };
+};
+
+// Voiced frames are the ones within 20 dB of the loudest
+const voicedFloor = (levels) => Math.max(0.005, Math.max(0, ...levels) * 0.1);
+
+// Cepstral mean normalization removes the microphone / cabin coloration.
+// The mean comes from voiced frames only, so leading / trailing silence in
+// the live window does not shift it away from the (trimmed) templates.
+const normalize = (frames, levels) => {
+  const floor = voicedFloor(levels);
+  const voiced = frames.filter((_, i) => levels[i] >= floor);
+  const mean = new Float32Array(CEPSTRA);
+  voiced.forEach(frame => frame.forEach((value, k) => { mean[k] += value / voiced.length; }));
+  return frames.map(frame => frame.map((value, k) => value - mean[k]));
+};
+
+const frameDistance = (a, b) => {
+  let sum = 0;
+  for (let k = 0; k < CEPSTRA; k++) {
+    const d = a[k] - b[k];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+};
+
+// DTW cost of template against sequence, per template frame. With
+// openStart the match may begin anywhere in sequence, and may end within
+// endSlack frames of its end.
+const dtw = (template, sequence, openStart, endSlack = 0) => {
+  const m = sequence.length;
+  let previous = new Float64Array(m);
+  let current = new Float64Array(m);
+  for (let i = 0; i < template.length; i++) {
+    for (let j = 0; j < m; j++) {
+      const cost = frameDistance(template[i], sequence[j]);
+      if (i === 0) {
+        current[j] = openStart || j === 0 ? cost : cost + current[j - 1];
+      } else if (j === 0) {
+        current[j] = cost + previous[j];
+      } else {
+        current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+      }
+    }
+    [previous, current] = [current, previous];
+  }
+  return Math.min(...previous.subarray(Math.max(0, m - 1 - endSlack))) / template.length;
+};
+
+// Whole recording → MFCC frames, trimmed to where the voice is
+export const extractTemplate = (samples) => {
+  const analyzed = [];
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += HOP_SIZE) {
+    analyzed.push(analyzeFrame(samples, offset));
+  }
+  const levels = analyzed.map(frame => frame.rms);
+  const floor = voicedFloor(levels);
+  const first = analyzed.findIndex(frame => frame.rms >= floor);
+  const last = analyzed.length - 1 - [...analyzed].reverse().findIndex(frame => frame.rms >= floor);
+  if (first < 0 || last - first + 1 < MIN_TEMPLATE_FRAMES) {
+    throw new Error('Recording too short or too quiet; say the wake word clearly');
+  }
+  const trimmed = analyzed.slice(first, last + 1);
+  return normalize(trimmed.map(frame => frame.mfcc), trimmed.map(frame => frame.rms)).map(frame => Array.from(frame));
+};
+
+// Mean DTW distance between the enrolled templates
+export const calibrateThreshold = (templates) => {
+  const distances = [];
+  templates.forEach((a, i) => templates.forEach((b, j) => {
+    if (i !== j) distances.push(dtw(a, b, false));
+  }));
+  return distances.reduce((sum, d) => sum + d, 0) / distances.length;
+};
+
+// Streaming detector. push(float samples at 24 kHz) → { detected, distance }.
+// sensitivity scales the calibrated threshold; higher accepts looser matches.
+export const createKeywordSpotter = ({ templates, sensitivity = 1.3, minRms = 0.01 }) => {
+  if (!templates || templates.length < MIN_TEMPLATES) {
+    throw new Error(`Record at least ${MIN_TEMPLATES} wake word samples`);
+  }
+  const threshold = calibrateThreshold(templates) * sensitivity;
+  const maxFrames = Math.ceil(Math.max(...templates.map(t => t.length)) * 1.5) + END_SLACK_FRAMES;
+  let pending = new Float32Array(0);
+  let frames = [];
+  let levels = [];
+  let cooldown = 0;
+
+  const push = (samples) => {
+    const buffer = new Float32Array(pending.length + samples.length);
+    buffer.set(pending);
+    buffer.set(samples, pending.length);
+    let offset = 0;
+    for (; offset + FRAME_SIZE <= buffer.length; offset += HOP_SIZE) {
+      const { mfcc, rms } = analyzeFrame(buffer, offset);
+      frames.push(mfcc);
+      levels.push(rms);
+      cooldown = Math.max(0, cooldown - 1);
+    }
+    pending = buffer.slice(offset);
+    if (frames.length > maxFrames) {
+      frames = frames.slice(-maxFrames);
+      levels = levels.slice(-maxFrames);
+    }
+
+    // Only score once enough audio is buffered and someone is actually speaking
+    if (cooldown > 0 || frames.length < maxFrames || Math.max(...levels) < minRms) {
+      return { detected: false, distance: null };
+    }
+    const window = normalize(frames, levels);
+    const distance = Math.min(...templates.map(template => dtw(template, window, true, END_SLACK_FRAMES)));
+    const detected = distance <= threshold;
+    if (detected) {
+      cooldown = COOLDOWN_FRAMES;
+      frames = [];
+      levels = [];
+    }
+    return { detected, distance };
+  };
+
+  const reset = () => {
+    pending = new Float32Array(0);
+    frames = [];
+    levels = [];
+    cooldown = 0;
+  };
+
+  return { push, reset, threshold };
+};
@@ -0,0 +1,83 @@
+import processorUrl from './pcmCaptureProcessor.js?url';
+
+export const DEFAULT_CHUNK_MS = 40;
+export const TARGET_SAMPLE_RATE = 24000;
+
+// Captures the microphone through an AudioWorklet (see pcmCaptureProcessor.js).
+// onChunk(base64Pcm16, { samples, sampleRate }) receives 24 kHz mono PCM16
+// chunks of chunkMs each, already base64-encoded for input_audio_buffer.append.
+export const createMicrophoneCapture = ({ chunkMs = DEFAULT_CHUNK_MS, onChunk }) => {
+  let audioContext = null;
+  let mediaStream = null;
+  let sourceNode = null;
+  let workletNode = null;
+  let pendingFlushes = [];
+
+  const start = async () => {
+    mediaStream = await navigator.mediaDevices.getUserMedia({
+      audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+    });
+
+    // Use the device's native rate; resampling happens in the worklet
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    await audioContext.audioWorklet.addModule(processorUrl);
+
+    sourceNode = audioContext.createMediaStreamSource(mediaStream);
+    workletNode = new AudioWorkletNode(audioContext, 'pcm-capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { targetSampleRate: TARGET_SAMPLE_RATE, chunkMs }
+    });
+    workletNode.port.onmessage = (event) => {
+      if (event.data.type === 'flushed') {
+        pendingFlushes.forEach(resolve => resolve());
+        pendingFlushes = [];
+        return;
+      }
+      const { audio, samples, sampleRate } = event.data;
+      onChunk(audio, { samples, sampleRate });
+    };
+    sourceNode.connect(workletNode);
+
+    return { contextSampleRate: audioContext.sampleRate };
+  };
+
+  const setChunkMs = (nextChunkMs) => {
+    workletNode?.port.postMessage({ type: 'config', chunkMs: nextChunkMs });
+  };
+
+  // Sends whatever is buffered in the worklet as a final (shorter) chunk.
+  // Resolves once that chunk has been handed to onChunk.
+  const flush = () => new Promise(resolve => {
+    if (!workletNode) {
+      resolve();
+      return;
+    }
+    pendingFlushes.push(resolve);
+    workletNode.port.postMessage({ type: 'flush' });
+  });
+
+  const stop = () => {
+    pendingFlushes.forEach(resolve => resolve());
+    pendingFlushes = [];
+    if (workletNode) {
+      workletNode.port.onmessage = null;
+      workletNode.disconnect();
+      workletNode = null;
+    }
+    if (sourceNode) {
+      sourceNode.disconnect();
+      sourceNode = null;
+    }
+    if (audioContext) {
+      audioContext.close();
+      audioContext = null;
+    }
+    if (mediaStream) {
+      mediaStream.getTracks().forEach(track => track.stop());
+      mediaStream = null;
+    }
+  };
+
+  return { start, stop, flush, setChunkMs };
+};
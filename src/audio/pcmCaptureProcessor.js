@@ -0,0 +1,117 @@
+/* global sampleRate */
+
+// AudioWorklet processor for microphone capture.
+// Runs off the main thread: downmixes to mono, resamples from the context
+// rate (browsers often ignore the requested sampleRate) to 24 kHz, converts
+// to PCM16, and posts base64 chunks of a configurable duration.
+// Loaded as a standalone module, so it must not import anything.
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const encodeBase64 = (bytes) => {
+  let output = '';
+  let i = 0;
+  for (; i + 2 < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    output += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63] + BASE64_ALPHABET[(n >> 6) & 63] + BASE64_ALPHABET[n & 63];
+  }
+  const remaining = bytes.length - i;
+  if (remaining === 1) {
+    const n = bytes[i] << 16;
+    output += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63] + '==';
+  } else if (remaining === 2) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8);
+    output += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63] + BASE64_ALPHABET[(n >> 6) & 63] + '=';
+  }
+  return output;
+};
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { targetSampleRate = 24000, chunkMs = 40 } = options.processorOptions || {};
+    this.targetSampleRate = targetSampleRate;
+    this.ratio = sampleRate / targetSampleRate;
+    // Read position in the current input block; -1 refers to the last sample of the previous block
+    this.position = 0;
+    this.previousSample = 0;
+    // One-pole low-pass below the target Nyquist frequency to limit aliasing when downsampling
+    this.lowPassAlpha = this.ratio > 1 ? 1 - Math.exp(-2 * Math.PI * (targetSampleRate * 0.45) / sampleRate) : 1;
+    this.lowPassState = 0;
+    this.setChunkMs(chunkMs);
+
+    this.port.onmessage = (event) => {
+      const { type } = event.data || {};
+      if (type === 'config') {
+        this.flush();
+        this.setChunkMs(event.data.chunkMs);
+      } else if (type === 'flush') {
+        this.flush();
+        // Lets the main thread know every captured sample has been posted
+        this.port.postMessage({ type: 'flushed' });
+      }
+    };
+  }
+
+  setChunkMs(chunkMs) {
+    this.chunkMs = chunkMs;
+    this.chunkSamples = Math.max(1, Math.round(this.targetSampleRate * chunkMs / 1000));
+    this.chunk = new Int16Array(this.chunkSamples);
+    this.filled = 0;
+  }
+
+  flush() {
+    if (this.filled === 0) return;
+    const samples = this.chunk.subarray(0, this.filled);
+    this.port.postMessage({
+      audio: encodeBase64(new Uint8Array(samples.buffer, samples.byteOffset, samples.byteLength)),
+      samples: this.filled,
+      sampleRate: this.targetSampleRate
+    });
+    this.chunk = new Int16Array(this.chunkSamples);
+    this.filled = 0;
+  }
+
+  pushSample(value) {
+    const s = Math.max(-1, Math.min(1, value));
+    this.chunk[this.filled++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    if (this.filled === this.chunkSamples) {
+      this.flush();
+    }
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0 || input[0].length === 0) {
+      return true;
+    }
+
+    // Downmix and low-pass
+    const length = input[0].length;
+    const mono = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let c = 0; c < input.length; c++) {
+        sum += input[c][i];
+      }
+      this.lowPassState += this.lowPassAlpha * (sum / input.length - this.lowPassState);
+      mono[i] = this.lowPassState;
+    }
+
+    // Linear-interpolation resampling to the target rate
+    while (this.position < length - 1) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+      const a = index < 0 ? this.previousSample : mono[index];
+      const b = mono[index + 1];
+      this.pushSample(a + (b - a) * fraction);
+      this.position += this.ratio;
+    }
+    this.position -= length;
+    this.previousSample = mono[length - 1];
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
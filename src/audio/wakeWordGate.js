@@ -0,0 +1,102 @@
+import { createKeywordSpotter } from './keywordSpotter';
+import { pcm16Base64ToFloat } from './wavFile';
+
+const STORAGE_KEY = 'voice_live_wake_word_templates';
+
+export const DEFAULT_WAKE_WORD = {
+  enabled: false,
+  phrase: 'Hey Car',
+  sensitivity: 1.3,
+  preRollMs: 500,
+  silenceTimeoutMs: 8000
+};
+
+const rmsOf = (samples) => {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return samples.length ? Math.sqrt(sum / samples.length) : 0;
+};
+
+// Sits between an input source and input_audio_buffer.append. While idle,
+// audio stays in the browser: it only feeds the keyword spotter and a
+// pre-roll buffer of the last preRollMs. On detection the pre-roll is
+// forwarded first (so a command spoken right after the wake word is not
+// clipped), then every chunk until silenceTimeoutMs pass without the driver
+// speaking or the assistant answering, which returns the gate to idle.
+export const createWakeWordGate = ({
+  templates,
+  sensitivity = DEFAULT_WAKE_WORD.sensitivity,
+  preRollMs = DEFAULT_WAKE_WORD.preRollMs,
+  silenceTimeoutMs = DEFAULT_WAKE_WORD.silenceTimeoutMs,
+  speechRms = 0.02,
+  forward,
+  onWake,
+  onSleep
+}) => {
+  const spotter = createKeywordSpotter({ templates, sensitivity });
+  let state = 'idle';
+  let preRoll = [];
+  let preRollSamples = 0;
+  let lastActivityAt = 0;
+
+  const sleep = () => {
+    if (state === 'idle') return;
+    state = 'idle';
+    spotter.reset();
+    onSleep?.();
+  };
+
+  const process = (base64, { samples, sampleRate }) => {
+    const pcm = pcm16Base64ToFloat(base64);
+    const now = Date.now();
+
+    if (state === 'listening') {
+      forward(base64);
+      if (rmsOf(pcm) >= speechRms) lastActivityAt = now;
+      if (now - lastActivityAt >= silenceTimeoutMs) sleep();
+      return;
+    }
+
+    preRoll.push({ base64, samples });
+    preRollSamples += samples;
+    const maxSamples = (sampleRate * preRollMs) / 1000;
+    while (preRoll.length > 1 && preRollSamples - preRoll[0].samples >= maxSamples) {
+      preRollSamples -= preRoll.shift().samples;
+    }
+
+    const { detected, distance } = spotter.push(pcm);
+    if (!detected) return;
+    state = 'listening';
+    lastActivityAt = now;
+    preRoll.forEach(chunk => forward(chunk.base64));
+    preRoll = [];
+    preRollSamples = 0;
+    onWake?.({ distance, threshold: spotter.threshold });
+  };
+
+  // Server-side activity (speech detected, response audio) that should
+  // hold the gate open even when the microphone itself is quiet
+  const keepAlive = () => {
+    lastActivityAt = Date.now();
+  };
+
+  return { process, keepAlive, sleep, getState: () => state };
+};
+
+export const loadWakeWordTemplates = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn('Ignoring saved wake word samples:', error.message);
+    return [];
+  }
+};
+
+export const saveWakeWordTemplates = (templates) => {
+  if (templates.length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  }
+};
@@ -0,0 +1,170 @@
+// WAV / raw PCM decoding and conversion to the 24 kHz PCM16 chunks the
+// realtime API expects in input_audio_buffer.append. Runs on the main thread,
+// so it is meant for pre-recorded audio rather than live capture.
+
+export const TARGET_SAMPLE_RATE = 24000;
+
+const readString = (view, offset, length) => {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+};
+
+// Decodes PCM (8/16/24/32-bit) or IEEE float WAV data, downmixed to mono.
+// Returns { sampleRate, channels, samples: Float32Array, durationMs }.
+export const decodeWav = (arrayBuffer) => {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+  }
+
+  let format = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readString(view, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (chunkId === 'fmt ') {
+      let audioFormat = view.getUint16(body, true);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (audioFormat === 0xFFFE && chunkSize >= 26) {
+        audioFormat = view.getUint16(body + 24, true);
+      }
+      format = {
+        audioFormat,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+    } else if (chunkId === 'data') {
+      dataOffset = body;
+      dataLength = Math.min(chunkSize, view.byteLength - body);
+      break;
+    }
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || dataOffset < 0) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const isFloat = audioFormat === 3;
+  if (audioFormat !== 1 && !isFloat) {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}); use PCM or IEEE float`);
+  }
+  if (isFloat ? bitsPerSample !== 32 : ![8, 16, 24, 32].includes(bitsPerSample)) {
+    throw new Error(`Unsupported WAV sample size: ${bitsPerSample} bits`);
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(dataLength / (bytesPerSample * channels));
+  const readSample = (position) => {
+    if (isFloat) return view.getFloat32(position, true);
+    switch (bitsPerSample) {
+      case 8: return (view.getUint8(position) - 128) / 128;
+      case 16: return view.getInt16(position, true) / 0x8000;
+      case 24: {
+        const value = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+        return value / 0x800000;
+      }
+      default: return view.getInt32(position, true) / 0x80000000;
+    }
+  };
+
+  const samples = new Float32Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(dataOffset + (frame * channels + channel) * bytesPerSample);
+    }
+    samples[frame] = sum / channels;
+  }
+
+  return { sampleRate, channels, samples, durationMs: (frameCount / sampleRate) * 1000 };
+};
+
+// Linear-interpolation resampling, same approach as the capture worklet
+export const resampleLinear = (samples, fromRate, toRate = TARGET_SAMPLE_RATE) => {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const length = Math.floor(samples.length / ratio);
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = samples[index];
+    const b = index + 1 < samples.length ? samples[index + 1] : a;
+    output[i] = a + (b - a) * fraction;
+  }
+  return output;
+};
+
+const floatToPcm16Base64 = (samples) => {
+  const pcm16 = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm16[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+  }
+  const bytes = new Uint8Array(pcm16.buffer);
+  let binary = '';
+  // String.fromCharCode has an argument limit, so convert in slices
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+// Splits 24 kHz float samples into base64 PCM16 chunks of chunkMs each
+export const toPcm16Chunks = (samples, chunkMs = 100, sampleRate = TARGET_SAMPLE_RATE) => {
+  const chunkSamples = Math.max(1, Math.round(sampleRate * chunkMs / 1000));
+  const chunks = [];
+  for (let i = 0; i < samples.length; i += chunkSamples) {
+    chunks.push(floatToPcm16Base64(samples.subarray(i, i + chunkSamples)));
+  }
+  return chunks;
+};
+
+// Headerless little-endian PCM16, mono
+export const decodePcm16 = (arrayBuffer, sampleRate = TARGET_SAMPLE_RATE) => {
+  const pcm16 = new Int16Array(arrayBuffer, 0, Math.floor(arrayBuffer.byteLength / 2));
+  const samples = new Float32Array(pcm16.length);
+  for (let i = 0; i < pcm16.length; i++) {
+    samples[i] = pcm16[i] / 0x8000;
+  }
+  return { sampleRate, channels: 1, samples, durationMs: (samples.length / sampleRate) * 1000 };
+};
+
+// Inverse of the chunks produced by capture / toPcm16Chunks
+export const pcm16Base64ToFloat = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return decodePcm16(bytes.buffer).samples;
+};
+
+const isWav = (arrayBuffer) => {
+  if (arrayBuffer.byteLength < 4) return false;
+  const view = new DataView(arrayBuffer);
+  return readString(view, 0, 4) === 'RIFF';
+};
+
+// Reads a WAV or raw PCM16 File/Blob and returns it as 24 kHz mono float samples.
+// Raw files carry no header, so their rate comes from pcmSampleRate.
+export const loadAudioFile = async (file, { pcmSampleRate = TARGET_SAMPLE_RATE } = {}) => {
+  const arrayBuffer = await file.arrayBuffer();
+  const decoded = isWav(arrayBuffer) ? decodeWav(arrayBuffer) : decodePcm16(arrayBuffer, pcmSampleRate);
+  return {
+    name: file.name,
+    sourceSampleRate: decoded.sampleRate,
+    durationMs: decoded.durationMs,
+    samples: resampleLinear(decoded.samples, decoded.sampleRate, TARGET_SAMPLE_RATE)
+  };
+};
@@ -0,0 +1,236 @@
+import React, { useRef, useState } from 'react';
+import { FlaskConical, FileAudio, FileJson, Plus, X, Play, Square, Download } from 'lucide-react';
+import { loadAudioFile } from '../audio/wavFile';
+import { createBenchmarkRunner, describeConfiguration, parseBenchmarkScript } from '../services/benchmarkRunner';
+import { describeSession, downloadMetricsReport } from '../utils/metricsReport';
+import { ComparisonTable } from './ReportComparison';
+
+const currentConfiguration = (config) => {
+  const { model, voice, modelCategory } = describeSession(config);
+  return { modelCategory, model, voice };
+};
+
+export default function BenchmarkPanel({ config, disabled, prices, onLog }) {
+  const wavInputRef = useRef(null);
+  const scriptInputRef = useRef(null);
+  const runnerRef = useRef(null);
+  const [wavFiles, setWavFiles] = useState({});
+  const [script, setScript] = useState(null);
+  const [configurations, setConfigurations] = useState(() => [currentConfiguration(config)]);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+
+  // Script order and expectations when a script is loaded, otherwise every WAV by name
+  const utterances = script
+    ? script.utterances.map(entry => ({ ...entry, name: entry.file, audio: wavFiles[entry.file] }))
+    : Object.keys(wavFiles).sort().map(name => ({ name, audio: wavFiles[name] }));
+  const missing = utterances.filter(utterance => !utterance.audio).map(utterance => utterance.name);
+
+  const loadWavs = async (files) => {
+    const loaded = {};
+    for (const file of files) {
+      try {
+        loaded[file.name] = await loadAudioFile(file);
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    }
+    setWavFiles(prev => ({ ...prev, ...loaded }));
+  };
+
+  const loadScript = async (file) => {
+    try {
+      setScript(parseBenchmarkScript(await file.text()));
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const addCurrentConfiguration = () => {
+    const next = currentConfiguration(config);
+    setConfigurations(prev => (
+      prev.some(existing => describeConfiguration(existing) === describeConfiguration(next)) ? prev : [...prev, next]
+    ));
+  };
+
+  const run = async () => {
+    if (!config.endpoint || !config.apiKey) {
+      setError('Benchmarks need an Endpoint and API Key');
+      return;
+    }
+    setError(null);
+    setResults([]);
+    setRunning(true);
+    const runner = createBenchmarkRunner({
+      baseConfig: config,
+      configurations,
+      utterances: utterances.map(({ name, audio, expectedTools }) => ({ name, samples: audio.samples, expectedTools })),
+      prices,
+      onLog,
+      onProgress: setProgress
+    });
+    runnerRef.current = runner;
+    try {
+      setResults(await runner.run());
+      onLog('🏁 Benchmark finished');
+    } finally {
+      runnerRef.current = null;
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const reports = results.filter(result => result.report).map(result => result.report);
+  const canRun = !disabled && !running && configurations.length > 0 && utterances.length > 0 && missing.length === 0;
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-semibold flex items-center gap-2">
+          <FlaskConical size={16} /> A/B Benchmark
+        </h3>
+        {running ? (
+          <button
+            onClick={() => runnerRef.current?.cancel()}
+            className="px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-xs font-semibold flex items-center gap-1"
+          >
+            <Square size={12} /> Cancel
+          </button>
+        ) : (
+          <button
+            onClick={run}
+            disabled={!canRun}
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs font-semibold flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+            title={disabled ? 'Disconnect and stop any replay first' : undefined}
+          >
+            <Play size={12} /> Run
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 text-xs mb-2">
+        {/* Utterances */}
+        <div className="bg-gray-700 p-2 rounded">
+          <div className="flex justify-between items-center mb-1">
+            <span className="text-gray-400">Utterances ({utterances.length})</span>
+            <div className="flex gap-1">
+              <button
+                onClick={() => wavInputRef.current?.click()}
+                disabled={running}
+                className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded flex items-center gap-1 disabled:opacity-50"
+              >
+                <FileAudio size={12} /> WAV
+              </button>
+              <button
+                onClick={() => scriptInputRef.current?.click()}
+                disabled={running}
+                className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded flex items-center gap-1 disabled:opacity-50"
+                title='Optional script: {"utterances": [{"file": "lights.wav", "expectedTools": [{"name": "control_headlights", "arguments": {"state": "on"}}]}]}'
+              >
+                <FileJson size={12} /> Script
+              </button>
+            </div>
+            <input
+              ref={wavInputRef}
+              type="file"
+              multiple
+              accept=".wav,.pcm,.raw,audio/wav,audio/x-wav"
+              className="hidden"
+              onChange={e => {
+                const files = [...(e.target.files || [])];
+                e.target.value = '';
+                setError(null);
+                loadWavs(files);
+              }}
+            />
+            <input
+              ref={scriptInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={e => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                setError(null);
+                if (file) loadScript(file);
+              }}
+            />
+          </div>
+          <div className="max-h-24 overflow-y-auto space-y-0.5">
+            {utterances.map(utterance => (
+              <div key={utterance.name} className={`truncate ${utterance.audio ? 'text-gray-300' : 'text-red-400'}`}>
+                {utterance.name}
+                {utterance.audio && <span className="text-gray-500"> {(utterance.audio.durationMs / 1000).toFixed(1)}s</span>}
+                {utterance.expectedTools && (
+                  <span className="text-gray-500"> → {utterance.expectedTools.map(tool => tool.name).join(', ') || 'no tools'}</span>
+                )}
+              </div>
+            ))}
+          </div>
+          {missing.length > 0 && <div className="text-red-400 mt-1">Load the WAV files listed in red</div>}
+        </div>
+
+        {/* Configurations */}
+        <div className="bg-gray-700 p-2 rounded">
+          <div className="flex justify-between items-center mb-1">
+            <span className="text-gray-400">Configurations ({configurations.length})</span>
+            <button
+              onClick={addCurrentConfiguration}
+              disabled={running}
+              className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded flex items-center gap-1 disabled:opacity-50"
+              title="Add the architecture, model and voice selected in Advanced Settings"
+            >
+              <Plus size={12} /> Current
+            </button>
+          </div>
+          <div className="max-h-24 overflow-y-auto space-y-0.5">
+            {configurations.map((configuration, index) => (
+              <div key={describeConfiguration(configuration)} className="flex justify-between items-center gap-1 text-gray-300">
+                <span className="truncate">{describeConfiguration(configuration)}</span>
+                <button
+                  onClick={() => setConfigurations(prev => prev.filter((_, i) => i !== index))}
+                  disabled={running}
+                  className="text-gray-500 hover:text-red-400"
+                >
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {progress && (
+        <div className="text-xs text-gray-400 mb-2">
+          Configuration {progress.configIndex + 1}/{progress.configCount} · utterance {progress.utteranceIndex + 1}/{progress.utteranceCount}
+        </div>
+      )}
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+
+      {results.length > 0 && (
+        <>
+          {reports.length > 0 && <ComparisonTable reports={reports} />}
+          <div className="mt-2 flex flex-wrap gap-1 text-xs">
+            {results.map(result => (
+              result.report ? (
+                <button
+                  key={result.report.name}
+                  onClick={() => downloadMetricsReport(result.report, 'json')}
+                  className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded flex items-center gap-1"
+                >
+                  <Download size={12} /> {result.report.name}
+                </button>
+              ) : (
+                <span key={describeConfiguration(result.configuration)} className="px-2 py-0.5 text-red-400">
+                  {describeConfiguration(result.configuration)}: {result.error}
+                </span>
+              )
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { PlugZap, Unplug } from 'lucide-react';
+import {
+  CHARGERS,
+  DEFAULT_CHARGER,
+  MAX_CHARGE_LIMIT,
+  MIN_CHARGE_LIMIT,
+  setChargeLimit,
+  startCharging,
+  stopCharging
+} from '../services/chargingSimulator';
+
+const STATE_LABELS = {
+  unplugged: 'Unplugged',
+  charging: 'Charging',
+  complete: 'Charged to limit'
+};
+
+// Plug state, charger choice and charge limit. onChange receives a
+// function from the vehicle status to the next charging state.
+export default function ChargingPanel({ status, onChange, disabled }) {
+  const { charging } = status;
+  const [charger, setCharger] = useState(DEFAULT_CHARGER);
+
+  return (
+    <div className="bg-gray-700 p-2 rounded text-xs space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-400">Charging</span>
+        <span className={charging.state === 'charging' ? 'text-green-400' : 'text-gray-300'}>
+          {STATE_LABELS[charging.state]}
+          {charging.pluggedIn && ` · ${CHARGERS[charging.charger].name}`}
+        </span>
+      </div>
+
+      <div className="flex items-center gap-1">
+        {charging.pluggedIn ? (
+          <button
+            onClick={() => onChange(stopCharging)}
+            disabled={disabled}
+            className="flex-1 px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded flex items-center justify-center gap-1 disabled:opacity-50"
+          >
+            <Unplug size={12} /> Unplug
+          </button>
+        ) : (
+          <>
+            <select
+              value={charger}
+              onChange={e => setCharger(e.target.value)}
+              disabled={disabled}
+              className="flex-1 bg-gray-800 border border-gray-600 rounded p-1 text-white disabled:opacity-50"
+            >
+              {Object.entries(CHARGERS).map(([id, { name }]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onChange(current => startCharging(current, charger))}
+              disabled={disabled}
+              className="px-2 py-1 bg-green-700 hover:bg-green-600 rounded flex items-center gap-1 disabled:opacity-50"
+              title="Parks the car (the drive cycle pauses) and starts charging"
+            >
+              <PlugZap size={12} /> Plug in
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span className="text-gray-400">Limit</span>
+        <input
+          type="range"
+          min={MIN_CHARGE_LIMIT}
+          max={MAX_CHARGE_LIMIT}
+          step="5"
+          value={charging.limit}
+          onChange={e => onChange(current => setChargeLimit(current, Number(e.target.value)))}
+          disabled={disabled}
+          className="flex-1"
+        />
+        <span className="font-mono">{charging.limit}%</span>
+      </div>
+
+      {charging.pluggedIn && (
+        <div className="flex justify-between text-gray-400">
+          <span>Power <span className="font-mono text-gray-300">{charging.powerKw} kW</span></span>
+          <span>Added <span className="font-mono text-gray-300">{charging.addedKwh.toFixed(1)} kWh</span></span>
+          <span>
+            To limit{' '}
+            <span className="font-mono text-gray-300">{charging.minutesToLimit === null ? '—' : `${charging.minutesToLimit} min`}</span>
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useRef, useState } from 'react';
+import { DollarSign, Upload, Pencil, RotateCcw } from 'lucide-react';
+import { PRICE_FIELDS, costOf, formatCost, mergePrices, parsePriceTable } from '../utils/pricing';
+
+const RECENT_TURNS = 8;
+
+export default function CostEstimate({ usage, model, priceOverrides, onPriceOverridesChange }) {
+  const fileInputRef = useRef(null);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+
+  const prices = mergePrices(priceOverrides);
+  const responseCosts = usage.map(entry => ({ ...entry, cost: costOf(entry.tokens, entry.model, prices) }));
+  const unpriced = [...new Set(responseCosts.filter(response => response.cost === null).map(response => response.model))];
+  const priced = responseCosts.filter(response => response.cost !== null);
+  const sessionCost = priced.reduce((sum, response) => sum + response.cost, 0);
+
+  // Usage is recorded per response.done; a turn with a tool call has several
+  // responses, so they are summed per turn id before averaging
+  const turnCosts = priced.reduce((turns, response) => {
+    const index = response.turnId === null ? -1 : turns.findIndex(turn => turn.turnId === response.turnId);
+    if (index === -1) {
+      return [...turns, { turnId: response.turnId, cost: response.cost }];
+    }
+    return turns.map((turn, i) => (i === index ? { ...turn, cost: turn.cost + response.cost } : turn));
+  }, []);
+  const avgCost = turnCosts.length > 0 ? sessionCost / turnCosts.length : 0;
+  const lastCost = turnCosts.length > 0 ? turnCosts[turnCosts.length - 1].cost : 0;
+
+  // Session cost split by token bucket
+  const bucketCosts = PRICE_FIELDS.map(field => ({
+    ...field,
+    cost: priced.reduce((sum, response) => sum + ((response.tokens[field.key] || 0) * (prices[response.model][field.key] || 0)) / 1e6, 0)
+  }));
+
+  const applyOverrides = (text) => {
+    try {
+      onPriceOverridesChange(parsePriceTable(text));
+      setError(null);
+      setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startEditing = () => {
+    // Start from the current model's effective rates if nothing is overridden yet
+    const initial = Object.keys(priceOverrides).length > 0
+      ? priceOverrides
+      : { [model]: prices[model] || {} };
+    setDraft(JSON.stringify(initial, null, 2));
+    setError(null);
+    setEditing(true);
+  };
+
+  const isOverridden = Object.keys(priceOverrides).length > 0;
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-xs text-gray-400 font-semibold flex items-center gap-1">
+          <DollarSign size={12} /> Estimated Cost ({model}{isOverridden ? ', custom prices' : ''})
+        </h4>
+        <div className="flex gap-1">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs flex items-center gap-1"
+            title="Import a price table (USD per 1M tokens) as JSON"
+          >
+            <Upload size={12} /> Import
+          </button>
+          <button
+            onClick={() => (editing ? setEditing(false) : startEditing())}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs flex items-center gap-1"
+          >
+            <Pencil size={12} /> Edit
+          </button>
+          <button
+            onClick={() => onPriceOverridesChange({})}
+            disabled={!isOverridden}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Reset to default prices"
+          >
+            <RotateCcw size={12} />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={async e => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file) applyOverrides(await file.text());
+            }}
+          />
+        </div>
+      </div>
+
+      {editing && (
+        <div className="mb-2">
+          <textarea
+            value={draft}
+            onChange={e => setDraft(e.target.value)}
+            rows={8}
+            className="w-full bg-gray-900 border border-gray-600 rounded p-2 text-xs font-mono text-white"
+          />
+          <div className="flex justify-between items-center mt-1">
+            <span className="text-xs text-gray-500">USD per 1M tokens; fields: {PRICE_FIELDS.map(f => f.key).join(', ')}</span>
+            <button
+              onClick={() => applyOverrides(draft)}
+              className="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs font-semibold"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+      )}
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+
+      <div className="grid grid-cols-3 gap-2 text-xs mb-2">
+        <div className="bg-gray-700 p-2 rounded">
+          <div className="text-gray-400">Session</div>
+          <div className="text-green-400 font-semibold">{formatCost(sessionCost)}</div>
+        </div>
+        <div className="bg-gray-700 p-2 rounded">
+          <div className="text-gray-400">Avg / Turn</div>
+          <div className="text-white font-semibold">{formatCost(avgCost)}</div>
+        </div>
+        <div className="bg-gray-700 p-2 rounded">
+          <div className="text-gray-400">Last Turn</div>
+          <div className="text-white font-semibold">{formatCost(lastCost)}</div>
+        </div>
+      </div>
+
+      <div className="text-xs text-gray-400 flex flex-wrap gap-x-3">
+        {bucketCosts.filter(bucket => bucket.cost > 0).map(bucket => (
+          <span key={bucket.key}>{bucket.label}: <span className="text-white">{formatCost(bucket.cost)}</span></span>
+        ))}
+      </div>
+
+      {turnCosts.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-1 text-xs">
+          {turnCosts.slice(-RECENT_TURNS).map((turn, index) => (
+            <span key={index} className="bg-gray-700 px-2 py-0.5 rounded text-gray-300">
+              {turn.turnId !== null ? `#${turn.turnId} ` : ''}{formatCost(turn.cost)}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {unpriced.length > 0 && (
+        <div className="mt-2 text-xs text-yellow-400">No prices for {unpriced.join(', ')}; import a price table to include them.</div>
+      )}
+    </div>
+  );
+}
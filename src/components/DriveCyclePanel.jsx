@@ -0,0 +1,154 @@
+import React, { useRef, useState } from 'react';
+import { Pause, Play, Repeat, Upload } from 'lucide-react';
+import {
+  buildDriveCycle,
+  DRIVE_CYCLE_TABLES,
+  DRIVE_CYCLES,
+  IMPORTABLE_TABLES,
+  parseCycleTable,
+  phaseAt,
+  PLAYBACK_RATES,
+  validateCycleTable
+} from '../services/driveCycles';
+
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Selector and transport controls for the drive cycle that sets the simulated speed
+export default function DriveCyclePanel({ player, state, importedTables, onImportedTablesChange, disabled }) {
+  const [importTable, setImportTable] = useState(IMPORTABLE_TABLES[0]);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  const cycle = player.getCycle();
+  const phase = phaseAt(cycle, state.positionS);
+
+  const selectCycle = (cycleId) => {
+    const next = buildDriveCycle(cycleId, importedTables);
+    if (next) player.select(next);
+  };
+
+  const importFile = async (file) => {
+    setError(null);
+    try {
+      const speeds = validateCycleTable(importTable, parseCycleTable(await file.text()));
+      const tables = { ...importedTables, [importTable]: speeds };
+      onImportedTablesChange(tables);
+      // Pick up the new table if the running cycle is built from it
+      if (DRIVE_CYCLES.find(c => c.id === cycle.id).parts.some(part => part.table === importTable)) {
+        const positionS = state.positionS;
+        player.select(buildDriveCycle(cycle.id, tables));
+        player.seek(positionS);
+      }
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-700 p-2 rounded text-xs space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-400">Drive Cycle</span>
+        <span className="text-gray-500">{phase.name}</span>
+      </div>
+
+      <div className="flex items-center gap-1">
+        <select
+          value={state.cycleId}
+          onChange={e => selectCycle(e.target.value)}
+          disabled={disabled}
+          className="flex-1 bg-gray-800 border border-gray-600 rounded p-1 text-white disabled:opacity-50"
+          title={cycle.description}
+        >
+          {DRIVE_CYCLES.map(definition => {
+            const available = buildDriveCycle(definition.id, importedTables) !== null;
+            return (
+              <option key={definition.id} value={definition.id} disabled={!available}>
+                {definition.name}{available ? '' : ' (import table)'}
+              </option>
+            );
+          })}
+        </select>
+        <button
+          onClick={() => (state.playing ? player.pause() : player.play())}
+          disabled={disabled}
+          className="p-1 bg-gray-600 hover:bg-gray-500 rounded disabled:opacity-50"
+          title={state.playing ? 'Pause (the car stops)' : 'Play'}
+        >
+          {state.playing ? <Pause size={12} /> : <Play size={12} />}
+        </button>
+        <button
+          onClick={() => player.setLoop(!state.loop)}
+          disabled={disabled}
+          className={`p-1 rounded disabled:opacity-50 ${state.loop ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-600 hover:bg-gray-500'}`}
+          title="Loop"
+        >
+          <Repeat size={12} />
+        </button>
+        <select
+          value={state.rate}
+          onChange={e => player.setRate(Number(e.target.value))}
+          disabled={disabled}
+          className="bg-gray-800 border border-gray-600 rounded p-1 text-white disabled:opacity-50"
+          title="Playback speed"
+        >
+          {PLAYBACK_RATES.map(rate => (
+            <option key={rate} value={rate}>{rate}×</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span className="font-mono text-gray-300">{formatTime(state.positionS)}</span>
+        <input
+          type="range"
+          min="0"
+          max={cycle.durationS}
+          value={Math.round(state.positionS)}
+          onChange={e => player.seek(Number(e.target.value))}
+          disabled={disabled}
+          className="flex-1"
+        />
+        <span className="font-mono text-gray-500">{formatTime(cycle.durationS)}</span>
+      </div>
+
+      {/* Only for tables that are not bundled yet */}
+      {IMPORTABLE_TABLES.length > 0 && (
+        <div className="flex items-center gap-1">
+          <select
+            value={importTable}
+            onChange={e => setImportTable(e.target.value)}
+            className="flex-1 bg-gray-800 border border-gray-600 rounded p-1 text-white"
+            title={`Expected file: ${DRIVE_CYCLE_TABLES[importTable].file}`}
+          >
+            {IMPORTABLE_TABLES.map(id => (
+              <option key={id} value={id}>
+                {DRIVE_CYCLE_TABLES[id].name}{importedTables[id] ? ' ✓' : ''}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => fileRef.current?.click()}
+            className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded flex items-center gap-1"
+            title={`Import ${DRIVE_CYCLE_TABLES[importTable].file}`}
+          >
+            <Upload size={12} /> Import
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".txt,.csv"
+            className="hidden"
+            onChange={e => {
+              if (e.target.files[0]) importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      )}
+      {error && <div className="text-red-400">{error}</div>}
+    </div>
+  );
+}
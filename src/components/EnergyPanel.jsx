@@ -0,0 +1,77 @@
+import React from 'react';
+import { Zap } from 'lucide-react';
+import { describeEnergy, VEHICLE_PRESETS } from '../utils/energyModel';
+
+// Vehicle preset, outside temperature and where the battery power goes
+export default function EnergyPanel({ status, onPresetChange, onOutsideTemperatureChange, disabled }) {
+  const energy = describeEnergy(status);
+  const loads = [
+    { key: 'traction', label: 'Drive', value: energy.loadsKw.traction },
+    { key: 'hvac', label: 'HVAC', value: energy.loadsKw.hvac },
+    { key: 'auxiliary', label: 'Aux', value: energy.loadsKw.auxiliary }
+  ];
+
+  return (
+    <div className="bg-gray-700 p-2 rounded text-xs space-y-2">
+      <div className="flex items-center gap-2">
+        <Zap size={12} className="text-yellow-400" />
+        <select
+          value={status.energy.presetId}
+          onChange={e => onPresetChange(e.target.value)}
+          disabled={disabled}
+          className="flex-1 bg-gray-800 border border-gray-600 rounded p-1 text-white disabled:opacity-50"
+        >
+          {VEHICLE_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name} ({preset.batteryKwh} kWh)</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <div className="text-gray-400">Consumption</div>
+          <div className="font-mono">{energy.consumptionKwhPer100Km}</div>
+          <div className="text-gray-500">kWh/100 km</div>
+        </div>
+        <div>
+          <div className="text-gray-400">Power</div>
+          <div className={`font-mono ${energy.powerKw < 0 ? 'text-green-400' : ''}`}>{energy.powerKw}</div>
+          <div className="text-gray-500">kW</div>
+        </div>
+        <div>
+          <div className="text-gray-400">Outside</div>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => onOutsideTemperatureChange(status.outsideTemperature - 5)}
+              disabled={disabled}
+              className="bg-gray-600 hover:bg-gray-500 rounded px-1 disabled:opacity-50"
+            >
+              −
+            </button>
+            <span className="font-mono">{status.outsideTemperature}°C</span>
+            <button
+              onClick={() => onOutsideTemperatureChange(status.outsideTemperature + 5)}
+              disabled={disabled}
+              className="bg-gray-600 hover:bg-gray-500 rounded px-1 disabled:opacity-50"
+            >
+              +
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex justify-between text-gray-400">
+        {loads.map(load => (
+          <span key={load.key}>
+            {load.label} <span className={`font-mono ${load.value < 0 ? 'text-green-400' : 'text-gray-300'}`}>{load.value} kW</span>
+          </span>
+        ))}
+      </div>
+      <div className="text-gray-500">
+        Trip {energy.trip.distanceKm} km, {energy.trip.energyKwh} kWh
+        {energy.trip.averageKwhPer100Km !== null && ` (${energy.trip.averageKwhPer100Km} kWh/100 km)`}
+        {` · ${energy.remainingKwh} of ${energy.batteryCapacityKwh} kWh left`}
+      </div>
+    </div>
+  );
+}
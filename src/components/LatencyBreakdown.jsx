@@ -0,0 +1,99 @@
+import React from 'react';
+import { LATENCY_STAGES, summarizeTurns } from '../utils/latencyStats';
+
+const STAT_COLUMNS = ['min', 'avg', 'p50', 'p90', 'p99'];
+const WATERFALL_TURNS = 10;
+
+const formatMs = (value) => (value === undefined ? '—' : value);
+
+export default function LatencyBreakdown({ turns }) {
+  const summary = summarizeTurns(turns);
+  const recentTurns = turns.slice(-WATERFALL_TURNS);
+  // All waterfall rows share one time scale
+  const scaleMs = Math.max(1, ...recentTurns.flatMap(turn => Object.values(turn.marks)));
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-xs text-gray-400 mb-2 font-semibold">Latency Breakdown (ms after end of speech)</h4>
+
+      {/* Per-stage statistics */}
+      <table className="w-full text-xs mb-3">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left font-normal pb-1">Stage</th>
+            {STAT_COLUMNS.map(column => (
+              <th key={column} className="text-right font-normal pb-1 uppercase">{column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {LATENCY_STAGES.map(stage => (
+            <tr key={stage.key} className="border-t border-gray-700">
+              <td className="py-1 flex items-center gap-2">
+                <span className={`inline-block w-2 h-2 rounded-sm ${stage.color}`} />
+                {stage.label}
+              </td>
+              {STAT_COLUMNS.map(column => (
+                <td key={column} className="py-1 text-right text-white font-semibold">
+                  {summary[stage.key].count > 0 ? summary[stage.key][column] : '—'}
+                </td>
+              ))}
+            </tr>
+          ))}
+          <tr className="border-t border-gray-700">
+            <td className="py-1 flex items-center gap-2">
+              <span className="inline-block w-2 h-2 rounded-sm bg-red-400" />
+              Tool execution
+            </td>
+            {STAT_COLUMNS.map(column => (
+              <td key={column} className="py-1 text-right text-white font-semibold">
+                {summary.toolMs.count > 0 ? summary.toolMs[column] : '—'}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+
+      {/* Per-turn waterfall */}
+      {recentTurns.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-xs text-gray-400">Last {recentTurns.length} turn(s) — scale {scaleMs} ms</div>
+          {recentTurns.map(turn => {
+            let previous = 0;
+            const segments = LATENCY_STAGES
+              .filter(stage => turn.marks[stage.key] !== undefined)
+              .sort((a, b) => turn.marks[a.key] - turn.marks[b.key])
+              .map(stage => {
+                const segment = { stage, from: previous, to: turn.marks[stage.key] };
+                previous = Math.max(previous, segment.to);
+                return segment;
+              });
+            const title = LATENCY_STAGES
+              .map(stage => `${stage.label}: ${formatMs(turn.marks[stage.key])}`)
+              .concat(turn.toolCalls > 0 ? [`Tools (${turn.toolCalls}): ${turn.toolMs}`] : [])
+              .join('\n');
+
+            return (
+              <div key={turn.id} className="flex items-center gap-2 text-xs" title={title}>
+                <span className="w-8 text-gray-400">#{turn.id}</span>
+                <div className="relative flex-1 h-3 bg-gray-700 rounded overflow-hidden">
+                  {segments.map(({ stage, from, to }) => (
+                    <div
+                      key={stage.key}
+                      className={`absolute top-0 h-full ${stage.color}`}
+                      style={{ left: `${(from / scaleMs) * 100}%`, width: `${(Math.max(0, to - from) / scaleMs) * 100}%` }}
+                    />
+                  ))}
+                </div>
+                <span className="w-24 text-right text-white">
+                  {formatMs(turn.marks.firstAudible ?? turn.marks.firstAudio)}
+                  {turn.toolCalls > 0 && <span className="text-red-400"> +{turn.toolMs}🔧</span>}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
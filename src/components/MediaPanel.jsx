@@ -0,0 +1,144 @@
+import React from 'react';
+import { Heart, Pause, Play, Radio, Repeat, Repeat1, Shuffle, SkipBack, SkipForward } from 'lucide-react';
+import {
+  controlPlayback,
+  currentItem,
+  formatMediaTime,
+  mediaItem,
+  mediaSuggestions,
+  playQueue,
+  REPEAT_MODES,
+  resolveRequest,
+  setFavorite,
+  setRepeat,
+  setShuffle
+} from '../services/mediaPlayer';
+import { stopScan } from '../services/radioTuner';
+import RadioTuner from './RadioTuner';
+
+const SOURCES = [
+  { value: 'radio', label: 'Radio' },
+  { value: 'music', label: 'Music' },
+  { value: 'podcast', label: 'Podcast' },
+  { value: 'audiobook', label: 'Audiobook' }
+];
+
+// Switching to a library source keeps its queue, or queues the first suggestion
+const switchSource = (status, mediaType) => {
+  if (mediaType === 'radio') return { mediaType, radioPlaying: true, media: { ...status.media, playing: false } };
+  const tuner = stopScan(status.tuner);
+  if (currentItem(status.media)?.type === mediaType) return { mediaType, radioPlaying: false, tuner, media: { ...status.media, playing: true } };
+  const match = resolveRequest(status.media, mediaType, mediaSuggestions(mediaType)[0]);
+  return { mediaType, radioPlaying: false, tuner, media: playQueue(status.media, match.queue, match.label) };
+};
+
+const buttonClass = 'p-1 rounded hover:bg-gray-600 disabled:opacity-50';
+
+// Source, now playing with progress, transport, shuffle/repeat/favorite and
+// volume. onChange receives a function from the vehicle status to the fields
+// that change.
+export default function MediaPanel({ status, onChange, disabled }) {
+  const { media } = status;
+  const item = status.mediaType === 'radio' ? null : currentItem(media);
+  const updateMedia = (update) => onChange(current => ({ media: update(current.media) }));
+  const nextRepeat = REPEAT_MODES[(REPEAT_MODES.indexOf(media.repeat) + 1) % REPEAT_MODES.length];
+  const favorite = item && media.favorites.includes(item.id);
+
+  return (
+    <div className="bg-gray-700 p-3 rounded border border-gray-600">
+      <div className="flex items-center gap-2 mb-2">
+        <Radio size={14} className="text-blue-400" />
+        <span className="text-xs text-gray-400 font-semibold">MEDIA</span>
+      </div>
+
+      <div className="mb-2">
+        <select
+          value={status.mediaType}
+          onChange={e => onChange(current => switchSource(current, e.target.value))}
+          disabled={disabled}
+          className="w-full bg-gray-600 border border-gray-500 rounded p-1 text-xs text-white disabled:opacity-50"
+        >
+          {SOURCES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+
+      {status.mediaType === 'radio' ? (
+        <RadioTuner status={status} onChange={onChange} disabled={disabled} />
+      ) : item && (
+        <div className="text-xs mb-2 space-y-1">
+          <div className="text-gray-200 truncate" title={item.title}>
+            {item.type === 'audiobook' ? `${item.collection} · ${item.title}` : item.title}
+          </div>
+          <div className="text-gray-400 truncate">{item.type === 'audiobook' ? item.artist : `${item.artist} · ${item.collection}`}</div>
+          <div className="flex items-center gap-2 font-mono text-gray-400">
+            <span>{formatMediaTime(media.positionS)}</span>
+            <div className="flex-1 h-1 bg-gray-600 rounded">
+              <div className="h-1 bg-blue-400 rounded" style={{ width: `${(media.positionS / item.durationS) * 100}%` }} />
+            </div>
+            <span>{formatMediaTime(item.durationS)}</span>
+          </div>
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => updateMedia(current => setShuffle(current, !current.shuffle))}
+              disabled={disabled}
+              className={`${buttonClass} ${media.shuffle ? 'text-blue-400' : 'text-gray-400'}`}
+              title="Shuffle"
+            >
+              <Shuffle size={12} />
+            </button>
+            <button onClick={() => updateMedia(current => controlPlayback(current, 'previous'))} disabled={disabled} className={buttonClass}>
+              <SkipBack size={12} />
+            </button>
+            <button
+              onClick={() => updateMedia(current => controlPlayback(current, current.playing ? 'pause' : 'play'))}
+              disabled={disabled}
+              className={buttonClass}
+            >
+              {media.playing ? <Pause size={14} /> : <Play size={14} />}
+            </button>
+            <button onClick={() => updateMedia(current => controlPlayback(current, 'next'))} disabled={disabled} className={buttonClass}>
+              <SkipForward size={12} />
+            </button>
+            <button
+              onClick={() => updateMedia(current => setRepeat(current, nextRepeat))}
+              disabled={disabled}
+              className={`${buttonClass} ${media.repeat === 'off' ? 'text-gray-400' : 'text-blue-400'}`}
+              title={`Repeat ${media.repeat}`}
+            >
+              {media.repeat === 'one' ? <Repeat1 size={12} /> : <Repeat size={12} />}
+            </button>
+            <button
+              onClick={() => updateMedia(current => setFavorite(current, item.id, !favorite))}
+              disabled={disabled}
+              className={`${buttonClass} ${favorite ? 'text-red-400' : 'text-gray-400'}`}
+              title={favorite ? 'Remove from favorites' : 'Add to favorites'}
+            >
+              <Heart size={12} fill={favorite ? 'currentColor' : 'none'} />
+            </button>
+          </div>
+          {media.index < media.queue.length - 1 && (
+            <div className="text-gray-500 truncate">
+              Up next: {media.queue.slice(media.index + 1, media.index + 3).map(id => mediaItem(id).title).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="mb-2">
+        <div className="flex justify-between items-center mb-1">
+          <span className="text-xs text-gray-400">Volume</span>
+          <span className="text-xs text-white font-semibold">{status.mediaVolume}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="100"
+          value={status.mediaVolume}
+          onChange={e => onChange(() => ({ mediaVolume: parseInt(e.target.value) }))}
+          disabled={disabled}
+          className="w-full h-1 bg-gray-600 rounded-lg appearance-none slider"
+        />
+      </div>
+    </div>
+  );
+}
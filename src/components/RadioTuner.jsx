@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Pause, Play, Radar, Save, SkipBack, SkipForward } from 'lucide-react';
+import {
+  BANDS,
+  describeTuner,
+  savePreset,
+  seek,
+  startScan,
+  stepFrequency,
+  stopScan,
+  switchBand,
+  tunePreset
+} from '../services/radioTuner';
+
+const RECEPTION_CLASSES = { clear: 'text-gray-400', weak: 'text-yellow-400', static: 'text-gray-500' };
+
+const buttonClass = 'p-1 rounded hover:bg-gray-600 disabled:opacity-50';
+
+// Band, frequency display, tune/seek/scan and presets 1-6. With Save on, a
+// preset button stores the current station instead of tuning to it.
+// onChange receives a function from the vehicle status to the fields that change.
+export default function RadioTuner({ status, onChange, disabled }) {
+  const [saving, setSaving] = useState(false);
+  const radio = describeTuner(status);
+  const updateTuner = (update) => onChange(current => ({ tuner: update(current.tuner), radioPlaying: true }));
+
+  return (
+    <div className="text-xs mb-2 space-y-2">
+      <div className="flex items-center gap-1">
+        {Object.keys(BANDS).map(band => (
+          <button
+            key={band}
+            onClick={() => updateTuner(tuner => switchBand(tuner, band))}
+            disabled={disabled}
+            className={`px-2 py-0.5 rounded disabled:opacity-50 ${radio.band === band ? 'bg-blue-600 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'}`}
+          >
+            {band}
+          </button>
+        ))}
+        <div className="flex-1 text-right">
+          <div className="font-mono text-gray-200">{radio.frequency} {BANDS[radio.band].unit}</div>
+          <div className={`truncate ${RECEPTION_CLASSES[radio.reception]}`}>
+            {radio.station ? `${radio.station} · ${radio.genre}` : 'No station'}
+            {radio.reception === 'weak' && ' (weak signal)'}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button onClick={() => updateTuner(tuner => seek(tuner, -1))} disabled={disabled} className={buttonClass} title="Seek down">
+          <SkipBack size={12} />
+        </button>
+        <button onClick={() => updateTuner(tuner => stepFrequency(tuner, -1))} disabled={disabled} className={buttonClass} title="Tune down">
+          <ChevronLeft size={12} />
+        </button>
+        <button
+          onClick={() => onChange(current => ({ radioPlaying: !current.radioPlaying, tuner: stopScan(current.tuner) }))}
+          disabled={disabled}
+          className={buttonClass}
+        >
+          {radio.playing ? <Pause size={14} /> : <Play size={14} />}
+        </button>
+        <button onClick={() => updateTuner(tuner => stepFrequency(tuner, 1))} disabled={disabled} className={buttonClass} title="Tune up">
+          <ChevronRight size={12} />
+        </button>
+        <button onClick={() => updateTuner(tuner => seek(tuner, 1))} disabled={disabled} className={buttonClass} title="Seek up">
+          <SkipForward size={12} />
+        </button>
+        <button
+          onClick={() => updateTuner(tuner => (tuner.scan ? stopScan(tuner) : startScan(tuner)))}
+          disabled={disabled}
+          className={`${buttonClass} ${radio.scanning ? 'text-blue-400 animate-pulse' : 'text-gray-400'}`}
+          title={radio.scanning ? 'Stop scan' : 'Scan'}
+        >
+          <Radar size={12} />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-1">
+        {radio.presets.map(preset => (
+          <button
+            key={preset.slot}
+            onClick={() => {
+              if (saving) {
+                onChange(current => ({ tuner: savePreset(current.tuner, preset.slot) }));
+                setSaving(false);
+              } else {
+                updateTuner(tuner => tunePreset(tuner, preset.slot));
+              }
+            }}
+            disabled={disabled}
+            className={`flex-1 py-0.5 rounded font-mono disabled:opacity-50 ${
+              preset.frequency === radio.frequency ? 'bg-blue-600 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'
+            } ${saving ? 'ring-1 ring-yellow-400' : ''}`}
+            title={`${preset.frequency}${preset.station ? ` · ${preset.station}` : ''}`}
+          >
+            {preset.slot}
+          </button>
+        ))}
+        <button
+          onClick={() => setSaving(!saving)}
+          disabled={disabled}
+          className={`${buttonClass} ${saving ? 'text-yellow-400' : 'text-gray-400'}`}
+          title="Save the current station to a preset"
+        >
+          <Save size={12} />
+        </button>
+      </div>
+    </div>
+  );
+}
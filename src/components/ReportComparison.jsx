@@ -0,0 +1,153 @@
+import React, { useRef, useState } from 'react';
+import { Upload, X, Plus } from 'lucide-react';
+import { parseMetricsReport } from '../utils/metricsReport';
+import { formatCost } from '../utils/pricing';
+
+const latencyRow = (stage, label, stat) => ({
+  label: `${label} ${stat.toUpperCase()} (ms)`,
+  value: report => (report.summary.latency[stage]?.count > 0 ? report.summary.latency[stage][stat] : null),
+  best: 'min'
+});
+
+// Rows of the comparison table; best marks which direction wins
+export const COMPARISON_ROWS = [
+  { label: 'Model', value: report => report.summary.models.join(', ') || report.session.model },
+  { label: 'Architecture', value: report => report.session.modelCategory },
+  { label: 'Voice', value: report => report.session.voice },
+  { label: 'Turns', value: report => report.summary.turns },
+  { label: 'Input text tokens', value: report => report.summary.tokens.textInput + report.summary.tokens.textCachedInput },
+  { label: 'Input audio tokens', value: report => report.summary.tokens.audioInput + report.summary.tokens.audioCachedInput },
+  { label: 'Output text tokens', value: report => report.summary.tokens.textOutput },
+  { label: 'Output audio tokens', value: report => report.summary.tokens.audioOutput },
+  latencyRow('responseCreated', 'Response created', 'p50'),
+  latencyRow('firstAudio', 'First audio', 'p50'),
+  latencyRow('firstAudio', 'First audio', 'p90'),
+  latencyRow('firstAudible', 'First audible', 'p50'),
+  latencyRow('firstAudible', 'First audible', 'p90'),
+  { label: 'Tool calls', value: report => report.summary.toolCalls },
+  {
+    label: 'Tool-call accuracy',
+    value: report => report.summary.toolAccuracy ?? null,
+    format: value => `${(value * 100).toFixed(0)}%`,
+    best: 'max'
+  },
+  { label: 'Tool time AVG (ms)', value: report => (report.summary.toolMs.count > 0 ? report.summary.toolMs.avg : null), best: 'min' },
+  { label: 'Session cost', value: report => report.summary.costUsd, format: formatCost, best: 'min' },
+  { label: 'Cost / turn', value: report => report.summary.costPerTurnUsd, format: formatCost, best: 'min' }
+];
+
+export function ComparisonTable({ reports, rows = COMPARISON_ROWS, onRemove }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left font-normal pb-1">Metric</th>
+            {reports.map((report, index) => (
+              <th key={index} className="text-right font-normal pb-1 max-w-[8rem]">
+                <span className="inline-flex items-center gap-1">
+                  <span className="truncate" title={report.name}>{report.name}</span>
+                  {onRemove && (
+                    <button onClick={() => onRemove(index)} className="text-gray-500 hover:text-red-400" title="Remove">
+                      <X size={12} />
+                    </button>
+                  )}
+                </span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => {
+            const values = reports.map(report => row.value(report));
+            const numeric = values.filter(value => typeof value === 'number');
+            const bestValue = row.best && numeric.length > 1
+              ? (row.best === 'min' ? Math.min(...numeric) : Math.max(...numeric))
+              : null;
+            return (
+              <tr key={row.label} className="border-t border-gray-700">
+                <td className="py-1 text-gray-400">{row.label}</td>
+                {values.map((value, index) => (
+                  <td
+                    key={index}
+                    className={`py-1 text-right font-semibold ${value === bestValue ? 'text-green-400' : 'text-white'}`}
+                  >
+                    {value === null || value === undefined || value === '' ? '—' : row.format ? row.format(value) : value}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function ReportComparison({ buildCurrentReport }) {
+  const fileInputRef = useRef(null);
+  const [reports, setReports] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadFiles = async (files) => {
+    const loaded = [];
+    for (const file of files) {
+      try {
+        loaded.push(parseMetricsReport(await file.text(), file.name));
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    }
+    setReports(prev => [...prev, ...loaded]);
+  };
+
+  const addCurrentSession = () => {
+    const report = buildCurrentReport();
+    setReports(prev => [...prev, { ...report, name: `Current (${new Date(report.generatedAt).toLocaleTimeString()})` }]);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-xs text-gray-400 font-semibold">Compare Reports</h4>
+        <div className="flex gap-1">
+          <button
+            onClick={addCurrentSession}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs flex items-center gap-1"
+          >
+            <Plus size={12} /> Current
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs flex items-center gap-1"
+            title="Load one or more CSV/JSON metrics reports"
+          >
+            <Upload size={12} /> Load
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept=".json,.csv,application/json,text/csv"
+            className="hidden"
+            onChange={e => {
+              const files = [...(e.target.files || [])];
+              e.target.value = '';
+              setError(null);
+              loadFiles(files);
+            }}
+          />
+        </div>
+      </div>
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+      {reports.length > 0 ? (
+        <ComparisonTable
+          reports={reports}
+          onRemove={index => setReports(prev => prev.filter((_, i) => i !== index))}
+        />
+      ) : (
+        <div className="text-xs text-gray-500">Load exported reports or add the current session to compare them side by side.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useRef } from 'react';
+import { Circle, Download, Upload, Square } from 'lucide-react';
+
+const REPLAY_SPEEDS = [1, 2, 4, 10];
+
+export default function SessionRecording({
+  recordSession,
+  onRecordSessionChange,
+  isConnected,
+  lastRecording,
+  onDownload,
+  replay,
+  replaySpeed,
+  onReplaySpeedChange,
+  onReplayFile,
+  onStopReplay
+}) {
+  const fileInputRef = useRef(null);
+
+  const recordingSummary = lastRecording
+    ? `${lastRecording.entries.length} entries, ${(lastRecording.durationMs / 1000).toFixed(1)}s`
+    : 'No recording yet';
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-semibold flex items-center gap-2">
+          <Circle size={16} className={isConnected && recordSession ? 'text-red-500 fill-red-500' : ''} /> Session Recording
+        </h3>
+        <label className="flex items-center gap-2 text-xs text-gray-400">
+          <input
+            type="checkbox"
+            checked={recordSession}
+            onChange={e => onRecordSessionChange(e.target.checked)}
+            disabled={isConnected || replay.active}
+          />
+          Record next session
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 text-xs">
+        {/* Download */}
+        <div className="bg-gray-700 p-2 rounded flex items-center justify-between gap-2">
+          <span className="text-gray-400 truncate">{recordingSummary}</span>
+          <button
+            onClick={onDownload}
+            disabled={!lastRecording}
+            className="shrink-0 px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded font-semibold flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download size={12} /> Download
+          </button>
+        </div>
+
+        {/* Replay */}
+        <div className="bg-gray-700 p-2 rounded flex items-center justify-between gap-2">
+          {replay.active ? (
+            <>
+              <span className="text-gray-300 truncate">
+                ⏯️ {replay.name} — {replay.progress}/{replay.total}
+              </span>
+              <button
+                onClick={onStopReplay}
+                className="shrink-0 px-2 py-1 bg-red-600 hover:bg-red-700 rounded font-semibold flex items-center gap-1"
+              >
+                <Square size={12} /> Stop
+              </button>
+            </>
+          ) : (
+            <>
+              <select
+                value={replaySpeed}
+                onChange={e => onReplaySpeedChange(Number(e.target.value))}
+                className="bg-gray-600 border border-gray-500 rounded p-1 text-xs text-white"
+              >
+                {REPLAY_SPEEDS.map(speed => (
+                  <option key={speed} value={speed}>{speed}x</option>
+                ))}
+              </select>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isConnected}
+                className="shrink-0 px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded font-semibold flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Upload size={12} /> Replay file
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={e => {
+                  const file = e.target.files?.[0];
+                  e.target.value = '';
+                  if (file) onReplayFile(file);
+                }}
+              />
+            </>
+          )}
+        </div>
+      </div>
+      {replay.active && (
+        <div className="mt-2 flex items-center gap-2 text-xs text-gray-400">
+          <span>Speed</span>
+          <select
+            value={replaySpeed}
+            onChange={e => onReplaySpeedChange(Number(e.target.value))}
+            className="bg-gray-600 border border-gray-500 rounded p-1 text-xs text-white"
+          >
+            {REPLAY_SPEEDS.map(speed => (
+              <option key={speed} value={speed}>{speed}x</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,12 @@
 import React from 'react';
-import { BarChart3 } from 'lucide-react';
+import { BarChart3, Download } from 'lucide-react';
+import LatencyBreakdown from './LatencyBreakdown';
+import CostEstimate from './CostEstimate';
+import ReportComparison from './ReportComparison';
+import { buildMetricsReport, downloadMetricsReport } from '../utils/metricsReport';
+import { mergePrices } from '../utils/pricing';
 
-export default function Statistics({ metrics, config }) {
+export default function Statistics({ metrics, config, priceOverrides, onPriceOverridesChange }) {
   const textCacheRate = metrics.tokens.input_text > 0 
     ? ((metrics.tokens.cached_text / metrics.tokens.input_text) * 100).toFixed(1)
     : '0.0';
@@ -41,18 +46,34 @@ export default function Statistics({ metrics, config }) {
     window.open(`${baseUrl}?${params.toString()}`, '_blank');
   };
 
+  const buildReport = () => buildMetricsReport(metrics, config, mergePrices(priceOverrides));
+
   return (
     <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
       <div className="flex justify-between items-center mb-3">
         <h3 className="text-sm font-semibold flex items-center gap-2">
           <BarChart3 size={16} /> Statistics
         </h3>
-        <button
-          onClick={exportToCalculator}
-          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs font-semibold"
-        >
-          Export to Calculator
-        </button>
+        <div className="flex gap-1">
+          <button
+            onClick={() => downloadMetricsReport(buildReport(), 'csv')}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-semibold flex items-center gap-1"
+          >
+            <Download size={12} /> CSV
+          </button>
+          <button
+            onClick={() => downloadMetricsReport(buildReport(), 'json')}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-semibold flex items-center gap-1"
+          >
+            <Download size={12} /> JSON
+          </button>
+          <button
+            onClick={exportToCalculator}
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs font-semibold"
+          >
+            Export to Calculator
+          </button>
+        </div>
       </div>
 
       {/* Token Usage */}
@@ -90,9 +111,19 @@ export default function Statistics({ metrics, config }) {
         </div>
       </div>
 
+      <CostEstimate
+        usage={metrics.usage}
+        model={config.model}
+        priceOverrides={priceOverrides}
+        onPriceOverridesChange={onPriceOverridesChange}
+      />
+
       {/* Latency */}
       <div>
-        <h4 className="text-xs text-gray-400 mb-2 font-semibold">Voice Input → Voice Output Latency (ms)</h4>
+        <h4 className="text-xs text-gray-400 mb-2 font-semibold flex justify-between">
+          <span>Voice Input → Voice Output Latency (ms)</span>
+          {config.audioChunkMs && <span className="font-normal">Mic chunk: {config.audioChunkMs} ms</span>}
+        </h4>
         <div className="grid grid-cols-4 gap-2 text-xs">
           <div className="bg-gray-700 p-2 rounded">
             <div className="text-gray-400">Min</div>
@@ -113,10 +144,14 @@ export default function Statistics({ metrics, config }) {
         </div>
       </div>
 
+      <LatencyBreakdown turns={metrics.turnLatencies} />
+
       {/* Turn Count */}
       <div className="mt-3 text-xs text-gray-400">
         Total Turns: <span className="text-white font-semibold">{metrics.turns}</span>
       </div>
+
+      <ReportComparison buildCurrentReport={buildReport} />
     </div>
   );
 }
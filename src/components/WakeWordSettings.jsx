@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Ear, Mic, Trash2 } from 'lucide-react';
+import { createMicrophoneCapture } from '../audio/microphoneCapture';
+import { extractTemplate, MIN_TEMPLATES } from '../audio/keywordSpotter';
+import { pcm16Base64ToFloat } from '../audio/wavFile';
+
+const SAMPLE_DURATION_MS = 2000;
+
+// Records one spoken sample of the wake word as 24 kHz float samples
+const recordSample = async () => {
+  const parts = [];
+  const capture = createMicrophoneCapture({
+    onChunk: (base64Audio) => parts.push(pcm16Base64ToFloat(base64Audio))
+  });
+  await capture.start();
+  await new Promise(resolve => setTimeout(resolve, SAMPLE_DURATION_MS));
+  await capture.flush();
+  capture.stop();
+
+  const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    samples.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return samples;
+};
+
+export default function WakeWordSettings({ settings, onChange, templates, onTemplatesChange, disabled }) {
+  const [enrolling, setEnrolling] = useState(false);
+  const [error, setError] = useState(null);
+
+  const enroll = async () => {
+    setError(null);
+    setEnrolling(true);
+    try {
+      const template = extractTemplate(await recordSample());
+      onTemplatesChange([...templates, template]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setEnrolling(false);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-xs text-gray-400 mb-1 font-semibold flex items-center gap-1">
+        <Ear size={12} /> Wake Word
+      </label>
+      <div className="bg-gray-700 border border-gray-600 rounded p-2 text-xs space-y-2">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={e => onChange({ ...settings, enabled: e.target.checked })}
+            disabled={disabled}
+          />
+          Only stream after “{settings.phrase}” (detected locally)
+        </label>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={enroll}
+            disabled={disabled || enrolling}
+            className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded flex items-center gap-1 disabled:opacity-50"
+            title={`Records ${SAMPLE_DURATION_MS / 1000}s; say the wake word once`}
+          >
+            <Mic size={12} /> {enrolling ? `Say “${settings.phrase}”…` : 'Record sample'}
+          </button>
+          <span className={templates.length < MIN_TEMPLATES ? 'text-yellow-400' : 'text-gray-400'}>
+            {templates.length} sample(s){templates.length < MIN_TEMPLATES && `, need ${MIN_TEMPLATES}+`}
+          </span>
+          {templates.length > 0 && (
+            <button
+              onClick={() => onTemplatesChange([])}
+              disabled={disabled || enrolling}
+              className="ml-auto text-gray-400 hover:text-red-400 flex items-center gap-1 disabled:opacity-50"
+            >
+              <Trash2 size={12} /> Clear
+            </button>
+          )}
+        </div>
+        {error && <div className="text-red-400">{error}</div>}
+
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <span className="block text-gray-400 mb-1">Sensitivity</span>
+            <input
+              type="number"
+              step="0.1"
+              min="1"
+              max="2.5"
+              value={settings.sensitivity}
+              onChange={e => onChange({ ...settings, sensitivity: parseFloat(e.target.value) })}
+              disabled={disabled}
+              className="w-full bg-gray-800 border border-gray-600 rounded p-1 disabled:opacity-50"
+              title="Multiplier on the distance between your samples; higher detects more easily but false-triggers more"
+            />
+          </div>
+          <div>
+            <span className="block text-gray-400 mb-1">Pre-roll (ms)</span>
+            <select
+              value={settings.preRollMs}
+              onChange={e => onChange({ ...settings, preRollMs: Number(e.target.value) })}
+              disabled={disabled}
+              className="w-full bg-gray-800 border border-gray-600 rounded p-1 text-white disabled:opacity-50"
+            >
+              {[0, 250, 500, 1000].map(ms => (
+                <option key={ms} value={ms}>{ms}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <span className="block text-gray-400 mb-1">Idle after (s)</span>
+            <select
+              value={settings.silenceTimeoutMs}
+              onChange={e => onChange({ ...settings, silenceTimeoutMs: Number(e.target.value) })}
+              disabled={disabled}
+              className="w-full bg-gray-800 border border-gray-600 rounded p-1 text-white disabled:opacity-50"
+            >
+              {[3000, 5000, 8000, 15000, 30000].map(ms => (
+                <option key={ms} value={ms}>{ms / 1000}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,277 @@
+// A/B benchmark: plays the same scripted utterances against several session
+// configurations one after another and collects a metrics report for each.
+//
+// Every configuration gets its own connection and its own vehicle store, so
+// the live dashboard is untouched. Turn detection is switched off and each
+// utterance is sent in full, then committed manually; latency stages are
+// measured from the commit. There is no playback, so the audible stage stays
+// empty in benchmark reports.
+
+import { RealtimeClient } from './realtimeService';
+import { createVehicleStore } from './vehicleStore';
+import { executeCarTool } from '../tools/carTools';
+import { evaluateToolPolicy, policyOutput } from '../tools/policyEngine';
+import { usageToTokens } from '../utils/pricing';
+import { buildMetricsReport } from '../utils/metricsReport';
+import { toPcm16Chunks } from '../audio/wavFile';
+
+export const DEFAULT_BENCHMARK_OPTIONS = {
+  chunkMs: 100,
+  sessionTimeoutMs: 15000,
+  turnTimeoutMs: 30000
+};
+
+const argumentsMatch = (expected, actual) => {
+  if (expected === null || typeof expected !== 'object') {
+    return expected === actual;
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+  return Object.keys(expected).every(key => argumentsMatch(expected[key], actual[key]));
+};
+
+// A turn is correct when every expected call was made with (at least) the
+// expected arguments and no tool outside the expected set was called.
+// Returns null when the utterance has no expectation.
+export const scoreToolCalls = (expectedTools, actualTools) => {
+  if (!Array.isArray(expectedTools)) return null;
+  const remaining = actualTools.map(tool => {
+    try {
+      return { name: tool.name, args: JSON.parse(tool.arguments || '{}') };
+    } catch (e) {
+      return { name: tool.name, args: null };
+    }
+  });
+  const allMatched = expectedTools.every(expected => {
+    const index = remaining.findIndex(actual =>
+      actual.name === expected.name && argumentsMatch(expected.arguments || {}, actual.args));
+    if (index < 0) return false;
+    remaining.splice(index, 1);
+    return true;
+  });
+  const expectedNames = new Set(expectedTools.map(tool => tool.name));
+  return allMatched && remaining.every(actual => expectedNames.has(actual.name));
+};
+
+// Benchmark script: { utterances: [{ file, expectedTools?: [{ name, arguments? }] }] }
+export const parseBenchmarkScript = (text) => {
+  const script = JSON.parse(text);
+  if (!script || !Array.isArray(script.utterances)) {
+    throw new Error('Benchmark script must have an utterances array');
+  }
+  script.utterances.forEach((utterance, index) => {
+    if (!utterance || typeof utterance.file !== 'string') {
+      throw new Error(`utterances[${index}] needs a file name`);
+    }
+    if (utterance.expectedTools !== undefined && !Array.isArray(utterance.expectedTools)) {
+      throw new Error(`utterances[${index}].expectedTools must be an array`);
+    }
+  });
+  return script;
+};
+
+export const describeConfiguration = ({ modelCategory, model, voice }) => `${modelCategory} · ${model} · ${voice}`;
+
+// configurations: [{ modelCategory, model, voice }], applied on top of baseConfig.
+// utterances: [{ name, samples (24 kHz Float32Array), expectedTools? }]
+export const createBenchmarkRunner = ({ baseConfig, configurations, utterances, prices, options = {}, onLog, onProgress }) => {
+  const settings = { ...DEFAULT_BENCHMARK_OPTIONS, ...options };
+  let cancelled = false;
+  let activeClient = null;
+  let abortTurn = null;
+
+  const log = (message, type = 'info') => onLog?.(message, type);
+
+  const waitFor = (register, timeoutMs, what) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      abortTurn = null;
+      reject(new Error(`Timed out waiting for ${what}`));
+    }, timeoutMs);
+    abortTurn = (error) => {
+      clearTimeout(timer);
+      abortTurn = null;
+      reject(error);
+    };
+    register((value) => {
+      clearTimeout(timer);
+      abortTurn = null;
+      resolve(value);
+    });
+  });
+
+  const runConfiguration = async (configuration, configIndex) => {
+    const config = {
+      ...baseConfig,
+      modelCategory: configuration.modelCategory,
+      model: configuration.model,
+      // Each run starts fresh and fails fast rather than resuming after a drop
+      reconnect: { enabled: false },
+      sessionConfig: { ...baseConfig.sessionConfig, voice: configuration.voice, turn_detection: null }
+    };
+    const store = createVehicleStore();
+    const metrics = { turnLatencies: [], usage: [] };
+    const session = { model: configuration.model, voice: configuration.voice, modelCategory: configuration.modelCategory };
+
+    let turn = null;
+    let onTurnDone = null;
+    let onSessionReady = null;
+    let pendingOutputs = [];
+
+    const mark = (stage) => {
+      if (turn && turn.marks[stage] === undefined) {
+        turn.marks[stage] = Math.max(0, Math.round(Date.now() - turn.speechEndedAt));
+      }
+    };
+
+    const client = new RealtimeClient(config);
+    activeClient = client;
+
+    client.on('message', async (event) => {
+      switch (event.type) {
+        case 'session.updated':
+          onSessionReady?.();
+          break;
+        case 'input_audio_buffer.committed':
+          mark('committed');
+          break;
+        case 'conversation.item.input_audio_transcription.completed':
+          mark('transcribed');
+          if (turn) turn.transcript = event.transcript;
+          break;
+        case 'response.created':
+          mark('responseCreated');
+          break;
+        case 'response.text.delta':
+        case 'response.audio_transcript.delta':
+          mark('firstText');
+          break;
+        case 'response.audio.delta':
+          mark('firstAudio');
+          break;
+        case 'response.function_call_arguments.done': {
+          const { name, arguments: args, call_id } = event;
+          const decision = evaluateToolPolicy(name, args, store.getState());
+          const callTurn = turn;
+          callTurn?.tools.push({ name, arguments: args, effect: decision.effect });
+          // Registered before awaiting: response.done may be handled while the tool still runs
+          pendingOutputs.push((async () => {
+            const startedAt = performance.now();
+            // Confirmations are never given during a benchmark, so they stay pending
+            const output = decision.effect === 'allow'
+              ? await executeCarTool(name, args, store)
+              : policyOutput(name, decision);
+            if (callTurn) {
+              callTurn.toolCalls += 1;
+              callTurn.toolMs += decision.effect === 'allow' ? Math.round(performance.now() - startedAt) : 0;
+            }
+            return { callId: call_id, output };
+          })());
+          break;
+        }
+        case 'response.done': {
+          if (event.response?.usage) {
+            metrics.usage.push({ turnId: turn?.id ?? null, at: Date.now(), ...session, tokens: usageToTokens(event.response.usage) });
+          }
+          if (pendingOutputs.length === 0) {
+            onTurnDone?.();
+            break;
+          }
+          // One follow-up response for all tool outputs of this response
+          const outputs = await Promise.all(pendingOutputs);
+          pendingOutputs = [];
+          outputs.forEach(({ callId, output }) => {
+            client.send({
+              type: 'conversation.item.create',
+              item: { type: 'function_call_output', call_id: callId, output: JSON.stringify(output) }
+            });
+          });
+          client.send({ type: 'response.create' });
+          break;
+        }
+        case 'error':
+          log(`Benchmark server error: ${event.error?.message || 'unknown error'}`, 'error');
+          break;
+        default:
+          break;
+      }
+    });
+    client.on('close', () => {
+      // The previous configuration's socket may finish closing after the next one started
+      if (activeClient === client) {
+        abortTurn?.(new Error('Connection closed'));
+      }
+    });
+
+    try {
+      const ready = waitFor(resolve => { onSessionReady = resolve; }, settings.sessionTimeoutMs, 'session.updated');
+      await client.connect();
+      await ready;
+
+      for (let index = 0; index < utterances.length && !cancelled; index++) {
+        const utterance = utterances[index];
+        onProgress?.({ configIndex, configCount: configurations.length, utteranceIndex: index, utteranceCount: utterances.length });
+
+        toPcm16Chunks(utterance.samples, settings.chunkMs).forEach(audio => {
+          client.send({ type: 'input_audio_buffer.append', audio }, { record: false });
+        });
+
+        turn = {
+          id: index + 1,
+          speechEndedAt: Date.now(),
+          ...session,
+          utterance: utterance.name,
+          expectedTools: utterance.expectedTools,
+          marks: {},
+          toolMs: 0,
+          toolCalls: 0,
+          tools: []
+        };
+        metrics.turnLatencies.push(turn);
+        const done = waitFor(resolve => { onTurnDone = resolve; }, settings.turnTimeoutMs, `a response to ${utterance.name}`);
+        client.send({ type: 'input_audio_buffer.commit' });
+        client.send({ type: 'response.create' });
+
+        try {
+          await done;
+        } catch (error) {
+          turn.error = error.message;
+          log(`⚠️ ${describeConfiguration(configuration)}: ${utterance.name}: ${error.message}`, 'error');
+          if (!client.isOpen()) throw error;
+        } finally {
+          onTurnDone = null;
+        }
+        turn.toolCorrect = scoreToolCalls(utterance.expectedTools, turn.tools);
+      }
+    } finally {
+      activeClient = null;
+      client.disconnect();
+    }
+
+    return buildMetricsReport(metrics, config, prices);
+  };
+
+  const run = async () => {
+    const results = [];
+    for (let index = 0; index < configurations.length && !cancelled; index++) {
+      const configuration = configurations[index];
+      log(`🏁 Benchmark ${index + 1}/${configurations.length}: ${describeConfiguration(configuration)}`);
+      try {
+        const report = await runConfiguration(configuration, index);
+        results.push({ configuration, report: { ...report, name: describeConfiguration(configuration) } });
+      } catch (error) {
+        log(`❌ ${describeConfiguration(configuration)} failed: ${error.message}`, 'error');
+        results.push({ configuration, error: error.message });
+      }
+    }
+    return results;
+  };
+
+  const cancel = () => {
+    cancelled = true;
+    abortTurn?.(new Error('Benchmark cancelled'));
+    activeClient?.disconnect();
+  };
+
+  return { run, cancel };
+};
@@ -0,0 +1,131 @@
+import { batteryFields, findPreset, predictedRangeKm } from '../utils/energyModel';
+
+// Charging session simulator. Like navigationSimulator.js all functions are
+// pure: they take the vehicle status and return the fields that change.
+// Charging power is the lower of what the charger delivers and what the car
+// accepts: the onboard charger limit on AC, and on DC a curve over the state
+// of charge that tapers as the battery fills. While plugged in the car is
+// parked, so the drive cycle is paused (see App.jsx).
+
+export const CHARGERS = {
+  ac_level1: { name: 'AC Level 1', type: 'ac', powerKw: 1.9 },
+  ac_level2: { name: 'AC Level 2', type: 'ac', powerKw: 11 },
+  dc_50: { name: 'DC fast 50 kW', type: 'dc', powerKw: 50 },
+  dc_150: { name: 'DC fast 150 kW', type: 'dc', powerKw: 150 },
+  dc_350: { name: 'DC ultra-fast 350 kW', type: 'dc', powerKw: 350 }
+};
+
+export const DEFAULT_CHARGER = 'ac_level2';
+export const MIN_CHARGE_LIMIT = 50;
+export const MAX_CHARGE_LIMIT = 100;
+export const DEFAULT_CHARGE_LIMIT = 80;
+
+// Share of the car's peak DC power by state of charge (%), linear in between
+const DC_CURVE = [[0, 0.6], [10, 1], [45, 1], [60, 0.75], [80, 0.4], [90, 0.2], [100, 0.05]];
+// AC holds full power until the last stretch
+const AC_TAPER_START = 90;
+const AC_TAPER_END_SHARE = 0.3;
+// Share of the drawn power that ends up in the battery
+const EFFICIENCY = { ac: 0.9, dc: 0.95 };
+
+export const createChargingState = () => ({
+  pluggedIn: false,
+  charger: null,
+  limit: DEFAULT_CHARGE_LIMIT,
+  // 'unplugged' | 'charging' | 'complete' (plugged in, at the limit)
+  state: 'unplugged',
+  powerKw: 0,
+  addedKwh: 0,
+  minutesToLimit: null
+});
+
+const interpolate = (curve, x) => {
+  const index = curve.findIndex(([x1]) => x1 >= x);
+  if (index <= 0) return curve[Math.max(index, 0)][1];
+  const [x0, y0] = curve[index - 1];
+  const [x1, y1] = curve[index];
+  return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+};
+
+// Power drawn from the charger at a state of charge, kW
+export const chargingPowerKw = (preset, chargerId, soc) => {
+  const charger = CHARGERS[chargerId];
+  if (charger.type === 'dc') {
+    return Math.min(charger.powerKw, preset.maxDcKw * interpolate(DC_CURVE, soc));
+  }
+  const share = soc < AC_TAPER_START ? 1 : 1 - ((1 - AC_TAPER_END_SHARE) * (soc - AC_TAPER_START)) / (100 - AC_TAPER_START);
+  return Math.min(charger.powerKw, preset.maxAcKw) * share;
+};
+
+// Minutes from one state of charge to another, integrated in 0.5% steps
+export const chargingMinutes = (preset, chargerId, fromSoc, toSoc) => {
+  const step = 0.5;
+  const efficiency = EFFICIENCY[CHARGERS[chargerId].type];
+  let hours = 0;
+  for (let soc = fromSoc; soc < toSoc; soc += step) {
+    const slice = Math.min(step, toSoc - soc);
+    hours += (preset.batteryKwh * slice) / 100 / (chargingPowerKw(preset, chargerId, soc + slice / 2) * efficiency);
+  }
+  return Math.round(hours * 60);
+};
+
+const withEstimate = (status, charging) => {
+  const preset = findPreset(status.energy.presetId);
+  const charged = charging.pluggedIn && status.battery < charging.limit;
+  return {
+    ...charging,
+    state: !charging.pluggedIn ? 'unplugged' : charged ? 'charging' : 'complete',
+    powerKw: charged ? Math.round(chargingPowerKw(preset, charging.charger, status.battery) * 10) / 10 : 0,
+    minutesToLimit: charged ? chargingMinutes(preset, charging.charger, status.battery, charging.limit) : null
+  };
+};
+
+// Starting while already plugged in keeps the running session (charger and energy added)
+export const startCharging = (status, chargerId = DEFAULT_CHARGER) =>
+  (status.charging.pluggedIn
+    ? withEstimate(status, status.charging)
+    : withEstimate(status, { ...status.charging, pluggedIn: true, charger: chargerId, addedKwh: 0 }));
+
+export const stopCharging = (status) =>
+  withEstimate(status, { ...status.charging, pluggedIn: false, charger: null });
+
+export const setChargeLimit = (status, limit) =>
+  withEstimate(status, { ...status.charging, limit: Math.min(MAX_CHARGE_LIMIT, Math.max(MIN_CHARGE_LIMIT, Math.round(limit))) });
+
+// Charges for dtS seconds, after advanceEnergy drained the parked car's
+// loads for the same time. Returns the charging, energy, battery and
+// batteryRange fields; an unplugged car is returned unchanged.
+export const advanceCharging = (status, dtS) => {
+  const { charging, energy } = status;
+  if (!charging.pluggedIn) return {};
+  const preset = findPreset(energy.presetId);
+  const limitKwh = (preset.batteryKwh * charging.limit) / 100;
+  // The charger also powers HVAC and electronics, so a full battery stays at its limit
+  const loadsKwh = ((energy.loads.hvac + energy.loads.auxiliary) * dtS) / 3600;
+  const chargeKwh = status.battery < charging.limit
+    ? (chargingPowerKw(preset, charging.charger, status.battery) * EFFICIENCY[CHARGERS[charging.charger].type] * dtS) / 3600
+    : 0;
+  const remainingKwh = Math.max(energy.remainingKwh, Math.min(limitKwh, energy.remainingKwh + loadsKwh + chargeKwh));
+  const fields = batteryFields({ ...energy, remainingKwh });
+  const addedKwh = Math.min(chargeKwh, Math.max(0, remainingKwh - energy.remainingKwh - loadsKwh));
+  return {
+    ...fields,
+    charging: withEstimate({ ...status, ...fields }, { ...charging, addedKwh: charging.addedKwh + addedKwh })
+  };
+};
+
+export const describeCharging = (status) => {
+  const { charging } = status;
+  const preset = findPreset(status.energy.presetId);
+  return {
+    state: charging.state,
+    charger: charging.charger ? CHARGERS[charging.charger].name : null,
+    powerKw: charging.powerKw,
+    battery: status.battery,
+    limit: charging.limit,
+    addedKwh: Math.round(charging.addedKwh * 100) / 100,
+    minutesToLimit: charging.minutesToLimit,
+    rangeAtLimitKm: predictedRangeKm({ ...status.energy, remainingKwh: (preset.batteryKwh * charging.limit) / 100 }),
+    maxPowerKw: { ac: preset.maxAcKw, dc: preset.maxDcKw }
+  };
+};
@@ -0,0 +1,218 @@
+import driveCycleData from '../data/driveCycles.json';
+
+// Standard drive cycles as second-by-second speed tables (km/h, one sample per
+// second from t = 0 to t = duration). A table in driveCycles.json is bundled
+// either as `speeds` (the published second-by-second table) or, for the ECE-15
+// and EUDC parts of NEDC that UN R83 defines as straight segments, as
+// `breakpoints`. A table listed with only its `file` still has to be imported
+// from the published file once (stored locally).
+
+const STORAGE_KEY = 'voice_live_drive_cycle_tables';
+const MPH_TO_KMH = 1.609344;
+
+export const DRIVE_CYCLES = driveCycleData.cycles;
+export const DRIVE_CYCLE_TABLES = driveCycleData.tables;
+export const DEFAULT_DRIVE_CYCLE = 'nedc';
+export const PLAYBACK_RATES = [0.5, 1, 2, 5, 10];
+
+const isBundled = (table) => Boolean(table.speeds || table.breakpoints);
+
+// Tables that are not bundled and have to be imported from their published file
+export const IMPORTABLE_TABLES = Object.keys(DRIVE_CYCLE_TABLES).filter(id => !isBundled(DRIVE_CYCLE_TABLES[id]));
+
+const fromBreakpoints = (breakpoints) => {
+  const duration = breakpoints[breakpoints.length - 1][0];
+  const speeds = [];
+  let segment = 0;
+  for (let t = 0; t <= duration; t++) {
+    while (breakpoints[segment + 1][0] < t) segment++;
+    const [t0, v0] = breakpoints[segment];
+    const [t1, v1] = breakpoints[segment + 1];
+    speeds.push(v0 + ((v1 - v0) * (t - t0)) / (t1 - t0));
+  }
+  return speeds;
+};
+
+const BUILT_IN_TABLES = Object.fromEntries(
+  Object.entries(DRIVE_CYCLE_TABLES)
+    .filter(([, table]) => isBundled(table))
+    .map(([id, table]) => [id, table.speeds || fromBreakpoints(table.breakpoints)])
+);
+
+// Parses a two-column time/speed table: the EPA .txt files (mph, tab
+// separated, two header lines) or a CSV exported from the WLTC spreadsheet
+// (km/h). The unit comes from the header; without one km/h is assumed. Rows
+// are resampled to whole seconds.
+export const parseCycleTable = (text) => {
+  const lines = text.split(/\r?\n/);
+  const header = lines.filter(line => /[a-z]/i.test(line)).join(' ');
+  const factor = /mph|mi\/h/i.test(header) ? MPH_TO_KMH : 1;
+
+  const rows = lines
+    .map(line => line.trim().split(/[\s,;]+/).map(Number))
+    .filter(values => values.length >= 2 && Number.isFinite(values[0]) && Number.isFinite(values[1]));
+  if (rows.length < 2) {
+    throw new Error('No time/speed rows found');
+  }
+  if (rows.some(([t], i) => i > 0 && t <= rows[i - 1][0])) {
+    throw new Error('Times must increase from row to row');
+  }
+
+  const duration = Math.round(rows[rows.length - 1][0] - rows[0][0]);
+  const speeds = [];
+  let row = 0;
+  for (let t = 0; t <= duration; t++) {
+    const time = rows[0][0] + t;
+    while (row < rows.length - 2 && rows[row + 1][0] < time) row++;
+    const [t0, v0] = rows[row];
+    const [t1, v1] = rows[row + 1];
+    const v = v0 + ((v1 - v0) * Math.min(1, Math.max(0, (time - t0) / (t1 - t0))));
+    speeds.push(Math.max(0, Math.round(v * factor * 100) / 100));
+  }
+  return speeds;
+};
+
+// Checks a parsed table against the one it is meant to be, so a wrong file is caught on import
+export const validateCycleTable = (tableId, speeds) => {
+  const expected = DRIVE_CYCLE_TABLES[tableId].durationS;
+  const duration = speeds.length - 1;
+  if (Math.abs(duration - expected) > 1) {
+    throw new Error(`${DRIVE_CYCLE_TABLES[tableId].name} lasts ${expected} s, the file has ${duration} s`);
+  }
+  // Off by one second: pad with a stop or drop the last sample
+  return duration < expected ? [...speeds, 0] : speeds.slice(0, expected + 1);
+};
+
+// Joins the parts of a cycle into one table. Returns null while a table it
+// needs has not been imported.
+export const buildDriveCycle = (cycleId, importedTables = {}) => {
+  const definition = DRIVE_CYCLES.find(cycle => cycle.id === cycleId);
+  if (!definition) return null;
+  const tables = { ...importedTables, ...BUILT_IN_TABLES };
+  if (definition.parts.some(part => !tables[part.table])) return null;
+
+  const speeds = [];
+  const phases = [];
+  definition.parts.forEach(part => {
+    const table = tables[part.table];
+    const slice = table.slice(part.fromS ?? 0, (part.toS ?? table.length - 1) + 1);
+    // Consecutive parts share their boundary sample
+    const startS = Math.max(0, speeds.length - 1);
+    speeds.push(...(speeds.length > 0 ? slice.slice(1) : slice));
+    phases.push({ name: part.phase, startS, endS: speeds.length - 1 });
+  });
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    description: definition.description,
+    speeds,
+    phases,
+    durationS: speeds.length - 1
+  };
+};
+
+export const isDriveCycleAvailable = (cycleId, importedTables) => buildDriveCycle(cycleId, importedTables) !== null;
+
+// Linear between the one-second samples
+export const speedAt = (cycle, positionS) => {
+  const position = Math.min(Math.max(0, positionS), cycle.durationS);
+  const index = Math.floor(position);
+  const next = Math.min(index + 1, cycle.durationS);
+  return cycle.speeds[index] + (cycle.speeds[next] - cycle.speeds[index]) * (position - index);
+};
+
+export const phaseAt = (cycle, positionS) =>
+  cycle.phases.find(phase => positionS < phase.endS) || cycle.phases[cycle.phases.length - 1];
+
+// Plays a cycle against simulated time. tick(dt) moves dt × rate seconds
+// along the cycle and returns the speed reached, the cycle time covered, the
+// distance driven in it and the steps driven ({ fromKmh, toKmh, dtS }, at
+// most one second each, so a fast playback rate still drives the right
+// distance and accelerations). While paused the car stands still.
+export const createDriveCyclePlayer = (cycle) => {
+  let current = cycle;
+  let state = { cycleId: cycle.id, positionS: 0, playing: true, loop: true, rate: 1 };
+  const listeners = new Set();
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener(state));
+  };
+
+  const getState = () => state;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const select = (next) => {
+    current = next;
+    update({ cycleId: next.id, positionS: 0 });
+  };
+
+  // Playing again after the end of a non-looping cycle starts it over
+  const play = () => update({ playing: true, positionS: state.positionS >= current.durationS ? 0 : state.positionS });
+  const pause = () => update({ playing: false });
+  const seek = (positionS) => update({ positionS: Math.min(Math.max(0, positionS), current.durationS) });
+  const setLoop = (loop) => update({ loop });
+  const setRate = (rate) => update({ rate });
+
+  const tick = (dt) => {
+    if (!state.playing) return { speed: 0, elapsedS: 0, distanceKm: 0, steps: [] };
+    let positionS = state.positionS;
+    let remaining = dt * state.rate;
+    let elapsedS = 0;
+    let distanceKm = 0;
+    const steps = [];
+    while (remaining > 0) {
+      if (positionS >= current.durationS) {
+        if (!state.loop) break;
+        positionS = 0;
+      }
+      const step = Math.min(1, remaining, current.durationS - positionS);
+      const fromKmh = speedAt(current, positionS);
+      const toKmh = speedAt(current, positionS + step);
+      steps.push({ fromKmh, toKmh, dtS: step });
+      distanceKm += ((fromKmh + toKmh) / 2) * step / 3600;
+      positionS += step;
+      elapsedS += step;
+      remaining -= step;
+    }
+    const finished = !state.loop && positionS >= current.durationS;
+    update({ positionS, playing: !finished });
+    return { speed: speedAt(current, positionS), elapsedS, distanceKm, steps };
+  };
+
+  return {
+    getState,
+    subscribe,
+    getCycle: () => current,
+    select,
+    play,
+    pause,
+    seek,
+    setLoop,
+    setRate,
+    tick
+  };
+};
+
+export const loadImportedCycleTables = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    console.warn('Ignoring saved drive cycle tables:', error.message);
+    return {};
+  }
+};
+
+export const saveImportedCycleTables = (tables) => {
+  if (Object.keys(tables).length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(tables));
+  }
+};
@@ -0,0 +1,266 @@
+import mediaLibrary from '../data/mediaLibrary.json';
+
+// Media library player over a local catalog (data/mediaLibrary.json). Like
+// navigationSimulator.js all functions are pure: they take and return the
+// carStatus.media object. A request ("Queen", "some jazz", "Tech Talk #127")
+// is resolved by fuzzy matching against titles, artists, albums / shows /
+// books, genres and playlists, and queues everything that belongs to the best
+// match.
+
+export const MEDIA_TYPES = ['music', 'podcast', 'audiobook'];
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+// previous restarts the current item instead once this far in
+const RESTART_THRESHOLD_S = 3;
+export const MIN_MATCH_SCORE = 0.65;
+// Words that say what kind of thing is wanted rather than which one
+const FILLER_WORDS = new Set(['a', 'an', 'the', 'by', 'some', 'play', 'song', 'songs', 'music', 'track', 'album', 'episode', 'podcast', 'audiobook', 'book', 'from', 'of', 'me']);
+const FAVORITES_PATTERN = /\b(favou?rites?|liked)\b/;
+
+const itemsById = new Map(mediaLibrary.items.map(item => [item.id, item]));
+
+export const mediaItem = (id) => itemsById.get(id) || null;
+
+export const createMediaState = () => ({
+  // Item ids in play order, and the one playing
+  queue: [],
+  index: 0,
+  positionS: 0,
+  playing: false,
+  shuffle: false,
+  // 'off' | 'all' (wrap around the queue) | 'one' (repeat the current item)
+  repeat: 'off',
+  // The queue in its original order while shuffled
+  unshuffledQueue: null,
+  favorites: [],
+  // What was asked for, e.g. 'Road Trip (playlist)'
+  request: null
+});
+
+const normalizeText = (text) =>
+  text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for the same text, 0.9 when the text contains the query and 0.8 the other
+// way round ("Tech Talk #125" is the episode more than the show), otherwise how
+// well each query word matches some word of the text (tolerating misspellings)
+export const matchScore = (query, text) => {
+  const q = normalizeText(query).split(' ').filter(word => !FILLER_WORDS.has(word)).join(' ');
+  const t = normalizeText(text);
+  if (!q || !t) return 0;
+  if (q === t) return 1;
+  if (Math.min(q.length, t.length) >= 3) {
+    if (t.includes(q)) return 0.9;
+    if (q.includes(t)) return 0.8;
+  }
+  const queryWords = q.split(' ');
+  const textWords = t.split(' ');
+  const total = queryWords.reduce((sum, word) =>
+    sum + Math.max(...textWords.map(candidate => 1 - editDistance(word, candidate) / Math.max(word.length, candidate.length))), 0);
+  return (0.85 * total) / queryWords.length;
+};
+
+const ofType = (type) => mediaLibrary.items.filter(item => item.type === type);
+
+const unique = (values) => [...new Set(values)];
+
+// Everything a request could mean, each with the queue it would play. On equal
+// scores the broader meaning wins: playlist, genre, album, artist, then item.
+const candidatesFor = (type, query) => {
+  const items = ofType(type);
+  const candidates = [];
+  if (type === 'music') {
+    mediaLibrary.playlists.forEach(playlist => {
+      candidates.push({
+        label: `${playlist.name} (playlist)`,
+        score: Math.max(...[playlist.name, ...(playlist.aliases || [])].map(name => matchScore(query, name))),
+        queue: playlist.itemIds
+      });
+    });
+    unique(items.map(item => item.genre)).forEach(genre => {
+      candidates.push({
+        label: `${genre[0].toUpperCase()}${genre.slice(1)} (genre)`,
+        score: matchScore(query, genre),
+        queue: items.filter(item => item.genre === genre).map(item => item.id)
+      });
+    });
+  }
+  unique(items.map(item => item.collection)).forEach(collection => {
+    candidates.push({
+      label: collection,
+      score: Math.max(matchScore(query, collection), matchScore(query, `${collection} ${items.find(item => item.collection === collection).artist}`)),
+      queue: items.filter(item => item.collection === collection).map(item => item.id)
+    });
+  });
+  unique(items.map(item => item.artist)).forEach(artist => {
+    candidates.push({
+      label: `${artist} (artist)`,
+      score: matchScore(query, artist),
+      queue: items.filter(item => item.artist === artist).map(item => item.id)
+    });
+  });
+  items.forEach(item => {
+    // Music continues with more by the same artist; chapters and episodes with what follows
+    const siblings = items.filter(other => (type === 'music' ? other.artist === item.artist : other.collection === item.collection));
+    const following = type === 'music'
+      ? siblings.filter(other => other.id !== item.id)
+      : siblings.slice(siblings.indexOf(item) + 1);
+    candidates.push({
+      label: item.type === 'music' ? `${item.title} by ${item.artist}` : item.type === 'audiobook' ? `${item.collection}, ${item.title}` : item.title,
+      score: Math.max(matchScore(query, item.title), matchScore(query, `${item.title} ${item.artist}`), matchScore(query, `${item.collection} ${item.title}`)),
+      queue: [item.id, ...following.map(other => other.id)]
+    });
+  });
+  return candidates;
+};
+
+// Best match for a request, or null. Favorites win when asked for and not empty.
+export const resolveRequest = (media, type, query) => {
+  if (FAVORITES_PATTERN.test(normalizeText(query))) {
+    const favorites = media.favorites.filter(id => mediaItem(id)?.type === type);
+    if (favorites.length > 0) return { label: 'Favorites', score: 1, queue: favorites };
+  }
+  const [best] = candidatesFor(type, query)
+    .filter(candidate => candidate.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score);
+  return best || null;
+};
+
+export const searchMedia = (query, type = null, limit = 5) =>
+  mediaLibrary.items
+    .filter(item => !type || item.type === type)
+    .map(item => ({
+      item,
+      score: Math.max(...[item.title, item.artist, item.collection, `${item.title} ${item.artist}`].map(text => matchScore(query, text)))
+    }))
+    .filter(({ score }) => score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item }) => item);
+
+// Names to suggest when nothing matches
+export const mediaSuggestions = (type) => {
+  const items = ofType(type);
+  const names = type === 'music'
+    ? [...mediaLibrary.playlists.map(playlist => playlist.name), ...unique(items.map(item => item.artist))]
+    : unique(items.map(item => item.collection));
+  return names.slice(0, 8);
+};
+
+const shuffled = (ids) => {
+  const result = [...ids];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Shuffling keeps the current item playing and mixes up the rest
+const applyShuffle = (media, queue, index) =>
+  (media.shuffle
+    ? { queue: [queue[index], ...shuffled(queue.filter((_, i) => i !== index))], index: 0, unshuffledQueue: queue }
+    : { queue, index, unshuffledQueue: null });
+
+export const playQueue = (media, queue, request, startIndex = 0) => ({
+  ...media,
+  ...applyShuffle(media, queue, startIndex),
+  positionS: 0,
+  playing: true,
+  request
+});
+
+export const currentItem = (media) => (media.queue.length > 0 ? mediaItem(media.queue[media.index]) : null);
+
+const moveTo = (media, index) => ({ ...media, index, positionS: 0 });
+
+// play | pause | stop | next | previous. Stop rewinds the current item.
+export const controlPlayback = (media, action) => {
+  if (media.queue.length === 0) return media;
+  const last = media.queue.length - 1;
+  switch (action) {
+    case 'play':
+      return { ...media, playing: true };
+    case 'pause':
+      return { ...media, playing: false };
+    case 'stop':
+      return { ...media, playing: false, positionS: 0 };
+    case 'next':
+      if (media.index < last) return moveTo(media, media.index + 1);
+      return media.repeat === 'all' ? moveTo(media, 0) : { ...moveTo(media, last), playing: false };
+    case 'previous':
+      if (media.positionS > RESTART_THRESHOLD_S || (media.index === 0 && media.repeat !== 'all')) return moveTo(media, media.index);
+      return moveTo(media, media.index > 0 ? media.index - 1 : last);
+    default:
+      return media;
+  }
+};
+
+export const setShuffle = (media, shuffle) => {
+  if (shuffle === media.shuffle) return media;
+  if (shuffle) return { ...media, shuffle, ...applyShuffle({ shuffle }, media.queue, media.index) };
+  // Back to the original order, still on the same item
+  const queue = media.unshuffledQueue || media.queue;
+  return { ...media, shuffle, queue, index: Math.max(0, queue.indexOf(media.queue[media.index])), unshuffledQueue: null };
+};
+
+export const setRepeat = (media, repeat) => ({ ...media, repeat });
+
+export const setFavorite = (media, id, favorite) => ({
+  ...media,
+  favorites: favorite ? unique([...media.favorites, id]) : media.favorites.filter(other => other !== id)
+});
+
+// Plays for dtS seconds; at the end of an item the queue moves on according to the repeat mode
+export const advanceMedia = (media, dtS) => {
+  const item = currentItem(media);
+  if (!media.playing || !item) return media;
+  const positionS = media.positionS + dtS;
+  if (positionS < item.durationS) return { ...media, positionS };
+  if (media.repeat === 'one') return { ...media, positionS: 0 };
+  return controlPlayback(media, 'next');
+};
+
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = String(Math.floor((whole % 3600) / 60)).padStart(hours > 0 ? 2 : 1, '0');
+  return `${hours > 0 ? `${hours}:` : ''}${minutes}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+export const describeItem = (item) => ({
+  type: item.type,
+  title: item.title,
+  artist: item.artist,
+  collection: item.collection,
+  durationS: item.durationS
+});
+
+export const describeMedia = (media) => {
+  const item = currentItem(media);
+  if (!item) return { playing: false, nowPlaying: null, message: 'Nothing queued' };
+  return {
+    playing: media.playing,
+    request: media.request,
+    nowPlaying: { ...describeItem(item), favorite: media.favorites.includes(item.id) },
+    position: `${formatTime(media.positionS)} / ${formatTime(item.durationS)}`,
+    positionS: Math.floor(media.positionS),
+    queuePosition: `${media.index + 1} of ${media.queue.length}`,
+    upNext: media.queue.slice(media.index + 1, media.index + 4).map(id => mediaItem(id).title),
+    shuffle: media.shuffle,
+    repeat: media.repeat
+  };
+};
+
+export { formatTime as formatMediaTime };
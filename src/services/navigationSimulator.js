@@ -0,0 +1,356 @@
+import navigationMap from '../data/navigationMap.json';
+
+// Navigation simulator over a local road graph (data/navigationMap.json).
+// Routes are planned with Dijkstra on travel time at the posted speeds; the
+// car then moves along the route at the drive cycle speed, one tick at a
+// time. The ETA uses a moving average of that speed, so stops at lights and
+// traffic show up in it. All functions are pure: they take and return the
+// carStatus.navigation object, and report what happened as events.
+
+// Roads are not straight lines between intersections
+const DETOUR_FACTOR = 1.25;
+// Maneuvers are announced once this close
+const APPROACH_KM = 0.3;
+// Time constant of the speed average used for the ETA
+const SPEED_SMOOTHING_S = 120;
+const INITIAL_SPEED_KMH = 30;
+const MIN_ETA_SPEED_KMH = 10;
+
+export const NEARBY_CATEGORIES = ['charging', 'food', 'coffee'];
+
+// Words a driver might use for a category instead of a place name
+const CATEGORY_WORDS = {
+  charging: ['charger', 'charging', 'charge', 'supercharger'],
+  food: ['food', 'restaurant', 'eat', 'lunch', 'dinner'],
+  coffee: ['coffee', 'cafe', 'espresso']
+};
+
+export const createNavigationGraph = (map = navigationMap) => {
+  const adjacency = new Map(Object.keys(map.nodes).map(id => [id, []]));
+  map.roads.forEach(({ from, to, road, speedKmh, highway = false }) => {
+    const a = map.nodes[from];
+    const b = map.nodes[to];
+    const lengthKm = Math.round(Math.hypot(b.x - a.x, b.y - a.y) * DETOUR_FACTOR * 100) / 100;
+    adjacency.get(from).push({ from, to, road, speedKmh, highway, lengthKm });
+    adjacency.get(to).push({ from: to, to: from, road, speedKmh, highway, lengthKm });
+  });
+  return { map, adjacency };
+};
+
+export const navigationGraph = createNavigationGraph();
+
+export const createNavigationState = (graph = navigationGraph) => ({
+  active: false,
+  // Node the car is at (or last passed) when not following a route
+  location: graph.map.start,
+  destination: null,
+  waypoints: [],
+  avoid: { highways: false, roads: [] },
+  // { segments, maneuvers, distanceKm, durationMinutes }
+  route: null,
+  traveledKm: 0,
+  remainingKm: 0,
+  etaMinutes: null,
+  nextManeuver: null,
+  // Index of the last maneuver announced / passed, so each fires once
+  announcedIndex: -1,
+  passedIndex: -1,
+  averageSpeedKmh: INITIAL_SPEED_KMH,
+  arrivedAt: null
+});
+
+const normalizeText = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+export const formatDistance = (km) => (km < 1 ? `${Math.max(50, Math.round(km * 20) * 50)} m` : `${km.toFixed(1)} km`);
+
+const edgeAllowed = (edge, avoid) =>
+  !(avoid.highways && edge.highway) && !avoid.roads.some(road => normalizeText(road) === normalizeText(edge.road));
+
+// Single-source Dijkstra by travel time. Returns { km, minutes, previous } per reachable node.
+const shortestPaths = (graph, source, avoid = { highways: false, roads: [] }) => {
+  const best = new Map([[source, { km: 0, minutes: 0, previous: null }]]);
+  const done = new Set();
+  for (;;) {
+    let current = null;
+    best.forEach((entry, node) => {
+      if (!done.has(node) && (!current || entry.minutes < best.get(current).minutes)) current = node;
+    });
+    if (!current) return best;
+    done.add(current);
+    const { km, minutes } = best.get(current);
+    graph.adjacency.get(current).filter(edge => edgeAllowed(edge, avoid)).forEach(edge => {
+      const candidate = minutes + (edge.lengthKm / edge.speedKmh) * 60;
+      if (!best.has(edge.to) || candidate < best.get(edge.to).minutes) {
+        best.set(edge.to, { km: km + edge.lengthKm, minutes: candidate, previous: edge });
+      }
+    });
+  }
+};
+
+const pathTo = (paths, target) => {
+  if (!paths.has(target)) return null;
+  const segments = [];
+  for (let edge = paths.get(target).previous; edge; edge = paths.get(edge.from).previous) {
+    segments.unshift(edge);
+  }
+  return segments;
+};
+
+const placeMatchScore = (place, query) => {
+  const names = [place.id, place.name, ...(place.aliases || [])].map(normalizeText);
+  if (names.includes(query)) return 3;
+  if (names.some(name => name.includes(query) || query.includes(name))) return 2;
+  const words = query.split(' ').filter(word => word.length > 2);
+  return names.some(name => words.some(word => name.split(' ').includes(word))) ? 1 : 0;
+};
+
+// Where the car will be next: a node, how far away it is, and the rest of the
+// segment it is on (null when standing at a node)
+const currentPosition = (navigation) => {
+  if (!navigation.active || !navigation.route) {
+    return { node: navigation.location, offsetKm: 0, lead: null };
+  }
+  let start = 0;
+  for (const segment of navigation.route.segments) {
+    const end = start + segment.lengthKm;
+    if (navigation.traveledKm < end) {
+      const remaining = end - navigation.traveledKm;
+      return { node: segment.to, offsetKm: remaining, lead: { ...segment, lengthKm: remaining, stop: undefined } };
+    }
+    start = end;
+  }
+  return { node: navigation.route.segments[navigation.route.segments.length - 1]?.to ?? navigation.location, offsetKm: 0, lead: null };
+};
+
+// Road the car is driving on, null when standing at a node
+export const currentRoad = (navigation) => currentPosition(navigation).lead?.road ?? null;
+
+// Places of a category ordered by driving distance from the car
+export const findNearby = (navigation, category, graph = navigationGraph) => {
+  const { node, offsetKm } = currentPosition(navigation);
+  const paths = shortestPaths(graph, node);
+  return graph.map.places
+    .filter(place => place.category === category && paths.has(place.node))
+    .map(place => ({
+      ...place,
+      distanceKm: Math.round((offsetKm + paths.get(place.node).km) * 10) / 10,
+      driveMinutes: Math.round(paths.get(place.node).minutes + (offsetKm / INITIAL_SPEED_KMH) * 60)
+    }))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+// Resolves a spoken place ("the airport", "a charger") to a fixture place.
+// Category words pick the nearest place of that category.
+export const resolvePlace = (navigation, query, graph = navigationGraph) => {
+  const text = normalizeText(query);
+  const scored = graph.map.places
+    .map(place => ({ place, score: placeMatchScore(place, text) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+  if (scored.length > 0) return scored[0].place;
+  const category = Object.keys(CATEGORY_WORDS).find(key => CATEGORY_WORDS[key].some(word => text.includes(word)));
+  return category ? findNearby(navigation, category, graph)[0] || null : null;
+};
+
+export const placeNames = (graph = navigationGraph) =>
+  graph.map.places.filter(place => place.category === 'destination').map(place => place.name);
+
+// Bearing in degrees, 0 = north, clockwise
+const bearingOf = (graph, segment) => {
+  const a = graph.map.nodes[segment.from];
+  const b = graph.map.nodes[segment.to];
+  return (Math.atan2(b.x - a.x, b.y - a.y) * 180) / Math.PI;
+};
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+const compassOf = (bearing) => COMPASS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+
+const turnText = (graph, previous, next) => {
+  const delta = ((bearingOf(graph, next) - bearingOf(graph, previous) + 540) % 360) - 180;
+  if (next.highway && !previous.highway) return { direction: 'ramp', text: `Take the ramp onto ${next.road} ${compassOf(bearingOf(graph, next))}` };
+  if (previous.highway && !next.highway) return { direction: 'exit', text: `Take the exit onto ${next.road}` };
+  const side = delta > 0 ? 'right' : 'left';
+  if (Math.abs(delta) < 20) return { direction: 'straight', text: `Continue onto ${next.road}` };
+  if (Math.abs(delta) < 45) return { direction: `slight_${side}`, text: `Bear ${side} onto ${next.road}` };
+  if (Math.abs(delta) < 150) return { direction: side, text: `Turn ${side} onto ${next.road}` };
+  return { direction: 'u_turn', text: `Make a U-turn onto ${next.road}` };
+};
+
+// Turn-by-turn list with the route distance (atKm) of each maneuver
+const buildManeuvers = (graph, segments, stops) => {
+  const maneuvers = [{
+    atKm: 0,
+    type: 'depart',
+    road: segments[0].road,
+    text: `Head ${compassOf(bearingOf(graph, segments[0]))} on ${segments[0].road}`
+  }];
+  let atKm = 0;
+  segments.forEach((segment, i) => {
+    atKm += segment.lengthKm;
+    const next = segments[i + 1];
+    if (segment.stop !== undefined && next) {
+      maneuvers.push({ atKm, type: 'waypoint', place: stops[segment.stop].name, text: `Arrive at waypoint ${stops[segment.stop].name}` });
+    }
+    if (next && next.road !== segment.road) {
+      maneuvers.push({ atKm, type: 'turn', road: next.road, ...turnText(graph, segment, next) });
+    }
+  });
+  const destination = stops[stops.length - 1];
+  maneuvers.push({ atKm, type: 'arrive', place: destination.name, text: `Arrive at ${destination.name}` });
+  return maneuvers.map(maneuver => ({ ...maneuver, atKm: Math.round(maneuver.atKm * 100) / 100 }));
+};
+
+// Route from the car's position through every stop; null if a stop is unreachable
+const planRoute = (graph, navigation, stops, avoid) => {
+  const { node, lead } = currentPosition(navigation);
+  const segments = lead ? [lead] : [];
+  let from = node;
+  for (let index = 0; index < stops.length; index++) {
+    const leg = from === stops[index].node ? [] : pathTo(shortestPaths(graph, from, avoid), stops[index].node);
+    if (!leg) return null;
+    if (leg.length > 0) {
+      segments.push(...leg.slice(0, -1), { ...leg[leg.length - 1], stop: index });
+    } else if (segments.length > 0) {
+      segments[segments.length - 1] = { ...segments[segments.length - 1], stop: index };
+    }
+    from = stops[index].node;
+  }
+  if (segments.length === 0) return null;
+  const distanceKm = segments.reduce((sum, segment) => sum + segment.lengthKm, 0);
+  const durationMinutes = segments.reduce((sum, segment) => sum + (segment.lengthKm / segment.speedKmh) * 60, 0);
+  return {
+    segments,
+    maneuvers: buildManeuvers(graph, segments, stops),
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    durationMinutes: Math.round(durationMinutes)
+  };
+};
+
+// Fills in remainingKm, etaMinutes and nextManeuver from traveledKm
+const withProgress = (navigation) => {
+  if (!navigation.active) {
+    return { ...navigation, remainingKm: 0, etaMinutes: null, nextManeuver: null };
+  }
+  const { route, traveledKm } = navigation;
+  const remainingKm = Math.max(0, route.distanceKm - traveledKm);
+  const next = route.maneuvers.find(maneuver => maneuver.atKm > traveledKm + 1e-6 && maneuver.type !== 'depart');
+  return {
+    ...navigation,
+    remainingKm: Math.round(remainingKm * 100) / 100,
+    etaMinutes: Math.round((remainingKm / Math.max(MIN_ETA_SPEED_KMH, navigation.averageSpeedKmh)) * 60),
+    nextManeuver: next ? { ...next, inKm: Math.round((next.atKm - traveledKm) * 100) / 100 } : null
+  };
+};
+
+// Starts guidance to the last of stops, via the others. Returns null when no route exists.
+// When the car is already at every stop it arrives at once: guidance stays off
+// and arrivedAt names the destination.
+export const startNavigation = (navigation, stops, { avoid = navigation.avoid, graph = navigationGraph } = {}) => {
+  const { node, lead } = currentPosition(navigation);
+  if (!lead && stops.every(stop => stop.node === node)) {
+    return withProgress({ ...stopNavigation(navigation), arrivedAt: stops[stops.length - 1].name });
+  }
+  const route = planRoute(graph, navigation, stops, avoid);
+  if (!route) return null;
+  return withProgress({
+    ...navigation,
+    active: true,
+    location: currentPosition(navigation).node,
+    destination: stops[stops.length - 1],
+    waypoints: stops.slice(0, -1),
+    avoid,
+    route,
+    traveledKm: 0,
+    announcedIndex: 0,
+    passedIndex: 0,
+    arrivedAt: null
+  });
+};
+
+export const stopNavigation = (navigation) => withProgress({
+  ...navigation,
+  active: false,
+  location: currentPosition(navigation).node,
+  destination: null,
+  waypoints: [],
+  avoid: { highways: false, roads: [] },
+  route: null,
+  traveledKm: 0
+});
+
+// Re-plans the remaining stops from where the car is, with extra avoidances
+export const rerouteNavigation = (navigation, avoid, graph = navigationGraph) => {
+  if (!navigation.active) return null;
+  return startNavigation(navigation, [...navigation.waypoints, navigation.destination], { avoid, graph });
+};
+
+// One simulation tick. Returns { navigation, events } where events are
+// { type: 'maneuver' | 'waypoint' | 'arrived', text, ... } in order.
+export const advanceNavigation = (navigation, speedKmh, dtSeconds) => {
+  const weight = Math.min(1, dtSeconds / SPEED_SMOOTHING_S);
+  const averageSpeedKmh = navigation.averageSpeedKmh + (speedKmh - navigation.averageSpeedKmh) * weight;
+  if (!navigation.active) {
+    return { navigation: { ...navigation, averageSpeedKmh }, events: [] };
+  }
+
+  const { route } = navigation;
+  const traveledKm = Math.min(route.distanceKm, navigation.traveledKm + (speedKmh * dtSeconds) / 3600);
+  const events = [];
+  let { announcedIndex, passedIndex, waypoints } = navigation;
+
+  route.maneuvers.forEach((maneuver, index) => {
+    if (maneuver.type === 'turn' && index > announcedIndex && maneuver.atKm - traveledKm <= APPROACH_KM && maneuver.atKm > traveledKm) {
+      announcedIndex = index;
+      const text = `In ${formatDistance(maneuver.atKm - traveledKm)}, ${maneuver.text.charAt(0).toLowerCase()}${maneuver.text.slice(1)}`;
+      events.push({ type: 'maneuver', maneuver, text });
+    }
+    if (index > passedIndex && maneuver.atKm <= traveledKm) {
+      passedIndex = index;
+      if (maneuver.type === 'waypoint') {
+        waypoints = waypoints.slice(1);
+        events.push({ type: 'waypoint', place: maneuver.place, text: `Reached waypoint ${maneuver.place}` });
+      }
+    }
+  });
+
+  if (traveledKm >= route.distanceKm) {
+    const destination = navigation.destination;
+    events.push({ type: 'arrived', place: destination.name, text: `Arrived at ${destination.name}` });
+    return {
+      navigation: withProgress({
+        ...stopNavigation(navigation),
+        location: destination.node,
+        averageSpeedKmh,
+        arrivedAt: destination.name
+      }),
+      events
+    };
+  }
+
+  return {
+    navigation: withProgress({ ...navigation, traveledKm, announcedIndex, passedIndex, waypoints, averageSpeedKmh }),
+    events
+  };
+};
+
+// Compact view for tool outputs and get_vehicle_status
+export const describeNavigation = (navigation) => {
+  if (!navigation.active) {
+    return {
+      active: false,
+      location: navigationGraph.map.nodes[navigation.location]?.name ?? navigation.location,
+      lastArrival: navigation.arrivedAt
+    };
+  }
+  return {
+    active: true,
+    destination: navigation.destination.name,
+    waypoints: navigation.waypoints.map(place => place.name),
+    remainingKm: navigation.remainingKm,
+    etaMinutes: navigation.etaMinutes,
+    nextManeuver: navigation.nextManeuver
+      ? `${navigation.nextManeuver.text} in ${formatDistance(navigation.nextManeuver.inKm)}`
+      : null,
+    avoiding: [...(navigation.avoid.highways ? ['highways'] : []), ...navigation.avoid.roads]
+  };
+};
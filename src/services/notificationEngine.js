@@ -0,0 +1,91 @@
+import { matchesAll } from '../tools/policyEngine';
+import { notificationRules } from './notificationRules';
+
+const PRIORITY_RANK = { low: 0, normal: 1, high: 2 };
+
+export const DEFAULT_MIN_INTERVAL_MS = 20000;
+
+const fillTemplate = (template, event) =>
+  template.replace(/\{(\w+)\}/g, (match, field) => {
+    const value = event[field];
+    if (value === undefined) return match;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+
+// Decides which vehicle events the assistant speaks about, and when.
+//
+// handle(event) queues a notification if a rule matches and the rule is not
+// cooling down; a newer event for the same rule replaces a queued one.
+// flush() sends at most one notification, and only when isSuppressed() is
+// false (driver speaking, assistant answering) and the global rate limit
+// allows it. Callers flush on every simulation tick and whenever the
+// suppressing condition may have ended. onDecision reports what happened to
+// each notification ('queued', 'cooldown', 'sent', 'expired', 'disabled').
+export const createNotificationEngine = ({
+  rules = notificationRules,
+  send,
+  isSuppressed = () => false,
+  onDecision,
+  now = Date.now
+}) => {
+  let enabled = true;
+  let minIntervalMs = DEFAULT_MIN_INTERVAL_MS;
+  let queue = [];
+  let lastSentAt = -Infinity;
+  const lastFiredAt = new Map();
+
+  const configure = (options) => {
+    enabled = options.enabled ?? enabled;
+    minIntervalMs = options.minIntervalMs ?? minIntervalMs;
+    if (!enabled) queue = [];
+  };
+
+  const handle = (event) => {
+    const rule = rules.find(candidate => candidate.event === event.type && matchesAll(event, candidate.when));
+    if (!rule) return;
+    const notification = {
+      rule,
+      event,
+      text: fillTemplate(rule.instruction, event),
+      queuedAt: now(),
+      expiresAt: now() + rule.ttlMs
+    };
+    if (!enabled) {
+      onDecision?.('disabled', notification);
+      return;
+    }
+    if (now() - (lastFiredAt.get(rule.id) ?? -Infinity) < rule.cooldownMs) {
+      onDecision?.('cooldown', notification);
+      return;
+    }
+    queue = [...queue.filter(queued => queued.rule.id !== rule.id), notification];
+    onDecision?.('queued', notification);
+  };
+
+  const flush = () => {
+    const time = now();
+    const expired = queue.filter(notification => notification.expiresAt <= time);
+    queue = queue.filter(notification => notification.expiresAt > time);
+    expired.forEach(notification => onDecision?.('expired', notification));
+    if (queue.length === 0 || isSuppressed()) return;
+
+    // Highest priority first, oldest first within a priority
+    const [next] = [...queue].sort((a, b) =>
+      PRIORITY_RANK[b.rule.priority] - PRIORITY_RANK[a.rule.priority] || a.queuedAt - b.queuedAt);
+    if (next.rule.priority !== 'high' && time - lastSentAt < minIntervalMs) return;
+
+    queue = queue.filter(notification => notification !== next);
+    lastSentAt = time;
+    lastFiredAt.set(next.rule.id, time);
+    send(next.text, next);
+    onDecision?.('sent', next);
+  };
+
+  const reset = () => {
+    queue = [];
+    lastSentAt = -Infinity;
+    lastFiredAt.clear();
+  };
+
+  return { configure, handle, flush, reset, getQueue: () => queue };
+};
@@ -0,0 +1,74 @@
+// Which vehicle events (see vehicleEvents.js) the assistant mentions on its own.
+//
+// Rules are plain data, like the safety rules:
+//   id:          stable identifier, shown in the log
+//   event:       event type the rule applies to
+//   when:        conditions on the event (same operators as safetyRules.js)
+//   priority:    'high' | 'normal' | 'low'; high skips the global rate limit
+//   cooldownMs:  minimum time between two notifications from this rule
+//   ttlMs:       how long a notification may wait (user speaking, assistant
+//                answering, rate limit) before it is no longer worth saying
+//   instruction: what the model is asked to tell the driver; {field} is
+//                replaced with the event's field
+// The first matching rule wins.
+
+export const notificationRules = [
+  {
+    id: 'battery-critical',
+    event: 'battery_low',
+    when: { threshold: { lte: 5 } },
+    priority: 'high',
+    cooldownMs: 0,
+    ttlMs: 120000,
+    instruction: 'The battery is critically low at {battery}% (about {rangeKm} km left). Urgently tell the driver and offer to navigate to the nearest charger.'
+  },
+  {
+    id: 'battery-low',
+    event: 'battery_low',
+    priority: 'normal',
+    cooldownMs: 0,
+    ttlMs: 120000,
+    instruction: 'The battery dropped below {threshold}% ({battery}%, about {rangeKm} km left). Briefly tell the driver and offer to find a charger.'
+  },
+  {
+    id: 'window-open-at-speed',
+    event: 'window_open_at_speed',
+    priority: 'normal',
+    cooldownMs: 300000,
+    ttlMs: 30000,
+    instruction: 'The car is at {speed} km/h with the {windows} window(s) open. Briefly suggest closing them.'
+  },
+  {
+    id: 'charging-complete',
+    event: 'charging_complete',
+    priority: 'normal',
+    cooldownMs: 0,
+    ttlMs: 300000,
+    instruction: 'Charging finished at {battery}% ({addedKwh} kWh added, about {rangeKm} km of range). Briefly tell the driver the car can be unplugged.'
+  },
+  {
+    id: 'maneuver',
+    event: 'maneuver_approaching',
+    priority: 'low',
+    cooldownMs: 0,
+    // A turn instruction is useless once the turn is behind the car
+    ttlMs: 15000,
+    instruction: 'Navigation: {text}. Tell the driver in one short sentence.'
+  },
+  {
+    id: 'waypoint',
+    event: 'waypoint_reached',
+    priority: 'normal',
+    cooldownMs: 0,
+    ttlMs: 60000,
+    instruction: 'Navigation: the car reached the stop {place}. Briefly tell the driver; guidance continues afterwards.'
+  },
+  {
+    id: 'arrival',
+    event: 'arrived',
+    priority: 'normal',
+    cooldownMs: 0,
+    ttlMs: 60000,
+    instruction: 'Navigation: the car has arrived at {place}. Briefly tell the driver.'
+  }
+];
@@ -0,0 +1,169 @@
+import radioStations from '../data/radioStations.json';
+import { matchScore, MIN_MATCH_SCORE } from './mediaPlayer';
+
+// Radio tuner over a local station list (data/radioStations.json). Like
+// mediaPlayer.js all functions are pure: they take and return the
+// carStatus.tuner object. Seek and scan only stop on stations strong enough
+// to be received; weak ones can still be tuned by frequency.
+
+export const BANDS = {
+  FM: { min: 87.5, max: 108, step: 0.1, unit: 'MHz' },
+  AM: { min: 530, max: 1710, step: 10, unit: 'kHz' }
+};
+
+export const PRESET_SLOTS = 6;
+// Scan plays each station this long before moving on
+export const SCAN_HOLD_S = 5;
+const MIN_SEEK_SIGNAL = 0.3;
+// Words that say it is the radio that is wanted, not which station
+const RADIO_WORDS = /\b(station|radio|channel|on the)\b/g;
+
+export const STATIONS = radioStations.stations;
+
+const toStep = (band, frequency) => Math.round((frequency - BANDS[band].min) / BANDS[band].step);
+const fromStep = (band, step) => Math.round((BANDS[band].min + step * BANDS[band].step) * 10) / 10;
+const sameFrequency = (band, a, b) => toStep(band, a) === toStep(band, b);
+
+export const createTunerState = () => ({
+  band: 'FM',
+  frequency: 101.5,
+  // Where each band was left, so switching back returns there
+  lastFrequency: { FM: 101.5, AM: 1020 },
+  presets: radioStations.presets.map(preset => ({ ...preset })),
+  // While scanning: { startFrequency, heldS }
+  scan: null
+});
+
+export const formatFrequency = (band, frequency) =>
+  `${band} ${band === 'FM' ? frequency.toFixed(1) : frequency}`;
+
+export const stationAt = (band, frequency) =>
+  STATIONS.find(station => station.band === band && sameFrequency(band, station.frequency, frequency)) || null;
+
+// A frequency on the band's channel grid, or an error message
+export const validateFrequency = (band, frequency) => {
+  const { min, max, step, unit } = BANDS[band];
+  if (frequency < min || frequency > max) {
+    return `${band} runs from ${min} to ${max} ${unit}`;
+  }
+  if (Math.abs(fromStep(band, toStep(band, frequency)) - frequency) > 1e-6) {
+    return `${band} frequencies are in ${step} ${unit} steps`;
+  }
+  return null;
+};
+
+// "FM 101.5", "101.5", "1020 AM", "am1020" -> { band, frequency }, or null when
+// the text is not a frequency. Without a band the number decides.
+export const parseFrequency = (text) => {
+  const match = text.trim().toLowerCase().match(/^(fm|am)?\s*(\d+(?:\.\d+)?)\s*(fm|am|mhz|khz)?$/);
+  if (!match) return null;
+  const frequency = Number(match[2]);
+  const unitBand = match[3] === 'mhz' ? 'FM' : match[3] === 'khz' ? 'AM' : match[3];
+  const band = (match[1] || unitBand || (frequency < BANDS.AM.min ? 'fm' : 'am')).toUpperCase();
+  return { band, frequency };
+};
+
+// The station a request means ("jazz", "NewsRadio", "the sports station"),
+// strongest signal first on equal scores, or null
+export const findStation = (query) => {
+  const cleaned = query.toLowerCase().replace(RADIO_WORDS, ' ');
+  const [best] = STATIONS
+    .map(station => ({
+      station,
+      score: Math.max(...[station.name, station.genre, ...(station.aliases || [])].map(text => matchScore(cleaned, text)))
+    }))
+    .filter(({ score }) => score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score || b.station.signal - a.station.signal);
+  return best ? best.station : null;
+};
+
+export const tuneTo = (tuner, band, frequency) => ({
+  ...tuner,
+  band,
+  frequency: fromStep(band, toStep(band, frequency)),
+  lastFrequency: { ...tuner.lastFrequency, [band]: fromStep(band, toStep(band, frequency)) },
+  scan: null
+});
+
+export const switchBand = (tuner, band) => (band === tuner.band ? tuner : tuneTo(tuner, band, tuner.lastFrequency[band]));
+
+// One channel up (1) or down (-1), wrapping at the band edges
+export const stepFrequency = (tuner, direction) => {
+  const { band } = tuner;
+  const count = toStep(band, BANDS[band].max) + 1;
+  return tuneTo(tuner, band, fromStep(band, (toStep(band, tuner.frequency) + direction + count) % count));
+};
+
+// The next receivable station up or down the band, wrapping; null when there is none
+const seekStation = (tuner, direction) => {
+  const receivable = STATIONS
+    .filter(station => station.band === tuner.band && station.signal >= MIN_SEEK_SIGNAL)
+    .sort((a, b) => a.frequency - b.frequency);
+  if (receivable.length === 0) return null;
+  const ahead = direction > 0
+    ? receivable.find(station => station.frequency > tuner.frequency && !sameFrequency(tuner.band, station.frequency, tuner.frequency))
+    : [...receivable].reverse().find(station => station.frequency < tuner.frequency && !sameFrequency(tuner.band, station.frequency, tuner.frequency));
+  return ahead || (direction > 0 ? receivable[0] : receivable[receivable.length - 1]);
+};
+
+export const seek = (tuner, direction) => {
+  const station = seekStation(tuner, direction);
+  return station ? tuneTo(tuner, station.band, station.frequency) : tuner;
+};
+
+// Scan seeks upwards, plays each station for SCAN_HOLD_S and stops back where it started
+export const startScan = (tuner) => {
+  const next = seek(tuner, 1);
+  return { ...next, scan: { startFrequency: tuner.frequency, heldS: 0 } };
+};
+
+export const stopScan = (tuner) => (tuner.scan ? { ...tuner, scan: null } : tuner);
+
+// Whether going up the band from one frequency to another (wrapping) passes x
+const passes = (from, to, x) => (to > from ? x > from && x <= to : x > from || x <= to);
+
+export const advanceTuner = (tuner, dtS) => {
+  if (!tuner.scan) return tuner;
+  const heldS = tuner.scan.heldS + dtS;
+  if (heldS < SCAN_HOLD_S) return { ...tuner, scan: { ...tuner.scan, heldS } };
+  const next = seek(tuner, 1);
+  const { startFrequency } = tuner.scan;
+  if (passes(tuner.frequency, next.frequency, startFrequency)) return tuneTo(tuner, tuner.band, startFrequency);
+  return { ...next, scan: { startFrequency, heldS: 0 } };
+};
+
+export const savePreset = (tuner, slot) => ({
+  ...tuner,
+  presets: tuner.presets.map((preset, index) => (index === slot - 1 ? { band: tuner.band, frequency: tuner.frequency } : preset))
+});
+
+export const tunePreset = (tuner, slot) => {
+  const preset = tuner.presets[slot - 1];
+  return tuneTo(tuner, preset.band, preset.frequency);
+};
+
+export const describeFrequency = (band, frequency) => {
+  const station = stationAt(band, frequency);
+  return {
+    frequency: formatFrequency(band, frequency),
+    station: station ? station.name : null,
+    genre: station ? station.genre : null,
+    // Weak or no signal means static
+    reception: !station ? 'static' : station.signal >= MIN_SEEK_SIGNAL ? 'clear' : 'weak'
+  };
+};
+
+export const describeTuner = (status) => {
+  const { tuner } = status;
+  return {
+    playing: status.mediaType === 'radio' && status.radioPlaying,
+    band: tuner.band,
+    ...describeFrequency(tuner.band, tuner.frequency),
+    scanning: tuner.scan !== null,
+    presets: tuner.presets.map((preset, index) => ({
+      slot: index + 1,
+      frequency: formatFrequency(preset.band, preset.frequency),
+      station: stationAt(preset.band, preset.frequency)?.name ?? null
+    }))
+  };
+};
@@ -1,8 +1,34 @@
+// Reconnection defaults: exponential backoff between attempts, and how much
+// state to carry over into the new session
+const DEFAULT_RECONNECT_OPTIONS = {
+  enabled: true,
+  maxAttempts: 10,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  maxReplayItems: 20,
+  maxBufferedAudioChunks: 100
+};
+
 export class RealtimeClient {
   constructor(config) {
     this.config = config;
     this.ws = null;
     this.listeners = {};
+    this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...(config.reconnect || {}) };
+    this.url = null;
+    this.tools = null;
+    this.hasConnected = false;
+    this.closedByUser = false;
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    // Conversation items kept for replay after a reconnect, oldest first
+    this.history = [];
+    // Merged session config sent so far, resent when a socket opens
+    this.session = null;
+    // Messages sent while offline, flushed once the session is restored
+    this.outbox = [];
+    this.bufferedAudio = [];
   }
 
   on(event, callback) {
@@ -12,6 +38,12 @@ export class RealtimeClient {
     this.listeners[event].push(callback);
   }
 
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
   emit(event, data) {
     if (this.listeners[event]) {
       this.listeners[event].forEach(cb => cb(data));
@@ -19,7 +51,7 @@ export class RealtimeClient {
   }
 
   async connect() {
-    const { endpoint, apiKey, model, apiVersion, sessionConfig } = this.config;
+    const { endpoint, apiKey, model, apiVersion } = this.config;
     
     // Construct the WebSocket URL
     let url = endpoint;
@@ -94,45 +126,71 @@ export class RealtimeClient {
 
     console.log('Connecting to:', url); // Debug log (remove in production if sensitive)
 
-    this.ws = new WebSocket(url, "realtime");
+    this.url = url;
+    this.closedByUser = false;
+    this.session = this.initialSession();
+    this.openSocket();
+  }
+
+  initialSession() {
+    const { sessionConfig } = this.config;
+
+    // Format voice configuration based on voice type
+    const openAIVoices = ['alloy', 'echo', 'fable', 'nova', 'shimmer'];
+    const voiceValue = sessionConfig.voice;
+    let formattedVoice;
+
+    if (openAIVoices.includes(voiceValue)) {
+      // OpenAI voice - use object format with type
+      formattedVoice = {
+        name: voiceValue,
+        type: "openai"
+      };
+    } else {
+      // Azure voice - use object format with type azure
+      formattedVoice = {
+        name: voiceValue,
+        type: "azure-standard"
+      };
+    }
+
+    return {
+      ...sessionConfig,
+      voice: formattedVoice,
+      input_audio_format: "pcm16",
+      output_audio_format: "pcm16",
+      ...(this.tools ? { tools: this.tools, tool_choice: "auto" } : {})
+    };
+  }
+
+  openSocket() {
+    this.ws = new WebSocket(this.url, "realtime");
 
     this.ws.onopen = () => {
-      this.emit('open');
-      
-      // Format voice configuration based on voice type
-      const openAIVoices = ['alloy', 'echo', 'fable', 'nova', 'shimmer'];
-      const voiceValue = sessionConfig.voice;
-      let formattedVoice;
-      
-      if (openAIVoices.includes(voiceValue)) {
-        // OpenAI voice - use object format with type
-        formattedVoice = {
-          name: voiceValue,
-          type: "openai"
-        };
-      } else {
-        // Azure voice - use object format with type azure
-        formattedVoice = {
-          name: voiceValue,
-          type: "azure-standard"
-        };
+      const resumed = this.reconnecting;
+      const attempt = this.reconnectAttempt;
+      this.reconnecting = false;
+      this.reconnectAttempt = 0;
+      if (!resumed) {
+        this.hasConnected = true;
+        this.emit('open');
       }
       
-      // Send initial configuration
-      this.send({
-        type: "session.update",
-        session: {
-          ...sessionConfig,
-          voice: formattedVoice,
-          input_audio_format: "pcm16",
-          output_audio_format: "pcm16",
-        }
-      });
+      // The session as last configured (initial config, tools and any later
+      // session.update, including ones sent while offline)
+      this.send({ type: "session.update", session: this.session }, { record: false });
+
+      if (resumed) {
+        this.replayHistory();
+        this.flushOutbox();
+        this.emit('reconnected', { attempt });
+      }
     };
 
     this.ws.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
+        this.recordIncoming(data);
         this.emit('message', data);
       } catch (e) {
         console.error("Failed to parse message", e);
@@ -140,30 +198,153 @@ export class RealtimeClient {
     };
 
     this.ws.onerror = (error) => {
-      this.emit('error', error);
+      // Failed attempts while reconnecting are expected; only the final close is reported
+      if (!this.reconnecting) {
+        this.emit('error', error);
+      }
     };
 
     this.ws.onclose = () => {
-      this.emit('close');
+      if (this.shouldReconnect()) {
+        this.scheduleReconnect();
+      } else {
+        this.reconnecting = false;
+        this.emit('close');
+      }
     };
   }
 
-  send(data) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+  shouldReconnect() {
+    const { enabled, maxAttempts } = this.reconnectOptions;
+    return enabled && this.hasConnected && !this.closedByUser && this.reconnectAttempt < maxAttempts;
+  }
+
+  scheduleReconnect() {
+    const { baseDelayMs, maxDelayMs } = this.reconnectOptions;
+    this.reconnecting = true;
+    this.reconnectAttempt += 1;
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (this.reconnectAttempt - 1));
+    const delayMs = Math.round(backoff + Math.random() * 250);
+    this.emit('reconnecting', { attempt: this.reconnectAttempt, delayMs });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, delayMs);
+  }
+
+  isOpen() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  // Emits 'send' once the message is written to the socket; offline messages
+  // are emitted when they are flushed or replayed after the reconnect
+  send(data, { record = true } = {}) {
+    if (data.type === 'session.update') {
+      // Session updates merge, so the merged result is all a new session needs
+      this.session = { ...this.session, ...data.session };
+    }
+    const recorded = record && this.recordOutgoing(data);
+    if (this.isOpen()) {
       this.ws.send(JSON.stringify(data));
+      this.emit('send', data);
+      return;
+    }
+    if (!this.reconnecting) {
+      return;
+    }
+    // Offline: keep microphone audio (bounded) and other client events for
+    // after the reconnect. Session updates are resent with the session and
+    // recorded conversation items with the history, so neither is queued.
+    if (data.type === 'input_audio_buffer.append') {
+      this.bufferedAudio.push(data);
+      if (this.bufferedAudio.length > this.reconnectOptions.maxBufferedAudioChunks) {
+        this.bufferedAudio.shift();
+      }
+    } else if (data.type !== 'session.update' && !recorded) {
+      this.outbox.push(data);
+    }
+  }
+
+  flushOutbox() {
+    const pending = [...this.outbox, ...this.bufferedAudio];
+    this.outbox = [];
+    this.bufferedAudio = [];
+    pending.forEach(data => this.send(data, { record: false }));
+  }
+
+  // Track the conversation so it can be rebuilt on a new session.
+  // Audio can't be replayed, so user speech is kept as its transcript and
+  // assistant audio as its transcript text.
+  recordIncoming(event) {
+    if (event.type === 'conversation.item.created' && event.item?.type === 'message' && event.item.role === 'user') {
+      const hasAudio = (event.item.content || []).some(part => part.type === 'input_audio');
+      if (hasAudio) {
+        // Placeholder filled in when the transcription completes
+        this.pushHistory(event.item.id, null);
+      }
+    } else if (event.type === 'conversation.item.input_audio_transcription.completed' && event.transcript) {
+      const item = { type: 'message', role: 'user', content: [{ type: 'input_text', text: event.transcript }] };
+      const entry = this.history.find(h => h.id === event.item_id);
+      if (entry) {
+        entry.item = item;
+      } else {
+        this.pushHistory(event.item_id, item);
+      }
+    } else if (event.type === 'response.function_call_arguments.done') {
+      // Recorded before listeners run, so the call precedes its output
+      this.pushHistory(event.item_id, { type: 'function_call', call_id: event.call_id, name: event.name, arguments: event.arguments });
+    } else if (event.type === 'response.output_item.done' && event.item?.type === 'message' && event.item.role === 'assistant') {
+      const text = (event.item.content || []).map(part => part.transcript || part.text).filter(Boolean).join(' ');
+      if (text) {
+        this.pushHistory(event.item.id, { type: 'message', role: 'assistant', content: [{ type: 'text', text }] });
+      }
     }
   }
 
+  // Returns whether the message was added to the history
+  recordOutgoing(data) {
+    if (data.type === 'conversation.item.create' && data.item) {
+      this.pushHistory(data.item.id || null, data.item);
+      return true;
+    }
+    return false;
+  }
+
+  pushHistory(id, item) {
+    this.history.push({ id, item });
+    if (this.history.length > this.reconnectOptions.maxReplayItems) {
+      this.history.shift();
+    }
+  }
+
+  replayHistory() {
+    const items = this.history.map(entry => entry.item).filter(Boolean);
+    // A function output can't be replayed without the call that produced it
+    while (items.length > 0 && items[0].type === 'function_call_output') {
+      items.shift();
+    }
+    items.forEach(item => {
+      // Item ids belong to the old session, let the server assign new ones
+      const replayed = { ...item };
+      delete replayed.id;
+      this.send({ type: "conversation.item.create", item: replayed }, { record: false });
+    });
+  }
+
   setTools(tools) {
-    // Send tools configuration
-    // This should be done in session.update or similar
+    // Kept in the session, which is resent on open, so tools survive reconnects
+    this.tools = tools;
+    this.sendToolsConfig();
+  }
+
+  sendToolsConfig() {
     this.send({
         type: "session.update",
         session: {
-            tools: tools,
+            tools: this.tools,
             tool_choice: "auto"
         }
-    });
+    }, { record: false });
   }
 
   sendToolOutput(callId, output) {
@@ -180,7 +361,40 @@ export class RealtimeClient {
     });
   }
 
+  // Adds a text message to the conversation, e.g. to tell the model about an
+  // action that completed outside of a function call
+  sendMessage(role, text, { createResponse = true } = {}) {
+    this.send({
+      type: "conversation.item.create",
+      item: {
+        type: "message",
+        role,
+        content: [{ type: "input_text", text }]
+      }
+    });
+    if (createResponse) {
+      this.send({
+          type: "response.create"
+      });
+    }
+  }
+
   disconnect() {
+    this.closedByUser = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.outbox = [];
+    this.bufferedAudio = [];
+    if (this.reconnecting) {
+      // No socket is open, so report the close here instead of from onclose
+      this.reconnecting = false;
+      if (this.ws) {
+        this.ws.onclose = null;
+      }
+      this.emit('close');
+    }
     if (this.ws) {
       this.ws.close();
       this.ws = null;
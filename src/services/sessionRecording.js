@@ -0,0 +1,196 @@
+// Session recording and deterministic replay.
+//
+// A recording captures every server event (as emitted through
+// RealtimeClient 'message'), every outbound send() payload including audio,
+// and vehicle status snapshots, each with a timestamp relative to the start.
+// Replay feeds the server events back through the app's message handler at
+// the original or an accelerated pace.
+
+import { downloadFile } from '../utils/download';
+
+export const RECORDING_VERSION = 1;
+
+export const createSessionRecorder = ({ config, getStatus }) => {
+  const startedAt = Date.now();
+  const entries = [{ t: 0, kind: 'status', data: getStatus() }];
+  const detachers = [];
+
+  const record = (kind, data) => {
+    entries.push({ t: Date.now() - startedAt, kind, data });
+  };
+
+  // Listen to a RealtimeClient and a vehicle store
+  const attach = (client, store) => {
+    const onMessage = (event) => record('in', event);
+    const onSend = (data) => record('out', data);
+    client.on('message', onMessage);
+    client.on('send', onSend);
+    detachers.push(() => {
+      client.off('message', onMessage);
+      client.off('send', onSend);
+    });
+    detachers.push(store.subscribe(status => record('status', status)));
+  };
+
+  const detach = () => {
+    detachers.splice(0).forEach(fn => fn());
+  };
+
+  const toJSON = () => ({
+    version: RECORDING_VERSION,
+    startedAt,
+    durationMs: entries[entries.length - 1].t,
+    // Never store the API key in a file meant to be shared
+    config: {
+      endpoint: config.endpoint,
+      apiVersion: config.apiVersion,
+      modelCategory: config.modelCategory,
+      model: config.model,
+      sessionConfig: config.sessionConfig
+    },
+    entries
+  });
+
+  const count = () => entries.length;
+
+  return { attach, detach, record, toJSON, count };
+};
+
+export const downloadRecording = (recording, filename) => {
+  downloadFile(
+    JSON.stringify(recording),
+    'application/json',
+    filename || `voice-live-session-${new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-')}.json`
+  );
+};
+
+export const parseRecording = (text) => {
+  const recording = JSON.parse(text);
+  if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.entries)) {
+    throw new Error('Not a session recording (unsupported version or missing entries)');
+  }
+  return recording;
+};
+
+// Stands in for RealtimeClient while replaying: the message handler can call
+// send()/sendToolOutput() as usual, but nothing leaves the browser
+export class ReplayClient {
+  constructor() {
+    this.listeners = {};
+    this.sent = [];
+  }
+
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(cb => cb(data));
+    }
+  }
+
+  isOpen() {
+    return true;
+  }
+
+  send(data) {
+    this.sent.push(data);
+    this.emit('send', data);
+  }
+
+  setTools() {}
+
+  sendToolOutput(callId, output) {
+    this.send({ type: "conversation.item.create", item: { type: "function_call_output", call_id: callId, output: JSON.stringify(output) } });
+    this.send({ type: "response.create" });
+  }
+
+  sendMessage(role, text, { createResponse = true } = {}) {
+    this.send({ type: "conversation.item.create", item: { type: "message", role, content: [{ type: "input_text", text }] } });
+    if (createResponse) {
+      this.send({ type: "response.create" });
+    }
+  }
+
+  disconnect() {
+    this.emit('close');
+  }
+}
+
+// Plays back recorded entries in order.
+//   dispatch(event, timestamp): async handler for server events ('in')
+//   applyStatus(status):        restores a vehicle status snapshot ('status')
+//   onProgress(index, total):   called after each entry
+//   onDone(stopped):            called at the end or after stop()
+// Outbound entries are skipped; they are what the app sent, not what it received.
+export const createSessionReplayer = (recording, { speed = 1, dispatch, applyStatus, onProgress, onDone }) => {
+  const entries = recording.entries.filter(entry => entry.kind !== 'out');
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+  let finished = false;
+  let currentSpeed = speed;
+
+  // Runs once, whether playback ends or stop() lands while a dispatch is in flight
+  const finish = () => {
+    timer = null;
+    if (finished) return;
+    finished = true;
+    if (onDone) onDone(stopped);
+  };
+
+  const step = async () => {
+    timer = null;
+    if (stopped) return;
+    const entry = entries[index];
+    if (entry.kind === 'status') {
+      applyStatus(entry.data);
+    } else {
+      await dispatch(entry.data, recording.startedAt + entry.t);
+    }
+    index += 1;
+    if (onProgress) onProgress(index, entries.length);
+    scheduleNext();
+  };
+
+  const scheduleNext = () => {
+    if (stopped || index >= entries.length) {
+      finish();
+      return;
+    }
+    const previousT = index > 0 ? entries[index - 1].t : entries[0].t;
+    const delay = Math.max(0, (entries[index].t - previousT) / currentSpeed);
+    timer = setTimeout(step, delay);
+  };
+
+  const start = () => {
+    if (entries.length === 0) {
+      finish();
+      return;
+    }
+    scheduleNext();
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    finish();
+  };
+
+  const setSpeed = (nextSpeed) => {
+    currentSpeed = nextSpeed;
+  };
+
+  return { start, stop, setSpeed };
+};
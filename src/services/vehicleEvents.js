@@ -0,0 +1,93 @@
+import { WINDOW_LABELS, WINDOW_POSITIONS } from '../tools/carTools';
+
+// Events raised by the simulated vehicle: { type, at, text, ...details }.
+// watchVehicle derives state-change events from the vehicle store; the
+// simulation loop emits navigation events (maneuver, waypoint, arrival) itself.
+
+export const BATTERY_THRESHOLDS = [20, 10, 5];
+export const WINDOW_SPEED_THRESHOLD = 80;
+
+export const createEventBus = () => {
+  const listeners = new Map();
+
+  // type '*' receives every event
+  const on = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+  };
+
+  const off = (type, listener) => {
+    listeners.get(type)?.delete(listener);
+  };
+
+  const emit = (event) => {
+    const stamped = { at: Date.now(), ...event };
+    listeners.get(event.type)?.forEach(listener => listener(stamped));
+    listeners.get('*')?.forEach(listener => listener(stamped));
+  };
+
+  return { on, off, emit };
+};
+
+const openWindows = (status) => WINDOW_POSITIONS.filter(position => status.windows[position] > 0);
+
+// Events for what changed between two vehicle states
+export const detectVehicleEvents = (prev, next) => {
+  const events = [];
+
+  // Only the lowest threshold crossed fires, so a big drop does not announce twice
+  const crossed = BATTERY_THRESHOLDS.filter(threshold => prev.battery >= threshold && next.battery < threshold);
+  if (crossed.length > 0) {
+    const threshold = Math.min(...crossed);
+    events.push({
+      type: 'battery_low',
+      threshold,
+      battery: Math.round(next.battery),
+      rangeKm: next.batteryRange,
+      text: `Battery below ${threshold}% (${next.battery.toFixed(1)}%, ${next.batteryRange} km range)`
+    });
+  }
+
+  const exposed = (status) => status.speed > WINDOW_SPEED_THRESHOLD && openWindows(status).length > 0;
+  if (exposed(next) && !exposed(prev)) {
+    const windows = openWindows(next).map(position => WINDOW_LABELS[position].toLowerCase());
+    events.push({
+      type: 'window_open_at_speed',
+      windows,
+      speed: next.speed,
+      text: `Window open at ${next.speed} km/h: ${windows.join(', ')}`
+    });
+  }
+
+  if (prev.charging.state === 'charging' && next.charging.state === 'complete') {
+    events.push({
+      type: 'charging_complete',
+      battery: Math.round(next.battery),
+      rangeKm: next.batteryRange,
+      addedKwh: Math.round(next.charging.addedKwh * 10) / 10,
+      text: `Charging complete at ${Math.round(next.battery)}% (${next.batteryRange} km range)`
+    });
+  }
+
+  return events;
+};
+
+// Emits detected events for every store change, whoever made it (simulation, tools or UI)
+export const watchVehicle = (store, bus) => {
+  let last = store.getState();
+  return store.subscribe(state => {
+    const events = detectVehicleEvents(last, state);
+    last = state;
+    events.forEach(bus.emit);
+  });
+};
+
+// Maps navigationSimulator events onto the bus
+const NAVIGATION_EVENT_TYPES = {
+  maneuver: 'maneuver_approaching',
+  waypoint: 'waypoint_reached',
+  arrived: 'arrived'
+};
+
+export const navigationBusEvent = (event) => ({ ...event, type: NAVIGATION_EVENT_TYPES[event.type] });
@@ -0,0 +1,84 @@
+// Vehicle state store shared by the tools, the drive cycle simulation and the UI.
+// Lives outside React so tool calls always see the live state (not a value
+// captured in a render closure), and can be used without a DOM.
+
+import { createNavigationState } from './navigationSimulator';
+import { createChargingState } from './chargingSimulator';
+import { createMediaState } from './mediaPlayer';
+import { createTunerState } from './radioTuner';
+import { createEnergyState, DEFAULT_OUTSIDE_TEMPERATURE, predictedRangeKm } from '../utils/energyModel';
+
+const initialEnergy = createEnergyState();
+
+export const initialCarStatus = {
+  speed: 0,
+  // State of charge (%) and predicted range (km), both derived from energy
+  battery: 80,
+  batteryRange: predictedRangeKm(initialEnergy),
+  // Vehicle preset, remaining kWh, consumption and loads, see utils/energyModel.js
+  energy: initialEnergy,
+  outsideTemperature: DEFAULT_OUTSIDE_TEMPERATURE,
+  // Plug, charger, limit and session progress, see chargingSimulator.js
+  charging: createChargingState(),
+  // See tools/climateTools.js; with sync on every zone follows the driver
+  climate: {
+    zones: { driver: 22, passenger: 22, rear: 22 },
+    sync: true,
+    fanSpeed: 3,
+    ac: true,
+    recirculation: false,
+    frontDefrost: false,
+    rearDefrost: false,
+    // Levels 0-3 per seat; heat and vent are never both on
+    seats: {
+      driver: { heat: 0, vent: 0 },
+      passenger: { heat: 0, vent: 0 },
+      rear_left: { heat: 0, vent: 0 },
+      rear_right: { heat: 0, vent: 0 }
+    }
+  },
+  lights: 'off',
+  // Open percentage per window, 0 = closed
+  windows: {
+    driver: 0,
+    passenger: 0,
+    rear_left: 0,
+    rear_right: 0
+  },
+  // Band, frequency, presets and scan, see radioTuner.js
+  tuner: createTunerState(),
+  radioPlaying: true,
+  mediaType: 'radio',
+  mediaVolume: 70,
+  // Library queue, playback position, shuffle/repeat and favorites, see mediaPlayer.js
+  media: createMediaState(),
+  // Route, progress and ETA, see navigationSimulator.js
+  navigation: createNavigationState()
+};
+
+export const createVehicleStore = (initialState = initialCarStatus) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  // Accepts an updater function (prev => next) or a partial object that is
+  // shallow-merged into the current state
+  const setState = (update) => {
+    const next = typeof update === 'function' ? update(state) : { ...state, ...update };
+    if (next === state) return;
+    state = next;
+    listeners.forEach(listener => listener(state));
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const reset = () => setState(initialState);
+
+  return { getState, setState, subscribe, reset };
+};
+
+export const vehicleStore = createVehicleStore();
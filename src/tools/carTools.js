@@ -1,416 +1,232 @@
-export const carTools = [
-  // Lighting Controls
-  {
-    type: "function",
-    name: "control_headlights",
-    description: "Turn headlights on or off",
-    parameters: {
-      type: "object",
-      properties: {
-        state: {
-          type: "string",
-          enum: ["on", "off", "auto"],
-          description: "Headlight state: on, off, or auto"
-        }
-      },
-      required: ["state"]
-    }
-  },
-  
-  // Window Controls
-  {
-    type: "function",
-    name: "control_windows",
-    description: "Open or close car windows",
-    parameters: {
-      type: "object",
-      properties: {
-        position: {
-          type: "string",
-          enum: ["all", "driver", "passenger", "rear_left", "rear_right"],
-          description: "Which window(s) to control"
-        },
-        action: {
-          type: "string",
-          enum: ["open", "close"],
-          description: "Open or close the window"
-        }
-      },
-      required: ["position", "action"]
-    }
-  },
-  
-  // Climate Controls
-  {
-    type: "function",
-    name: "set_temperature",
-    description: "Set cabin temperature in Celsius",
-    parameters: {
-      type: "object",
-      properties: {
-        temperature: {
-          type: "number",
-          description: "Target temperature in Celsius (16-30)"
-        }
-      },
-      required: ["temperature"]
-    }
-  },
-  
-  // Media Controls
-  {
-    type: "function",
-    name: "play_radio",
-    description: "Play radio and optionally tune to a specific station",
-    parameters: {
-      type: "object",
-      properties: {
-        station: {
-          type: "string",
-          description: "Radio station (e.g., 'FM 101.5', 'AM 1020'). If not specified, plays current station"
-        }
-      },
-      required: []
-    }
-  },
-  
-  {
-    type: "function",
-    name: "play_music",
-    description: "Play music - either a specific song or playlist",
-    parameters: {
-      type: "object",
-      properties: {
-        content: {
-          type: "string",
-          description: "Song name, artist, or playlist name (e.g., 'Bohemian Rhapsody', 'My Favorites Playlist', 'Rock Hits')"
-        }
-      },
-      required: ["content"]
-    }
-  },
-  
-  {
-    type: "function",
-    name: "play_podcast",
-    description: "Play a specific podcast or podcast episode",
-    parameters: {
-      type: "object",
-      properties: {
-        podcast: {
-          type: "string",
-          description: "Podcast name or episode (e.g., 'Tech Talk #127', 'AI Today', 'Daily News')"
-        }
-      },
-      required: ["podcast"]
-    }
-  },
-  
-  {
-    type: "function",
-    name: "play_audiobook",
-    description: "Play a specific audiobook",
-    parameters: {
-      type: "object",
-      properties: {
-        book: {
-          type: "string",
-          description: "Audiobook title or author (e.g., 'Digital Fortress', '1984', 'Stephen King - The Stand')"
-        }
-      },
-      required: ["book"]
-    }
-  },
-  
-  {
-    type: "function",
-    name: "control_media_playback",
-    description: "Control current media playback (pause, resume, stop, next, previous)",
-    parameters: {
-      type: "object",
-      properties: {
-        action: {
-          type: "string",
-          enum: ["play", "pause", "stop", "next", "previous"],
-          description: "Playback control action"
-        }
-      },
-      required: ["action"]
-    }
-  },
-  
-  {
-    type: "function",
-    name: "set_media_volume",
-    description: "Set media volume level",
-    parameters: {
-      type: "object",
-      properties: {
-        volume: {
-          type: "number",
-          description: "Volume level 0-100"
-        }
-      },
-      required: ["volume"]
-    }
-  },
-  
-  // Navigation
-  {
-    type: "function",
-    name: "start_navigation",
-    description: "Start navigation to a destination",
-    parameters: {
-      type: "object",
-      properties: {
-        destination: {
-          type: "string",
-          description: "Destination address or place name"
-        }
-      },
-      required: ["destination"]
-    }
-  },
-  
-  {
-    type: "function",
-    name: "stop_navigation",
-    description: "Stop current navigation",
-    parameters: {
-      type: "object",
-      properties: {}
-    }
-  },
-  
-  // Vehicle Status
-  {
-    type: "function",
-    name: "get_vehicle_status",
-    description: "Get current vehicle status including speed, battery, lights, windows, etc.",
-    parameters: {
-      type: "object",
-      properties: {}
-    }
-  },
-  
-  // Utility Functions
-  {
-    type: "function",
-    name: "get_current_time",
-    description: "Get the current time",
-    parameters: {
-      type: "object",
-      properties: {
-        timezone: {
-          type: "string",
-          description: "Timezone: 'UTC' or 'local'"
-        }
+import { vehicleStore } from '../services/vehicleStore';
+import { createToolRegistry } from './toolRegistry';
+import { describeClimate, registerClimateTools } from './climateTools';
+import { registerNavigationTools } from './navigationTools';
+import { registerChargingTools } from './chargingTools';
+import { registerMediaTools } from './mediaTools';
+import { registerRadioTools } from './radioTools';
+import { describeNavigation } from '../services/navigationSimulator';
+import { describeEnergy } from '../utils/energyModel';
+import { describeCharging } from '../services/chargingSimulator';
+import { describeMedia } from '../services/mediaPlayer';
+import { describeTuner } from '../services/radioTuner';
+
+export const WINDOW_POSITIONS = ['driver', 'passenger', 'rear_left', 'rear_right'];
+
+export const WINDOW_LABELS = {
+  driver: 'Driver',
+  passenger: 'Passenger',
+  rear_left: 'Rear left',
+  rear_right: 'Rear right'
+};
+
+// Summarise per-window open percentages, e.g. "driver 100% open, others closed"
+export const describeWindows = (windows) => {
+  const open = WINDOW_POSITIONS.filter(position => windows[position] > 0);
+  if (open.length === 0) return 'all closed';
+  if (open.length === WINDOW_POSITIONS.length && open.every(p => windows[p] === 100)) return 'all fully open';
+  const parts = open.map(position => `${position} ${windows[position]}% open`);
+  return open.length === WINDOW_POSITIONS.length ? parts.join(', ') : `${parts.join(', ')}, others closed`;
+};
+
+// Each tool declares its JSON schema (sent to the session) and a handler.
+// Arguments are validated against the schema before the handler runs.
+export const carToolRegistry = createToolRegistry();
+const register = carToolRegistry.register;
+
+// Lighting Controls
+register({
+  type: "function",
+  name: "control_headlights",
+  description: "Turn headlights on or off",
+  parameters: {
+    type: "object",
+    properties: {
+      state: {
+        type: "string",
+        enum: ["on", "off", "auto"],
+        description: "Headlight state: on, off, or auto"
+      }
+    },
+    required: ["state"]
+  }
+}, (args, { store }) => {
+  store.setState(prev => ({ ...prev, lights: args.state }));
+  return { success: true, message: `Headlights turned ${args.state}` };
+});
+
+// Window Controls
+register({
+  type: "function",
+  name: "control_windows",
+  description: "Open or close car windows, fully or partially",
+  parameters: {
+    type: "object",
+    properties: {
+      position: {
+        type: "string",
+        enum: ["all", "driver", "passenger", "rear_left", "rear_right"],
+        description: "Which window(s) to control"
       },
-      required: []
-    }
-  },
-  
-  {
-    type: "function",
-    name: "get_weather",
-    description: "Get current weather for a location",
-    parameters: {
-      type: "object",
-      properties: {
-        location: {
-          type: "string",
-          description: "City and state, e.g., 'Seattle, WA'"
-        },
-        unit: {
-          type: "string",
-          enum: ["celsius", "fahrenheit"],
-          description: "Temperature unit"
-        }
+      action: {
+        type: "string",
+        enum: ["open", "close"],
+        description: "Open or close the window"
       },
-      required: ["location"]
-    }
-  }
-];
+      percent: {
+        type: "number",
+        minimum: 0,
+        maximum: 100,
+        description: "How far to open the window, 0-100 (e.g. 30 to crack it open). Defaults to 100 when opening"
+      }
+    },
+    required: ["position", "action"]
+  }
+}, (args, { store }) => {
+  const positions = args.position === 'all' ? WINDOW_POSITIONS : [args.position];
+  const openPercent = args.action === 'open' ? Math.round(args.percent ?? 100) : 0;
+  const changes = Object.fromEntries(positions.map(position => [position, openPercent]));
+  store.setState(prev => ({ ...prev, windows: { ...prev.windows, ...changes } }));
+  const windowLabel = args.position === 'all' ? 'All windows' : `${WINDOW_LABELS[args.position]} window`;
+  const actionLabel = openPercent === 0 ? 'closed' : openPercent === 100 ? 'opened' : `opened to ${openPercent}%`;
+  return {
+    success: true,
+    message: `${windowLabel} ${actionLabel}`
+  };
+});
 
-export const executeCarTool = async (name, args, setCarStatus, carStatus) => {
-  console.log(`Executing tool: ${name}`, args);
-  
-  // Lighting Controls
-  if (name === 'control_headlights') {
-    setCarStatus(prev => ({ ...prev, lights: args.state }));
-    return { success: true, message: `Headlights turned ${args.state}` };
-  }
-  
-  // Media Controls
-  if (name === 'play_radio') {
-    const station = args.station || 'FM 101.5';
-    setCarStatus(prev => ({ 
-      ...prev, 
-      mediaType: 'radio',
-      radioStation: station,
-      music: 'on'
-    }));
-    return { success: true, message: `Playing radio ${station}` };
-  }
-  
-  if (name === 'play_music') {
-    setCarStatus(prev => ({ 
-      ...prev, 
-      mediaType: 'music',
-      music: 'on'
-    }));
-    return { success: true, message: `Playing music: ${args.content}` };
-  }
-  
-  if (name === 'play_podcast') {
-    setCarStatus(prev => ({ 
-      ...prev, 
-      mediaType: 'podcast',
-      music: 'on'
-    }));
-    return { success: true, message: `Playing podcast: ${args.podcast}` };
-  }
-  
-  if (name === 'play_audiobook') {
-    setCarStatus(prev => ({ 
-      ...prev, 
-      mediaType: 'audiobook',
-      music: 'on'
-    }));
-    return { success: true, message: `Playing audiobook: ${args.book}` };
-  }
-  
-  if (name === 'control_media_playback') {
-    const musicState = args.action === 'play' ? 'on' : args.action === 'pause' || args.action === 'stop' ? 'off' : 'on';
-    setCarStatus(prev => ({ ...prev, music: musicState }));
-    return { success: true, message: `Media ${args.action}` };
-  }
-  
-  if (name === 'set_media_volume') {
-    const volume = Math.max(0, Math.min(100, args.volume));
-    setCarStatus(prev => ({ ...prev, mediaVolume: volume }));
-    return { success: true, message: `Volume set to ${volume}%` };
-  }
-  
-  // Window Controls
-  if (name === 'control_windows') {
-    const windowState = args.action === 'open' ? 'open' : 'closed';
-    setCarStatus(prev => ({ ...prev, windows: windowState }));
-    const windowLabel = args.position === 'all' ? 'All windows' : args.position + ' window';
-    return { 
-      success: true, 
-      message: `${windowLabel} ${args.action}ed` 
-    };
-  }
-  
-  // Climate Controls
-  if (name === 'set_temperature') {
-    const temp = Math.max(16, Math.min(30, args.temperature));
-    setCarStatus(prev => ({ ...prev, temperature: temp }));
-    return { success: true, message: `Temperature set to ${temp}°C` };
-  }
-  
-  // Media Controls
-  if (name === 'control_media') {
-    if (args.source) {
-      setCarStatus(prev => ({ ...prev, mediaType: args.source }));
+// Climate Controls
+registerClimateTools(register);
+
+// Media Controls
+registerRadioTools(register);
+
+register({
+  type: "function",
+  name: "set_media_volume",
+  description: "Set media volume level",
+  parameters: {
+    type: "object",
+    properties: {
+      volume: {
+        type: "number",
+        minimum: 0,
+        maximum: 100,
+        description: "Volume level 0-100"
+      }
+    },
+    required: ["volume"]
+  }
+}, (args, { store }) => {
+  const volume = Math.round(args.volume);
+  store.setState(prev => ({ ...prev, mediaVolume: volume }));
+  return { success: true, message: `Volume set to ${volume}%` };
+});
+
+registerMediaTools(register);
+
+// Navigation
+registerNavigationTools(register);
+
+// Charging
+registerChargingTools(register);
+
+// Vehicle Status
+register({
+  type: "function",
+  name: "get_vehicle_status",
+  description: "Get current vehicle status including speed, battery, lights, windows, climate, etc.",
+  parameters: {
+    type: "object",
+    properties: {}
+  }
+}, (args, { store }) => {
+  const carStatus = store.getState();
+  return {
+    success: true,
+    message: "Vehicle status retrieved",
+    status: {
+      speed: carStatus.speed,
+      battery: carStatus.battery,
+      batteryRange: carStatus.batteryRange,
+      energy: describeEnergy(carStatus),
+      charging: describeCharging(carStatus),
+      outsideTemperature: carStatus.outsideTemperature,
+      climate: carStatus.climate,
+      climateSummary: describeClimate(carStatus.climate),
+      lights: carStatus.lights,
+      windows: carStatus.windows,
+      windowsSummary: describeWindows(carStatus.windows),
+      mediaType: carStatus.mediaType,
+      mediaVolume: carStatus.mediaVolume,
+      media: carStatus.mediaType === 'radio' ? describeTuner(carStatus) : describeMedia(carStatus.media),
+      navigation: describeNavigation(carStatus.navigation)
     }
-    const musicState = args.action === 'play' ? 'on' : 'off';
-    setCarStatus(prev => ({ ...prev, music: musicState }));
-    return { 
-      success: true, 
-      message: `Media ${args.action}${args.source ? ` (${args.source})` : ''}` 
-    };
-  }
-  
-  if (name === 'set_media_volume') {
-    const volume = Math.max(0, Math.min(100, args.volume));
-    setCarStatus(prev => ({ ...prev, mediaVolume: volume }));
-    return { success: true, message: `Volume set to ${volume}%` };
-  }
-  
-  if (name === 'change_radio_station') {
-    setCarStatus(prev => ({ 
-      ...prev, 
-      radioStation: args.station,
-      mediaType: 'radio' 
-    }));
-    return { success: true, message: `Radio tuned to ${args.station}` };
-  }
-  
-  // Navigation
-  if (name === 'start_navigation') {
-    const distance = Math.floor(Math.random() * 50 + 5);
-    setCarStatus(prev => ({
-      ...prev,
-      navigationActive: true,
-      navigationDestination: args.destination,
-      navigationDistance: `${distance} km`
-    }));
-    return { 
-      success: true, 
-      message: `Navigation started to ${args.destination}, ${distance} km away` 
-    };
-  }
-  
-  if (name === 'stop_navigation') {
-    setCarStatus(prev => ({
-      ...prev,
-      navigationActive: false,
-      navigationDestination: 'Not set',
-      navigationDistance: '—'
-    }));
-    return { success: true, message: 'Navigation stopped' };
-  }
-  
-  // Vehicle Status
-  if (name === 'get_vehicle_status') {
-    return { 
-      success: true, 
-      message: "Vehicle status retrieved",
-      status: {
-        speed: carStatus.speed,
-        battery: carStatus.battery,
-        batteryRange: carStatus.batteryRange,
-        temperature: carStatus.temperature,
-        lights: carStatus.lights,
-        windows: carStatus.windows,
-        music: carStatus.music,
-        mediaType: carStatus.mediaType,
-        mediaVolume: carStatus.mediaVolume,
-        currentMedia: carStatus.mediaType === 'radio' ? carStatus.radioStation : 
-                      carStatus.mediaType === 'music' ? 'My Playlist' :
-                      carStatus.mediaType === 'podcast' ? 'Tech Talk #127' : 'Digital Fortress',
-        navigationActive: carStatus.navigationActive,
-        navigationDestination: carStatus.navigationDestination,
-        navigationDistance: carStatus.navigationDistance
+  };
+});
+
+// Utility Functions
+register({
+  type: "function",
+  name: "get_current_time",
+  description: "Get the current time",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description: "Timezone: 'UTC' or 'local'"
       }
-    };
-  }
-  
-  // Utility Functions
-  if (name === 'get_current_time') {
-    const timezone = args.timezone || 'local';
-    const now = new Date();
-    const timeString = timezone.toLowerCase() === 'utc' ? now.toUTCString() : now.toLocaleString();
-    return { 
-      time: timeString, 
-      timezone: timezone 
-    };
-  }
-  
-  if (name === 'get_weather') {
-    const location = args.location || 'Unknown';
-    const unit = args.unit || 'celsius';
-    return {
-      location: location,
-      temperature: unit === 'celsius' ? 22 : 72,
-      unit: unit,
-      condition: "Partly Cloudy",
-      humidity: 65,
-      wind_speed: 10
-    };
-  }
+    },
+    required: []
+  }
+}, (args) => {
+  const timezone = args.timezone || 'local';
+  const now = new Date();
+  const timeString = timezone.toLowerCase() === 'utc' ? now.toUTCString() : now.toLocaleString();
+  return {
+    time: timeString,
+    timezone: timezone
+  };
+});
+
+register({
+  type: "function",
+  name: "get_weather",
+  description: "Get current weather for a location",
+  parameters: {
+    type: "object",
+    properties: {
+      location: {
+        type: "string",
+        description: "City and state, e.g., 'Seattle, WA'"
+      },
+      unit: {
+        type: "string",
+        enum: ["celsius", "fahrenheit"],
+        description: "Temperature unit"
+      }
+    },
+    required: ["location"]
+  }
+}, (args) => {
+  const location = args.location || 'Unknown';
+  const unit = args.unit || 'celsius';
+  return {
+    location: location,
+    temperature: unit === 'celsius' ? 22 : 72,
+    unit: unit,
+    condition: "Partly Cloudy",
+    humidity: 65,
+    wind_speed: 10
+  };
+});
+
+// Tool definitions sent in the session config
+export const carTools = carToolRegistry.definitions();
 
-  return { success: false, message: "Unknown tool" };
+// args may be the raw JSON string from response.function_call_arguments.done;
+// tools read and write the live vehicle state through the store
+export const executeCarTool = async (name, args, store = vehicleStore) => {
+  return carToolRegistry.execute(name, args, { store });
 };
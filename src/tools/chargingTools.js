@@ -0,0 +1,111 @@
+import {
+  CHARGERS,
+  DEFAULT_CHARGER,
+  describeCharging,
+  MAX_CHARGE_LIMIT,
+  MIN_CHARGE_LIMIT,
+  setChargeLimit,
+  startCharging,
+  stopCharging
+} from '../services/chargingSimulator';
+
+// Charging tools answered by the charging simulator (see services/chargingSimulator.js)
+
+const formatMinutes = (minutes) =>
+  (minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`);
+
+export const registerChargingTools = (register) => {
+  register({
+    type: "function",
+    name: "start_charging",
+    description: "Plug the parked car into a charger and start charging up to the charge limit. The drive is paused while plugged in",
+    parameters: {
+      type: "object",
+      properties: {
+        charger: {
+          type: "string",
+          enum: Object.keys(CHARGERS),
+          description: "Charger type: AC Level 1 (1.9 kW), AC Level 2 (11 kW) or DC fast 50/150/350 kW. Defaults to AC Level 2"
+        }
+      }
+    }
+  }, (args, { store }) => {
+    const status = store.getState();
+    if (status.charging.pluggedIn) {
+      return {
+        success: false,
+        message: `Already plugged into ${CHARGERS[status.charging.charger].name}; stop charging first to switch chargers`,
+        charging: describeCharging(status)
+      };
+    }
+    const charging = startCharging(status, args.charger ?? DEFAULT_CHARGER);
+    store.setState(prev => ({ ...prev, charging }));
+    const charger = CHARGERS[charging.charger].name;
+    if (charging.state === 'complete') {
+      return { success: true, message: `Plugged into ${charger}; the battery is already at the ${charging.limit}% limit`, charging: describeCharging({ ...status, charging }) };
+    }
+    return {
+      success: true,
+      message: `Charging on ${charger} at ${charging.powerKw} kW, ${status.battery}% to ${charging.limit}% in about ${formatMinutes(charging.minutesToLimit)}`,
+      charging: describeCharging({ ...status, charging })
+    };
+  });
+
+  register({
+    type: "function",
+    name: "stop_charging",
+    description: "Stop charging and unplug the car so the drive can continue",
+    parameters: {
+      type: "object",
+      properties: {}
+    }
+  }, (args, { store }) => {
+    const status = store.getState();
+    if (!status.charging.pluggedIn) {
+      return { success: false, message: 'The car is not plugged in' };
+    }
+    const added = status.charging.addedKwh;
+    store.setState(prev => ({ ...prev, charging: stopCharging(prev) }));
+    return { success: true, message: `Charging stopped at ${status.battery}%, ${added.toFixed(1)} kWh added` };
+  });
+
+  register({
+    type: "function",
+    name: "set_charge_limit",
+    description: "Set the state of charge at which charging stops",
+    parameters: {
+      type: "object",
+      properties: {
+        percent: {
+          type: "integer",
+          minimum: MIN_CHARGE_LIMIT,
+          maximum: MAX_CHARGE_LIMIT,
+          description: `Charge limit in percent (${MIN_CHARGE_LIMIT}-${MAX_CHARGE_LIMIT}); 80 is gentler on the battery for daily use`
+        }
+      },
+      required: ["percent"]
+    }
+  }, (args, { store }) => {
+    const status = store.getState();
+    const charging = setChargeLimit(status, args.percent);
+    store.setState(prev => ({ ...prev, charging }));
+    const eta = charging.state === 'charging' ? `, reached in about ${formatMinutes(charging.minutesToLimit)}` : '';
+    return { success: true, message: `Charge limit set to ${charging.limit}%${eta}`, charging: describeCharging({ ...status, charging }) };
+  });
+
+  register({
+    type: "function",
+    name: "get_charging_status",
+    description: "Get the charging state, charging power, charge limit and time to reach it",
+    parameters: {
+      type: "object",
+      properties: {}
+    }
+  }, (args, { store }) => {
+    const charging = describeCharging(store.getState());
+    const message = charging.state === 'unplugged' ? 'Not plugged in' :
+                    charging.state === 'complete' ? `Plugged in, charged to the ${charging.limit}% limit` :
+                    `Charging at ${charging.powerKw} kW, ${charging.battery}% to ${charging.limit}% in about ${formatMinutes(charging.minutesToLimit)}`;
+    return { success: true, message, charging };
+  });
+};
@@ -0,0 +1,213 @@
+// Climate subsystem: per-zone temperatures, fan, A/C, air recirculation,
+// defrost and seat heating / ventilation. State lives in carStatus.climate.
+
+export const CLIMATE_ZONES = ['driver', 'passenger', 'rear'];
+
+export const CLIMATE_ZONE_LABELS = {
+  driver: 'Driver',
+  passenger: 'Passenger',
+  rear: 'Rear'
+};
+
+export const SEAT_POSITIONS = ['driver', 'passenger', 'rear_left', 'rear_right'];
+
+// Only the front seats are ventilated
+export const VENTILATED_SEATS = ['driver', 'passenger'];
+
+export const MIN_TEMPERATURE = 16;
+export const MAX_TEMPERATURE = 30;
+export const MAX_FAN_SPEED = 7;
+export const MAX_SEAT_LEVEL = 3;
+
+export const clampTemperature = (temperature) =>
+  Math.min(MAX_TEMPERATURE, Math.max(MIN_TEMPERATURE, Math.round(temperature * 2) / 2));
+
+// Sets one zone, or every zone when zone is 'all'. With sync on, the driver
+// zone leads the others; changing passenger or rear on its own ends sync.
+export const setZoneTemperature = (climate, zone, temperature) => {
+  const value = clampTemperature(temperature);
+  if (zone === 'all' || (zone === 'driver' && climate.sync)) {
+    return { ...climate, zones: Object.fromEntries(CLIMATE_ZONES.map(z => [z, value])) };
+  }
+  return {
+    ...climate,
+    sync: zone === 'driver' ? climate.sync : false,
+    zones: { ...climate.zones, [zone]: value }
+  };
+};
+
+// Turning sync on copies the driver temperature to every zone
+export const setSync = (climate, sync) => (
+  sync ? { ...setZoneTemperature(climate, 'all', climate.zones.driver), sync } : { ...climate, sync }
+);
+
+const describeSeat = ({ heat, vent }) => {
+  if (heat > 0) return `heat ${heat}`;
+  if (vent > 0) return `vent ${vent}`;
+  return null;
+};
+
+// e.g. "driver 22°C, passenger 22°C, rear 22°C (sync), fan 3, A/C on, fresh air"
+export const describeClimate = (climate) => {
+  const temperatures = CLIMATE_ZONES.map(zone => `${zone} ${climate.zones[zone]}°C`).join(', ');
+  const parts = [
+    `${temperatures}${climate.sync ? ' (sync)' : ''}`,
+    climate.fanSpeed === 0 ? 'fan off' : `fan ${climate.fanSpeed}`,
+    `A/C ${climate.ac ? 'on' : 'off'}`,
+    climate.recirculation ? 'recirculating' : 'fresh air'
+  ];
+  if (climate.frontDefrost) parts.push('front defrost on');
+  if (climate.rearDefrost) parts.push('rear defrost on');
+  const seats = SEAT_POSITIONS
+    .map(position => [position, describeSeat(climate.seats[position])])
+    .filter(([, seat]) => seat)
+    .map(([position, seat]) => `${position} seat ${seat}`);
+  return [...parts, ...seats].join(', ');
+};
+
+export const registerClimateTools = (register) => {
+  register({
+    type: "function",
+    name: "set_temperature",
+    description: "Set the cabin temperature in Celsius for one climate zone or all of them",
+    parameters: {
+      type: "object",
+      properties: {
+        temperature: {
+          type: "number",
+          minimum: MIN_TEMPERATURE,
+          maximum: MAX_TEMPERATURE,
+          description: `Target temperature in Celsius (${MIN_TEMPERATURE}-${MAX_TEMPERATURE})`
+        },
+        zone: {
+          type: "string",
+          enum: ["all", ...CLIMATE_ZONES],
+          description: "Climate zone. Defaults to all zones when sync is on, otherwise the driver zone. Setting passenger or rear on its own turns sync off"
+        }
+      },
+      required: ["temperature"]
+    }
+  }, (args, { store }) => {
+    const { climate } = store.getState();
+    const zone = args.zone || (climate.sync ? 'all' : 'driver');
+    const next = setZoneTemperature(climate, zone, args.temperature);
+    store.setState(prev => ({ ...prev, climate: next }));
+    const target = zone === 'all' || (zone === 'driver' && next.sync) ? 'All zones' : `${CLIMATE_ZONE_LABELS[zone]} zone`;
+    return {
+      success: true,
+      message: `${target} set to ${next.zones[zone === 'all' ? 'driver' : zone]}°C${climate.sync && !next.sync ? ', sync turned off' : ''}`,
+      climate: describeClimate(next)
+    };
+  });
+
+  register({
+    type: "function",
+    name: "set_climate_mode",
+    description: "Change fan speed, A/C, air recirculation, zone sync or defrost. Pass only the settings to change",
+    parameters: {
+      type: "object",
+      properties: {
+        fanSpeed: {
+          type: "integer",
+          minimum: 0,
+          maximum: MAX_FAN_SPEED,
+          description: `Fan speed 0-${MAX_FAN_SPEED}, 0 turns the fan off`
+        },
+        ac: {
+          type: "boolean",
+          description: "Air conditioning compressor on or off"
+        },
+        recirculation: {
+          type: "boolean",
+          description: "true recirculates cabin air, false draws in fresh air"
+        },
+        sync: {
+          type: "boolean",
+          description: "true makes every zone follow the driver temperature"
+        },
+        frontDefrost: {
+          type: "boolean",
+          description: "Windshield defrost; turning it on also enables A/C and fresh air to clear fog"
+        },
+        rearDefrost: {
+          type: "boolean",
+          description: "Rear window heater"
+        }
+      },
+      additionalProperties: false
+    }
+  }, (args, { store }) => {
+    const changes = Object.keys(args);
+    if (changes.length === 0) {
+      return { success: false, message: 'No climate setting given; pass at least one of fanSpeed, ac, recirculation, sync, frontDefrost, rearDefrost' };
+    }
+    let next = { ...store.getState().climate, ...args };
+    if (args.sync !== undefined) next = setSync(next, args.sync);
+    // Defrost needs dry outside air moving over the glass
+    if (args.frontDefrost) {
+      next = {
+        ...next,
+        ac: true,
+        recirculation: false,
+        fanSpeed: Math.max(next.fanSpeed, 5)
+      };
+    }
+    store.setState(prev => ({ ...prev, climate: next }));
+    return { success: true, message: `Climate updated: ${describeClimate(next)}` };
+  });
+
+  register({
+    type: "function",
+    name: "set_seat_climate",
+    description: "Set seat heating or ventilation. Only the front seats are ventilated",
+    parameters: {
+      type: "object",
+      properties: {
+        seat: {
+          type: "string",
+          enum: ["front", "all", ...SEAT_POSITIONS],
+          description: "Which seat(s): a single seat, both front seats or all seats"
+        },
+        mode: {
+          type: "string",
+          enum: ["heat", "ventilate", "off"],
+          description: "Heat, ventilate (cool) or turn off"
+        },
+        level: {
+          type: "integer",
+          minimum: 1,
+          maximum: MAX_SEAT_LEVEL,
+          description: `Intensity 1-${MAX_SEAT_LEVEL}. Defaults to ${MAX_SEAT_LEVEL - 1}; ignored for off`
+        }
+      },
+      required: ["seat", "mode"]
+    }
+  }, (args, { store }) => {
+    const seats = args.seat === 'all' ? SEAT_POSITIONS : args.seat === 'front' ? VENTILATED_SEATS : [args.seat];
+    const targets = args.mode === 'ventilate' ? seats.filter(seat => VENTILATED_SEATS.includes(seat)) : seats;
+    if (targets.length === 0) {
+      return { success: false, message: `The ${args.seat.replace('_', ' ')} seat has no ventilation; only the front seats do` };
+    }
+    const level = args.mode === 'off' ? 0 : (args.level ?? MAX_SEAT_LEVEL - 1);
+    // Heating and ventilation of a seat are exclusive
+    const setting = {
+      heat: args.mode === 'heat' ? level : 0,
+      vent: args.mode === 'ventilate' ? level : 0
+    };
+    store.setState(prev => ({
+      ...prev,
+      climate: {
+        ...prev.climate,
+        seats: { ...prev.climate.seats, ...Object.fromEntries(targets.map(seat => [seat, setting])) }
+      }
+    }));
+    const seatLabel = targets.map(seat => seat.replace('_', ' ')).join(', ');
+    const skipped = seats.length > targets.length ? ' (rear seats have no ventilation)' : '';
+    return {
+      success: true,
+      message: args.mode === 'off'
+        ? `Seat climate off for ${seatLabel}`
+        : `Seat ${args.mode === 'heat' ? 'heating' : 'ventilation'} level ${level} for ${seatLabel}${skipped}`
+    };
+  });
+};
@@ -0,0 +1,95 @@
+// Holds tool calls that the safety policy wants confirmed by the driver.
+// A pending call is resolved by the driver's next spoken turn (yes/no) committed
+// after the confirmation was requested, cancelled from the UI, or expires after
+// a timeout.
+
+const YES_PATTERN = /\b(yes|yeah|yep|sure|ok(ay)?|confirm(ed)?|do it|go ahead|please do|affirmative|correct|absolutely)\b/i;
+const NO_PATTERN = /\b(no|nope|don'?t|do not|cancel|never ?mind|abort|negative)\b/i;
+
+// Returns 'yes', 'no' or null when the answer is unclear. The keyword that comes
+// first wins, so "yes, don't wait" is a yes and "no, do it later" is a no.
+// "Stop" and "wait" are not answers, so "yes, stop it" confirms.
+export const classifyConfirmation = (text = '') => {
+  const yesAt = text.search(YES_PATTERN);
+  const noAt = text.search(NO_PATTERN);
+  if (yesAt === -1 && noAt === -1) return null;
+  if (yesAt === -1) return 'no';
+  if (noAt === -1) return 'yes';
+  return yesAt < noAt ? 'yes' : 'no';
+};
+
+export const createConfirmationManager = ({ timeoutMs = 20000 } = {}) => {
+  let pending = [];
+  let nextId = 1;
+  // User item id -> id of the newest confirmation requested before it was committed
+  const answerItems = new Map();
+  const timers = new Map();
+  const listeners = new Set();
+  const resolvedListeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener(pending));
+
+  const getPending = () => pending;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // listener({ entry, outcome, itemId }) with outcome 'confirmed' | 'declined' | 'cancelled' | 'timeout';
+  // itemId is the user item that answered, null when not resolved by a reply
+  const onResolved = (listener) => {
+    resolvedListeners.add(listener);
+    return () => resolvedListeners.delete(listener);
+  };
+
+  const request = ({ callId, name, args, rule, reason }) => {
+    const createdAt = Date.now();
+    const entry = { id: nextId++, callId, name, args, rule, reason, createdAt, expiresAt: createdAt + timeoutMs };
+    pending = [...pending, entry];
+    timers.set(entry.id, setTimeout(() => resolve(entry.id, 'timeout'), timeoutMs));
+    notify();
+    return entry;
+  };
+
+  const resolve = (id, outcome, itemId = null) => {
+    const entry = pending.find(p => p.id === id);
+    if (!entry) return null;
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    pending = pending.filter(p => p.id !== id);
+    notify();
+    resolvedListeners.forEach(listener => listener({ entry, outcome, itemId }));
+    return entry;
+  };
+
+  // Call when a user audio item is committed. Only items committed while a
+  // confirmation is pending can answer it; the late transcript of the turn
+  // that triggered the tool call can't.
+  const noteUserItem = (itemId) => {
+    if (itemId && pending.length > 0) {
+      answerItems.set(itemId, pending[pending.length - 1].id);
+    }
+  };
+
+  // Resolve the oldest pending confirmation from the driver's reply in user item itemId.
+  // Anything other than a clear "yes" cancels it, so an action is never run on a misheard answer.
+  const resolveFromUtterance = (transcript, itemId) => {
+    const newestId = answerItems.get(itemId);
+    answerItems.delete(itemId);
+    const entry = pending.find(p => p.id <= newestId);
+    if (!entry) return null;
+    const answer = classifyConfirmation(transcript);
+    const outcome = answer === 'yes' ? 'confirmed' : 'declined';
+    return { entry: resolve(entry.id, outcome, itemId), outcome };
+  };
+
+  const cancel = (id) => resolve(id, 'cancelled');
+
+  const clear = () => {
+    [...pending].forEach(entry => resolve(entry.id, 'cancelled'));
+    answerItems.clear();
+  };
+
+  return { request, resolve, noteUserItem, resolveFromUtterance, cancel, clear, getPending, subscribe, onResolved };
+};
@@ -0,0 +1,212 @@
+import {
+  controlPlayback,
+  currentItem,
+  describeItem,
+  describeMedia,
+  mediaSuggestions,
+  MEDIA_TYPES,
+  playQueue,
+  REPEAT_MODES,
+  resolveRequest,
+  searchMedia,
+  setFavorite,
+  setRepeat,
+  setShuffle
+} from '../services/mediaPlayer';
+import { describeTuner, seek, stopScan } from '../services/radioTuner';
+
+// Media library tools answered by the media player (see services/mediaPlayer.js)
+
+const nowPlayingLabel = (item) =>
+  (item.type === 'music' ? `${item.title} by ${item.artist}` : item.type === 'audiobook' ? `${item.collection}, ${item.title}` : item.title);
+
+// Resolves a request against the library and starts playing it in place of the radio
+const playFromLibrary = (store, type, query) => {
+  const match = resolveRequest(store.getState().media, type, query);
+  if (!match) {
+    return {
+      success: false,
+      message: `No ${type} matching "${query}" in the library`,
+      suggestions: mediaSuggestions(type)
+    };
+  }
+  store.setState(prev => ({
+    ...prev,
+    mediaType: type,
+    radioPlaying: false,
+    tuner: stopScan(prev.tuner),
+    media: playQueue(prev.media, match.queue, match.label)
+  }));
+  const { media } = store.getState();
+  const queued = media.queue.length > 1 ? `; ${media.queue.length} queued from ${match.label}` : '';
+  return { success: true, message: `Playing ${nowPlayingLabel(currentItem(media))}${queued}`, media: describeMedia(media) };
+};
+
+export const registerMediaTools = (register) => {
+  register({
+    type: "function",
+    name: "play_music",
+    description: "Play music from the library - a song, artist, album, genre or playlist. Continues with more from the same artist, album or playlist",
+    parameters: {
+      type: "object",
+      properties: {
+        content: {
+          type: "string",
+          description: "Song name, artist, album, genre or playlist name (e.g., 'Bohemian Rhapsody', 'My Favorites Playlist', 'Rock Hits', 'Jazz')"
+        }
+      },
+      required: ["content"]
+    }
+  }, (args, { store }) => playFromLibrary(store, 'music', args.content));
+
+  register({
+    type: "function",
+    name: "play_podcast",
+    description: "Play a specific podcast or podcast episode",
+    parameters: {
+      type: "object",
+      properties: {
+        podcast: {
+          type: "string",
+          description: "Podcast name or episode (e.g., 'Tech Talk #127', 'AI Today', 'Daily News')"
+        }
+      },
+      required: ["podcast"]
+    }
+  }, (args, { store }) => playFromLibrary(store, 'podcast', args.podcast));
+
+  register({
+    type: "function",
+    name: "play_audiobook",
+    description: "Play a specific audiobook, from the first chapter or a given chapter",
+    parameters: {
+      type: "object",
+      properties: {
+        book: {
+          type: "string",
+          description: "Audiobook title or author, optionally with a chapter (e.g., 'Digital Fortress', '1984', 'Stephen King - The Stand', 'The Stand chapter 2')"
+        }
+      },
+      required: ["book"]
+    }
+  }, (args, { store }) => playFromLibrary(store, 'audiobook', args.book));
+
+  register({
+    type: "function",
+    name: "search_media",
+    description: "Search the media library by title, artist, album, show or book without playing anything",
+    parameters: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "What to look for"
+        },
+        type: {
+          type: "string",
+          enum: MEDIA_TYPES,
+          description: "Only search this kind of media"
+        }
+      },
+      required: ["query"]
+    }
+  }, (args) => {
+    const results = searchMedia(args.query, args.type ?? null);
+    if (results.length === 0) {
+      return { success: false, message: `Nothing in the library matches "${args.query}"`, suggestions: mediaSuggestions(args.type ?? 'music') };
+    }
+    return { success: true, message: `Found ${results.length} result${results.length === 1 ? '' : 's'}`, results: results.map(describeItem) };
+  });
+
+  register({
+    type: "function",
+    name: "control_media_playback",
+    description: "Control current media playback (pause, resume, stop, next, previous). Previous restarts the current item when it has been playing for more than a few seconds. On the radio next and previous seek to the next station up or down",
+    parameters: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["play", "pause", "stop", "next", "previous"],
+          description: "Playback control action"
+        }
+      },
+      required: ["action"]
+    }
+  }, (args, { store }) => {
+    const status = store.getState();
+    if (status.mediaType === 'radio') {
+      // Next and previous seek to the neighbouring station
+      const skip = args.action === 'next' ? 1 : args.action === 'previous' ? -1 : 0;
+      const tuner = skip ? seek(status.tuner, skip) : stopScan(status.tuner);
+      store.setState(prev => ({ ...prev, tuner, radioPlaying: skip !== 0 || args.action === 'play' }));
+      const radio = describeTuner(store.getState());
+      const station = radio.station ? `${radio.station} (${radio.frequency})` : radio.frequency;
+      return { success: true, message: radio.playing ? `Playing ${station}` : `Radio stopped on ${station}`, radio };
+    }
+    if (!currentItem(status.media)) {
+      return { success: false, message: `Nothing queued; ask for some ${status.mediaType} first` };
+    }
+    const media = controlPlayback(status.media, args.action);
+    store.setState(prev => ({ ...prev, media }));
+    const item = currentItem(media);
+    const message = args.action === 'pause' ? `Paused ${nowPlayingLabel(item)}` :
+                    args.action === 'stop' ? 'Playback stopped' :
+                    !media.playing ? `End of the queue, stopped on ${nowPlayingLabel(item)}` :
+                    `Playing ${nowPlayingLabel(item)}`;
+    return { success: true, message, media: describeMedia(media) };
+  });
+
+  register({
+    type: "function",
+    name: "set_playback_mode",
+    description: "Turn shuffle on or off and set the repeat mode for the media queue",
+    parameters: {
+      type: "object",
+      properties: {
+        shuffle: {
+          type: "boolean",
+          description: "Shuffle the queue (the current item keeps playing)"
+        },
+        repeat: {
+          type: "string",
+          enum: REPEAT_MODES,
+          description: "off, all (start over at the end of the queue) or one (repeat the current item)"
+        }
+      }
+    }
+  }, (args, { store }) => {
+    if (args.shuffle === undefined && args.repeat === undefined) {
+      return { success: false, message: 'Specify shuffle, repeat or both' };
+    }
+    let media = store.getState().media;
+    if (args.shuffle !== undefined) media = setShuffle(media, args.shuffle);
+    if (args.repeat !== undefined) media = setRepeat(media, args.repeat);
+    store.setState(prev => ({ ...prev, media }));
+    return { success: true, message: `Shuffle ${media.shuffle ? 'on' : 'off'}, repeat ${media.repeat}` };
+  });
+
+  register({
+    type: "function",
+    name: "set_favorite",
+    description: "Add the current item to favorites or remove it. Favorites can be played with e.g. 'play my favorites'",
+    parameters: {
+      type: "object",
+      properties: {
+        favorite: {
+          type: "boolean",
+          description: "true to add, false to remove. Defaults to true"
+        }
+      }
+    }
+  }, (args, { store }) => {
+    const { media, mediaType } = store.getState();
+    const item = currentItem(media);
+    if (mediaType === 'radio' || !item) {
+      return { success: false, message: 'Nothing from the library is playing' };
+    }
+    const favorite = args.favorite ?? true;
+    store.setState(prev => ({ ...prev, media: setFavorite(prev.media, item.id, favorite) }));
+    return { success: true, message: `${nowPlayingLabel(item)} ${favorite ? 'added to' : 'removed from'} favorites` };
+  });
+};
@@ -0,0 +1,213 @@
+import {
+  currentRoad,
+  describeNavigation,
+  findNearby,
+  formatDistance,
+  NEARBY_CATEGORIES,
+  placeNames,
+  rerouteNavigation,
+  resolvePlace,
+  startNavigation,
+  stopNavigation
+} from '../services/navigationSimulator';
+
+// Navigation tools answered from the local map fixture (see services/navigationSimulator.js)
+
+const unknownPlace = (query) => ({
+  success: false,
+  message: `No place matching "${query}" on the map. Known destinations: ${placeNames().join(', ')}. Chargers, food and coffee can be found with find_nearby.`
+});
+
+const routeSummary = (navigation) => ({
+  destination: navigation.destination.name,
+  waypoints: navigation.waypoints.map(place => place.name),
+  distanceKm: navigation.remainingKm,
+  etaMinutes: navigation.etaMinutes,
+  firstManeuver: navigation.route.maneuvers[0].text
+});
+
+export const registerNavigationTools = (register) => {
+  register({
+    type: "function",
+    name: "start_navigation",
+    description: "Start navigation to a destination. Replaces any active route",
+    parameters: {
+      type: "object",
+      properties: {
+        destination: {
+          type: "string",
+          minLength: 1,
+          description: "Destination place name (e.g. 'Pike Place Market', 'home', 'the airport') or a category such as 'nearest charger'"
+        }
+      },
+      required: ["destination"]
+    }
+  }, (args, { store }) => {
+    const { navigation } = store.getState();
+    const place = resolvePlace(navigation, args.destination);
+    if (!place) return unknownPlace(args.destination);
+    const next = startNavigation(navigation, [place], { avoid: { highways: false, roads: [] } });
+    if (!next) return { success: false, message: `No route to ${place.name}` };
+    store.setState(prev => ({ ...prev, navigation: next }));
+    if (!next.active) {
+      return { success: true, arrived: true, message: `Already at ${place.name}; no route needed` };
+    }
+    return {
+      success: true,
+      message: `Navigation started to ${place.name}, ${formatDistance(next.remainingKm)} away, about ${next.etaMinutes} min`,
+      route: routeSummary(next)
+    };
+  });
+
+  register({
+    type: "function",
+    name: "stop_navigation",
+    description: "Stop current navigation",
+    parameters: {
+      type: "object",
+      properties: {}
+    }
+  }, (args, { store }) => {
+    store.setState(prev => ({ ...prev, navigation: stopNavigation(prev.navigation) }));
+    return { success: true, message: 'Navigation stopped' };
+  });
+
+  register({
+    type: "function",
+    name: "get_eta",
+    description: "Get the remaining distance, estimated arrival time and next maneuver of the active route",
+    parameters: {
+      type: "object",
+      properties: {}
+    }
+  }, (args, { store }) => {
+    const { navigation } = store.getState();
+    if (!navigation.active) {
+      return { success: false, message: 'Navigation is not active' };
+    }
+    const arrival = new Date(Date.now() + navigation.etaMinutes * 60000);
+    return {
+      success: true,
+      message: `${formatDistance(navigation.remainingKm)} to ${navigation.destination.name}, arriving around ${arrival.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+      ...describeNavigation(navigation),
+      arrivalTime: arrival.toISOString()
+    };
+  });
+
+  register({
+    type: "function",
+    name: "add_waypoint",
+    description: "Add a stop on the way to the current destination, e.g. a charger or a restaurant",
+    parameters: {
+      type: "object",
+      properties: {
+        place: {
+          type: "string",
+          minLength: 1,
+          description: "Place name or category (e.g. 'Northgate EV Plaza', 'a charger', 'food')"
+        }
+      },
+      required: ["place"]
+    }
+  }, (args, { store }) => {
+    const { navigation } = store.getState();
+    if (!navigation.active) {
+      return { success: false, message: 'Navigation is not active; start navigation to a destination first' };
+    }
+    const place = resolvePlace(navigation, args.place);
+    if (!place) return unknownPlace(args.place);
+    if (place.id === navigation.destination.id || navigation.waypoints.some(waypoint => waypoint.id === place.id)) {
+      return { success: false, message: `${place.name} is already on the route` };
+    }
+    const before = navigation.remainingKm;
+    const next = startNavigation(navigation, [...navigation.waypoints, place, navigation.destination]);
+    if (!next) return { success: false, message: `No route via ${place.name}` };
+    store.setState(prev => ({ ...prev, navigation: next }));
+    return {
+      success: true,
+      message: `Added ${place.name} as a stop, ${formatDistance(Math.max(0, next.remainingKm - before))} extra`,
+      route: routeSummary(next)
+    };
+  });
+
+  register({
+    type: "function",
+    name: "find_nearby",
+    description: "Find nearby places such as charging stations or food, ordered by driving distance",
+    parameters: {
+      type: "object",
+      properties: {
+        category: {
+          type: "string",
+          enum: NEARBY_CATEGORIES,
+          description: "What to look for"
+        },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 5,
+          description: "How many results to return (default 3)"
+        }
+      },
+      required: ["category"]
+    }
+  }, (args, { store }) => {
+    const results = findNearby(store.getState().navigation, args.category).slice(0, args.limit ?? 3);
+    return {
+      success: true,
+      message: results.length > 0 ? `Found ${results.length} ${args.category} place(s)` : `No ${args.category} places on the map`,
+      results: results.map(({ name, distanceKm, driveMinutes, details }) => ({ name, distanceKm, driveMinutes, ...details }))
+    };
+  });
+
+  register({
+    type: "function",
+    name: "reroute",
+    description: "Find a different route to the current destination, e.g. to avoid highways, traffic or a closed road",
+    parameters: {
+      type: "object",
+      properties: {
+        avoid: {
+          type: "string",
+          enum: ["highways", "road", "current_road"],
+          description: "Avoid highways, a named road, or the road the car is on"
+        },
+        road: {
+          type: "string",
+          description: "Road name to avoid when avoid is 'road' (e.g. 'I-5', 'Mercer St')"
+        }
+      },
+      required: ["avoid"]
+    }
+  }, (args, { store }) => {
+    const { navigation } = store.getState();
+    if (!navigation.active) {
+      return { success: false, message: 'Navigation is not active' };
+    }
+    let road = null;
+    if (args.avoid === 'road') {
+      if (!args.road) return { success: false, message: 'Say which road to avoid in "road"' };
+      road = args.road;
+    } else if (args.avoid === 'current_road') {
+      // The rest of the current block is still driven; the road is avoided from the next intersection on
+      road = currentRoad(navigation);
+      if (!road) return { success: false, message: 'The car is at an intersection; name the road to avoid instead' };
+    }
+    const avoid = {
+      highways: navigation.avoid.highways || args.avoid === 'highways',
+      roads: road ? [...new Set([...navigation.avoid.roads, road])] : navigation.avoid.roads
+    };
+    const next = rerouteNavigation(navigation, avoid);
+    if (!next) {
+      return { success: false, message: `No route to ${navigation.destination.name} that avoids ${road || 'highways'}; keeping the current route` };
+    }
+    store.setState(prev => ({ ...prev, navigation: next }));
+    const remainingMinutes = Math.round((navigation.route.durationMinutes * navigation.remainingKm) / navigation.route.distanceKm);
+    const difference = next.route.durationMinutes - remainingMinutes;
+    return {
+      success: true,
+      message: `Rerouted avoiding ${road || 'highways'}: ${formatDistance(next.remainingKm)}, ${difference >= 0 ? `${difference} min longer` : `${-difference} min shorter`} at posted speeds`,
+      route: routeSummary(next)
+    };
+  });
+};
@@ -0,0 +1,115 @@
+import { safetyRules } from './safetyRules';
+
+// Evaluates declarative safety rules (see safetyRules.js) against a tool call
+// and the live vehicle status. Sits between response.function_call_arguments.done
+// and executeCarTool: 'allow' decisions reach the tool handler directly,
+// 'confirm' decisions only after the driver agrees (see confirmationManager.js).
+
+const EFFECT_RANK = { allow: 0, confirm: 1, deny: 2 };
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  gt: (value, expected) => typeof value === 'number' && value > expected,
+  gte: (value, expected) => typeof value === 'number' && value >= expected,
+  lt: (value, expected) => typeof value === 'number' && value < expected,
+  lte: (value, expected) => typeof value === 'number' && value <= expected,
+  in: (value, expected) => expected.includes(value),
+  notIn: (value, expected) => !expected.includes(value)
+};
+
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+  return Object.entries(condition).every(([operator, expected]) => {
+    const test = OPERATORS[operator];
+    if (!test) {
+      throw new Error(`Unknown policy operator: ${operator}`);
+    }
+    return test(value, expected);
+  });
+};
+
+// Also used by the proactive notification rules (services/notificationRules.js)
+export const matchesAll = (source, conditions = {}) =>
+  Object.entries(conditions).every(([path, condition]) => matchesCondition(getPath(source, path), condition));
+
+// Status paths in when.delta may name an argument, '{zone|driver}' reads args.zone
+// and falls back to 'driver' when it is missing. An argument of 'all' expands to
+// every key at that point of the path.
+const resolveStatusValues = (status, statusPath, args) => {
+  const [, before, argName, fallback, after] = statusPath.match(/^(.*?)\{(\w+)(?:\|(\w+))?\}(.*)$/) || [];
+  if (!argName) return [getPath(status, statusPath)];
+  const key = getPath(args, argName) ?? fallback;
+  const parentPath = before.replace(/\.$/, '');
+  const keys = key === 'all' ? Object.keys(getPath(status, parentPath) || {}) : [key];
+  return keys.map(k => getPath(status, [parentPath, k].filter(Boolean).join('.') + after));
+};
+
+// when.delta compares an argument with the current status value it would replace,
+// e.g. { temperature: { status: 'climate.zones.{zone|driver}', gte: 6 } } matches a
+// change of 6 or more in the zone being set. When several values are replaced the
+// largest change counts.
+const matchesDeltas = (args, status, deltas = {}) =>
+  Object.entries(deltas).every(([argPath, { status: statusPath, ...condition }]) => {
+    const next = getPath(args, argPath);
+    const changes = resolveStatusValues(status, statusPath, args)
+      .filter(current => typeof current === 'number')
+      .map(current => Math.abs(next - current));
+    if (typeof next !== 'number' || changes.length === 0) return false;
+    return matchesCondition(Math.max(...changes), condition);
+  });
+
+const appliesTo = (rule, name) => (Array.isArray(rule.tool) ? rule.tool.includes(name) : rule.tool === name || rule.tool === '*');
+
+const parseArgs = (rawArgs) => {
+  if (typeof rawArgs !== 'string') return rawArgs || {};
+  try {
+    return rawArgs.trim() ? JSON.parse(rawArgs) : {};
+  } catch (e) {
+    // Malformed arguments are reported by the tool registry
+    return {};
+  }
+};
+
+// Returns { effect, rule, reason, matched } where matched lists every rule that applied
+export const evaluateToolPolicy = (name, rawArgs, status, rules = safetyRules) => {
+  const args = parseArgs(rawArgs);
+  const matched = rules.filter(rule =>
+    appliesTo(rule, name) &&
+    matchesAll(args, rule.when?.args) &&
+    matchesAll(status, rule.when?.status) &&
+    matchesDeltas(args, status, rule.when?.delta)
+  );
+
+  const decisive = matched.reduce(
+    (strongest, rule) => (!strongest || EFFECT_RANK[rule.effect] > EFFECT_RANK[strongest.effect] ? rule : strongest),
+    null
+  );
+
+  if (!decisive || decisive.effect === 'allow') {
+    return { effect: 'allow', rule: decisive?.id || null, reason: decisive?.reason || null, matched: matched.map(r => r.id) };
+  }
+
+  return { effect: decisive.effect, rule: decisive.id, reason: decisive.reason, matched: matched.map(r => r.id) };
+};
+
+// Tool output sent back to the model when a call is not allowed to run
+export const policyOutput = (name, decision) => {
+  if (decision.effect === 'deny') {
+    return {
+      success: false,
+      policy: { decision: 'deny', rule: decision.rule, reason: decision.reason },
+      message: `${name} was blocked by the driving-safety policy: ${decision.reason}. Explain this to the driver; do not retry.`
+    };
+  }
+  return {
+    success: false,
+    status: 'pending_confirmation',
+    policy: { decision: 'confirm', rule: decision.rule, reason: decision.reason },
+    message: `${name} is on hold until the driver confirms it (${decision.reason}). Ask the driver "Are you sure?". Their next reply confirms or cancels it automatically; do not call ${name} again.`
+  };
+};
@@ -0,0 +1,169 @@
+import {
+  BANDS,
+  describeFrequency,
+  describeTuner,
+  findStation,
+  parseFrequency,
+  PRESET_SLOTS,
+  savePreset,
+  seek,
+  startScan,
+  STATIONS,
+  stopScan,
+  tunePreset,
+  tuneTo,
+  validateFrequency
+} from '../services/radioTuner';
+
+// Radio tools answered by the tuner simulation (see services/radioTuner.js)
+
+const stationLabel = ({ band, frequency }) => {
+  const { station, genre, frequency: label } = describeFrequency(band, frequency);
+  return station ? `${station} (${label}, ${genre})` : `${label}, no station there`;
+};
+
+// Switches the media source to the radio, pausing the library, on the given tuner state
+const listenTo = (store, tuner) => {
+  store.setState(prev => ({ ...prev, mediaType: 'radio', radioPlaying: true, media: { ...prev.media, playing: false }, tuner }));
+  return describeTuner(store.getState());
+};
+
+export const registerRadioTools = (register) => {
+  register({
+    type: "function",
+    name: "play_radio",
+    description: "Play the radio: a frequency, a station name, a genre (e.g. 'the jazz station') or a preset. Without arguments plays the current station",
+    parameters: {
+      type: "object",
+      properties: {
+        station: {
+          type: "string",
+          description: `Frequency (e.g., 'FM 101.5', 'AM 1020'), station name or genre. FM is ${BANDS.FM.min}-${BANDS.FM.max} MHz, AM ${BANDS.AM.min}-${BANDS.AM.max} kHz`
+        },
+        preset: {
+          type: "integer",
+          minimum: 1,
+          maximum: PRESET_SLOTS,
+          description: "Preset button to play instead of a station"
+        }
+      },
+      required: []
+    }
+  }, (args, { store }) => {
+    const { tuner } = store.getState();
+    if (args.preset !== undefined) {
+      const radio = listenTo(store, tunePreset(tuner, args.preset));
+      return { success: true, message: `Preset ${args.preset}: ${stationLabel(store.getState().tuner)}`, radio };
+    }
+    if (!args.station) {
+      const radio = listenTo(store, tuner);
+      return { success: true, message: `Playing ${stationLabel(tuner)}`, radio };
+    }
+    const frequency = parseFrequency(args.station);
+    if (frequency) {
+      const error = validateFrequency(frequency.band, frequency.frequency);
+      if (error) return { success: false, message: `${args.station} is not a valid frequency: ${error}` };
+      const radio = listenTo(store, tuneTo(tuner, frequency.band, frequency.frequency));
+      return { success: true, message: `Playing ${stationLabel(frequency)}`, radio };
+    }
+    const station = findStation(args.station);
+    if (!station) {
+      return {
+        success: false,
+        message: `No station matching "${args.station}"`,
+        suggestions: STATIONS.map(({ name, genre }) => `${name} (${genre})`)
+      };
+    }
+    const radio = listenTo(store, tuneTo(tuner, station.band, station.frequency));
+    return { success: true, message: `Playing ${stationLabel(station)}`, radio };
+  });
+
+  register({
+    type: "function",
+    name: "seek_radio",
+    description: "Seek to the next receivable radio station up or down the band",
+    parameters: {
+      type: "object",
+      properties: {
+        direction: {
+          type: "string",
+          enum: ["up", "down"],
+          description: "Seek up or down the band. Defaults to up"
+        }
+      }
+    }
+  }, (args, { store }) => {
+    const tuner = seek(store.getState().tuner, args.direction === 'down' ? -1 : 1);
+    const radio = listenTo(store, tuner);
+    return { success: true, message: `Playing ${stationLabel(tuner)}`, radio };
+  });
+
+  register({
+    type: "function",
+    name: "scan_radio",
+    description: "Start or stop scanning: plays each receivable station on the band for a few seconds in turn until stopped",
+    parameters: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["start", "stop"],
+          description: "Start or stop the scan"
+        }
+      },
+      required: ["action"]
+    }
+  }, (args, { store }) => {
+    const { tuner } = store.getState();
+    if (args.action === 'stop') {
+      if (!tuner.scan) return { success: false, message: 'The radio is not scanning' };
+      const radio = listenTo(store, stopScan(tuner));
+      return { success: true, message: `Scan stopped on ${stationLabel(tuner)}`, radio };
+    }
+    const radio = listenTo(store, startScan(tuner));
+    return { success: true, message: `Scanning ${tuner.band}, now on ${stationLabel(store.getState().tuner)}`, radio };
+  });
+
+  register({
+    type: "function",
+    name: "save_radio_preset",
+    description: "Save the current radio station to a preset button",
+    parameters: {
+      type: "object",
+      properties: {
+        slot: {
+          type: "integer",
+          minimum: 1,
+          maximum: PRESET_SLOTS,
+          description: "Preset button number"
+        }
+      },
+      required: ["slot"]
+    }
+  }, (args, { store }) => {
+    const { tuner } = store.getState();
+    store.setState(prev => ({ ...prev, tuner: savePreset(prev.tuner, args.slot) }));
+    return { success: true, message: `${stationLabel(tuner)} saved to preset ${args.slot}` };
+  });
+
+  register({
+    type: "function",
+    name: "list_radio_stations",
+    description: "List the local radio stations with their frequencies and genres, and the presets",
+    parameters: {
+      type: "object",
+      properties: {
+        band: {
+          type: "string",
+          enum: Object.keys(BANDS),
+          description: "Only list this band"
+        }
+      }
+    }
+  }, (args, { store }) => {
+    const stations = STATIONS
+      .filter(station => !args.band || station.band === args.band)
+      .map(station => describeFrequency(station.band, station.frequency));
+    return { success: true, message: `${stations.length} stations`, stations, presets: describeTuner(store.getState()).presets };
+  });
+};
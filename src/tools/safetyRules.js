@@ -0,0 +1,108 @@
+// Driving-safety rules evaluated before any tool call runs.
+//
+// Rules are plain data so they can be reviewed without reading engine code:
+//   id:          stable identifier, reported back with every decision
+//   tool:        tool name or list of tool names the rule applies to
+//   when.args:   conditions on the model-supplied arguments
+//   when.status: conditions on the live vehicle status (dot paths allowed, e.g. "windows.driver")
+//   when.delta:  conditions on how far an argument moves a status value,
+//                e.g. { temperature: { status: 'climate.zones.{zone|driver}', gte: 6 } }
+//                where {zone|driver} is args.zone, 'driver' when missing, and
+//                'all' takes the largest change across zones
+//   effect:      'deny' (never run), 'confirm' (driver must confirm first) or 'allow'
+//   reason:      explanation fed back to the model as the tool output
+//
+// A condition is either a literal (equality) or an object of operators:
+//   eq, ne, gt, gte, lt, lte, in, notIn
+// When several rules match, the most restrictive effect wins (deny > confirm > allow).
+
+export const safetyRules = [
+  {
+    id: 'windows-all-open-high-speed',
+    tool: 'control_windows',
+    when: {
+      args: { position: 'all', action: 'open' },
+      status: { speed: { gt: 80 } }
+    },
+    effect: 'deny',
+    reason: 'Opening all windows above 80 km/h is not allowed for safety and cabin noise reasons'
+  },
+  {
+    id: 'windows-all-open',
+    tool: 'control_windows',
+    when: {
+      args: { position: 'all', action: 'open' }
+    },
+    effect: 'confirm',
+    reason: 'Opening every window at once'
+  },
+  {
+    id: 'window-open-high-speed',
+    tool: 'control_windows',
+    when: {
+      args: { action: 'open' },
+      status: { speed: { gt: 100 } }
+    },
+    effect: 'confirm',
+    reason: 'Opening a window above 100 km/h'
+  },
+  {
+    id: 'volume-high-while-driving',
+    tool: 'set_media_volume',
+    when: {
+      args: { volume: { gt: 85 } },
+      status: { speed: { gt: 0 } }
+    },
+    effect: 'deny',
+    reason: 'Media volume above 85% while driving would mask warning signals and sirens'
+  },
+  {
+    id: 'climate-drastic-change',
+    tool: 'set_temperature',
+    when: {
+      // Measured against the zone being set; without a zone the driver zone is
+      // set, which every zone follows in sync mode
+      delta: { temperature: { status: 'climate.zones.{zone|driver}', gte: 6 } }
+    },
+    effect: 'confirm',
+    reason: 'Changing the cabin temperature by 6 °C or more at once'
+  },
+  {
+    id: 'climate-heating-low-battery',
+    tool: 'set_temperature',
+    when: {
+      args: { temperature: { gt: 25 } },
+      status: { battery: { lt: 10 } }
+    },
+    effect: 'confirm',
+    reason: 'The battery is below 10% and heavy heating will reduce the remaining range'
+  },
+  {
+    id: 'climate-cooling-low-battery',
+    tool: 'set_temperature',
+    when: {
+      args: { temperature: { lt: 19 } },
+      status: { battery: { lt: 10 } }
+    },
+    effect: 'confirm',
+    reason: 'The battery is below 10% and heavy cooling will reduce the remaining range'
+  },
+  {
+    id: 'navigation-stop-while-moving',
+    tool: 'stop_navigation',
+    when: {
+      status: { 'navigation.active': true, speed: { gt: 0 } }
+    },
+    effect: 'confirm',
+    reason: 'Stopping route guidance while the vehicle is moving'
+  },
+  {
+    id: 'charging-start-while-moving',
+    tool: 'start_charging',
+    when: {
+      status: { speed: { gt: 0 } }
+    },
+    effect: 'deny',
+    reason: 'Charging needs the car parked at a charger; stop the car before plugging in'
+  }
+];
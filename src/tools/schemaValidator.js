@@ -0,0 +1,85 @@
+// Minimal JSON Schema validator for tool arguments.
+// Supports the subset used by tool definitions: type, enum, required,
+// properties, additionalProperties, minimum/maximum, minLength/maxLength
+// and array items. Returns a list of { path, message } errors (empty = valid).
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+export const validateSchema = (schema, value, path = '') => {
+  const errors = [];
+  const label = path || 'arguments';
+
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: label, message: `must be of type ${types.join(' or ')}, got ${typeOf(value)} (${JSON.stringify(value)})` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: label, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: label, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: label, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: label, message: `must be at most ${schema.maxLength} characters long` });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propertyValue, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not an allowed property' });
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(schema.items, item, `${label}[${i}]`));
+    });
+  }
+
+  return errors;
+};
@@ -0,0 +1,68 @@
+import { validateSchema } from './schemaValidator';
+
+// Structured tool errors are returned as the tool output so the model can
+// see what went wrong and retry with corrected arguments
+export const toolError = (type, tool, message, details) => ({
+  success: false,
+  error: {
+    type,
+    tool,
+    message,
+    ...(details ? { details } : {})
+  }
+});
+
+export const createToolRegistry = () => {
+  const tools = new Map();
+
+  // definition: the function tool sent to the session ({ type, name, description, parameters })
+  // handler: async (args, context) => result
+  const register = (definition, handler) => {
+    if (tools.has(definition.name)) {
+      throw new Error(`Tool already registered: ${definition.name}`);
+    }
+    tools.set(definition.name, { definition, handler });
+  };
+
+  const has = (name) => tools.has(name);
+
+  const definitions = () => [...tools.values()].map(tool => tool.definition);
+
+  // Parses (if needed) and validates model-supplied arguments before running the handler
+  const execute = async (name, rawArgs, context = {}) => {
+    const tool = tools.get(name);
+    if (!tool) {
+      return toolError('unknown_tool', name, `Unknown tool "${name}". Available tools: ${[...tools.keys()].join(', ')}`);
+    }
+
+    let args = rawArgs;
+    if (typeof rawArgs === 'string') {
+      try {
+        args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+      } catch (e) {
+        return toolError('invalid_json', name, `Arguments are not valid JSON: ${e.message}`);
+      }
+    }
+    args = args ?? {};
+
+    const errors = validateSchema(tool.definition.parameters, args);
+    if (errors.length > 0) {
+      return toolError(
+        'invalid_arguments',
+        name,
+        `Invalid arguments for ${name}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}. Please correct them and call the tool again.`,
+        errors
+      );
+    }
+
+    console.log(`Executing tool: ${name}`, args);
+    try {
+      return await tool.handler(args, context);
+    } catch (e) {
+      console.error(`Tool ${name} failed`, e);
+      return toolError('execution_error', name, e.message || 'Tool execution failed');
+    }
+  };
+
+  return { register, has, definitions, execute };
+};
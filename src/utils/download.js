@@ -0,0 +1,11 @@
+// Saves text content as a file through a temporary object URL
+export const downloadFile = (content, type, filename) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right after click() cancels the download in some browsers (Firefox)
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
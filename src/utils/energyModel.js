@@ -0,0 +1,199 @@
+// Longitudinal energy model of the simulated BEV. Battery power is the sum of
+// traction (inertia, aerodynamic drag and rolling resistance through the
+// drivetrain, minus what regenerative braking recovers on deceleration), the
+// HVAC load needed to hold the cabin at the climate setpoint against the
+// outside temperature, and auxiliary loads (electronics, lights, media).
+// All powers are in W and speeds in m/s inside the model.
+
+const AIR_DENSITY = 1.2; // kg/m³
+const GRAVITY = 9.81;
+// Wheels, motor and gears add inertia on top of the vehicle mass
+const ROTATIONAL_MASS_FACTOR = 1.05;
+// Below this speed the friction brakes do the stopping
+const MIN_REGEN_SPEED_KMH = 8;
+
+// Cabin heat exchange with the outside (conduction and ventilation air), W/K
+const CABIN_LOSS_W_PER_K = 110;
+// Recirculation keeps most of the conditioned air in the cabin
+const RECIRCULATION_LOSS_FACTOR = 0.6;
+const HEAT_PUMP_COP = 2.5;
+const AC_COP = 2.5;
+const MAX_HVAC_W = 6000;
+// Compressor running to dry the air while heating
+const AC_DEHUMIDIFY_W = 150;
+const FAN_W_PER_STEP = 25;
+const FRONT_DEFROST_W = 800;
+const REAR_DEFROST_W = 200;
+const SEAT_HEAT_W_PER_LEVEL = 60;
+const SEAT_VENT_W_PER_LEVEL = 8;
+
+// Control units, displays and pumps
+const BASE_AUX_W = 200;
+const LIGHTS_W = 100;
+const MEDIA_BASE_W = 25;
+const MEDIA_W_PER_VOLUME = 0.8;
+
+// Distance over which the consumption behind the range prediction is averaged
+const CONSUMPTION_SMOOTHING_KM = 10;
+// Steady speed for the consumption assumed before any driving
+const RATED_SPEED_KMH = 70;
+// Regeneration can briefly pull the average below zero; the range needs a positive rate
+const MIN_WH_PER_KM = 50;
+
+export const DEFAULT_OUTSIDE_TEMPERATURE = 15;
+export const MIN_OUTSIDE_TEMPERATURE = -20;
+export const MAX_OUTSIDE_TEMPERATURE = 45;
+
+// Generic vehicle classes. batteryKwh is the usable capacity; maxAcKw (onboard
+// charger) and maxDcKw (peak fast charging) are used by services/chargingSimulator.js.
+export const VEHICLE_PRESETS = [
+  { id: 'compact', name: 'Compact hatchback', massKg: 1650, dragCoefficient: 0.29, frontalAreaM2: 2.3, rollingResistance: 0.009, drivetrainEfficiency: 0.88, regenEfficiency: 0.65, maxRegenKw: 60, batteryKwh: 58, maxAcKw: 11, maxDcKw: 100 },
+  { id: 'sedan', name: 'Midsize sedan', massKg: 1900, dragCoefficient: 0.23, frontalAreaM2: 2.22, rollingResistance: 0.008, drivetrainEfficiency: 0.9, regenEfficiency: 0.7, maxRegenKw: 80, batteryKwh: 75, maxAcKw: 11, maxDcKw: 170 },
+  { id: 'suv', name: 'Midsize SUV', massKg: 2300, dragCoefficient: 0.28, frontalAreaM2: 2.6, rollingResistance: 0.0095, drivetrainEfficiency: 0.88, regenEfficiency: 0.65, maxRegenKw: 90, batteryKwh: 80, maxAcKw: 11, maxDcKw: 150 },
+  { id: 'pickup', name: 'Full-size pickup', massKg: 3100, dragCoefficient: 0.44, frontalAreaM2: 3.4, rollingResistance: 0.011, drivetrainEfficiency: 0.86, regenEfficiency: 0.6, maxRegenKw: 120, batteryKwh: 123, maxAcKw: 19.2, maxDcKw: 155 }
+];
+
+export const DEFAULT_VEHICLE_PRESET = 'compact';
+
+export const findPreset = (presetId) =>
+  VEHICLE_PRESETS.find(preset => preset.id === presetId) || VEHICLE_PRESETS.find(preset => preset.id === DEFAULT_VEHICLE_PRESET);
+
+// Battery power for driving from v0 to v1 (m/s) at constant acceleration; negative while regenerating
+export const tractionPowerW = (preset, v0, v1, dtS) => {
+  const v = (v0 + v1) / 2;
+  const acceleration = dtS > 0 ? (v1 - v0) / dtS : 0;
+  const force =
+    preset.massKg * ROTATIONAL_MASS_FACTOR * acceleration +
+    0.5 * AIR_DENSITY * preset.dragCoefficient * preset.frontalAreaM2 * v * v +
+    (v > 0 ? preset.rollingResistance * preset.massKg * GRAVITY : 0);
+  const wheelW = force * v;
+  if (wheelW >= 0) return wheelW / preset.drivetrainEfficiency;
+  if (v * 3.6 < MIN_REGEN_SPEED_KMH) return 0;
+  return Math.max(wheelW * preset.regenEfficiency, -preset.maxRegenKw * 1000);
+};
+
+// Electrical HVAC load. With the fan off the cabin is not conditioned; defrost
+// and seat heating/ventilation run on their own.
+export const hvacPowerW = (climate, outsideTemperature) => {
+  const setpoint = Object.values(climate.zones).reduce((sum, t) => sum + t, 0) / Object.keys(climate.zones).length;
+  let power = 0;
+  if (climate.fanSpeed > 0) {
+    const thermalW = CABIN_LOSS_W_PER_K * (climate.recirculation ? RECIRCULATION_LOSS_FACTOR : 1) * (setpoint - outsideTemperature);
+    if (thermalW > 0) {
+      power += thermalW / HEAT_PUMP_COP + (climate.ac ? AC_DEHUMIDIFY_W : 0);
+    } else if (climate.ac) {
+      power += -thermalW / AC_COP;
+    }
+    power += climate.fanSpeed * FAN_W_PER_STEP;
+  }
+  if (climate.frontDefrost) power += FRONT_DEFROST_W;
+  if (climate.rearDefrost) power += REAR_DEFROST_W;
+  Object.values(climate.seats).forEach(({ heat, vent }) => {
+    power += heat * SEAT_HEAT_W_PER_LEVEL + vent * SEAT_VENT_W_PER_LEVEL;
+  });
+  return Math.min(power, MAX_HVAC_W);
+};
+
+export const auxiliaryPowerW = (status) => {
+  const mediaPlaying = status.mediaType === 'radio' ? status.radioPlaying : status.media.playing;
+  return BASE_AUX_W +
+    (status.lights === 'off' ? 0 : LIGHTS_W) +
+    (mediaPlaying ? MEDIA_BASE_W + status.mediaVolume * MEDIA_W_PER_VOLUME : 0);
+};
+
+const ratedWhPerKm = (preset) => {
+  const v = RATED_SPEED_KMH / 3.6;
+  return (tractionPowerW(preset, v, v, 1) + BASE_AUX_W) / RATED_SPEED_KMH;
+};
+
+export const predictedRangeKm = (energy) => Math.round((energy.remainingKwh * 1000) / energy.whPerKm);
+
+export const createEnergyState = (presetId = DEFAULT_VEHICLE_PRESET, batteryPercent = 80) => {
+  const preset = findPreset(presetId);
+  return {
+    presetId: preset.id,
+    remainingKwh: (preset.batteryKwh * batteryPercent) / 100,
+    // Recent consumption (all loads), used for the predicted range
+    whPerKm: ratedWhPerKm(preset),
+    tripKm: 0,
+    tripKwh: 0,
+    // Latest battery power per load, kW
+    loads: { traction: 0, hvac: 0, auxiliary: 0 }
+  };
+};
+
+// The vehicle status fields that follow from the energy state
+export const batteryFields = (energy) => ({
+  energy,
+  battery: Math.round((energy.remainingKwh / findPreset(energy.presetId).batteryKwh) * 10000) / 100,
+  batteryRange: predictedRangeKm(energy)
+});
+
+// Drains the battery over drive cycle steps ({ fromKmh, toKmh, dtS }).
+// Returns the updated energy, battery (SoC %) and batteryRange fields.
+export const advanceEnergy = (status, steps) => {
+  const { energy } = status;
+  const preset = findPreset(energy.presetId);
+  const hvacW = hvacPowerW(status.climate, status.outsideTemperature);
+  const auxiliaryW = auxiliaryPowerW(status);
+
+  let tractionJ = 0;
+  let seconds = 0;
+  let distanceKm = 0;
+  steps.forEach(({ fromKmh, toKmh, dtS }) => {
+    tractionJ += tractionPowerW(preset, fromKmh / 3.6, toKmh / 3.6, dtS) * dtS;
+    seconds += dtS;
+    distanceKm += (((fromKmh + toKmh) / 2) * dtS) / 3600;
+  });
+  const usedKwh = (tractionJ + (hvacW + auxiliaryW) * seconds) / 3.6e6;
+
+  const remainingKwh = Math.min(preset.batteryKwh, Math.max(0, energy.remainingKwh - usedKwh));
+  const weight = Math.min(1, distanceKm / CONSUMPTION_SMOOTHING_KM);
+  const whPerKm = distanceKm > 0
+    ? energy.whPerKm + ((usedKwh * 1000) / distanceKm - energy.whPerKm) * weight
+    : energy.whPerKm;
+
+  return batteryFields({
+    ...energy,
+    remainingKwh,
+    whPerKm: Math.max(whPerKm, MIN_WH_PER_KM),
+    tripKm: energy.tripKm + distanceKm,
+    tripKwh: energy.tripKwh + usedKwh,
+    loads: {
+      traction: seconds > 0 ? tractionJ / seconds / 1000 : 0,
+      hvac: hvacW / 1000,
+      auxiliary: auxiliaryW / 1000
+    }
+  });
+};
+
+// Switches the vehicle class at the same state of charge
+export const changeVehiclePreset = (status, presetId) => {
+  const next = createEnergyState(presetId, status.battery);
+  return batteryFields({ ...next, tripKm: status.energy.tripKm, tripKwh: status.energy.tripKwh });
+};
+
+export const describeEnergy = (status) => {
+  const { energy } = status;
+  const preset = findPreset(energy.presetId);
+  const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+  return {
+    vehicle: preset.name,
+    batteryCapacityKwh: preset.batteryKwh,
+    remainingKwh: round(energy.remainingKwh),
+    consumptionKwhPer100Km: round(energy.whPerKm / 10),
+    predictedRangeKm: predictedRangeKm(energy),
+    powerKw: round(energy.loads.traction + energy.loads.hvac + energy.loads.auxiliary),
+    loadsKw: {
+      traction: round(energy.loads.traction),
+      hvac: round(energy.loads.hvac, 2),
+      auxiliary: round(energy.loads.auxiliary, 2)
+    },
+    outsideTemperature: status.outsideTemperature,
+    trip: {
+      distanceKm: round(energy.tripKm),
+      energyKwh: round(energy.tripKwh, 2),
+      averageKwhPer100Km: energy.tripKm > 0.1 ? round((energy.tripKwh / energy.tripKm) * 100) : null
+    }
+  };
+};
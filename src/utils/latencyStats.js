@@ -0,0 +1,44 @@
+// Per-turn latency stages, each measured in ms from the end of the user's
+// speech (input_audio_buffer.speech_stopped) to the first matching event
+export const LATENCY_STAGES = [
+  { key: 'committed', label: 'Audio committed', color: 'bg-gray-400' },
+  { key: 'transcribed', label: 'Transcription done', color: 'bg-blue-400' },
+  { key: 'responseCreated', label: 'Response created', color: 'bg-purple-400' },
+  { key: 'firstText', label: 'First text delta', color: 'bg-yellow-400' },
+  { key: 'firstAudio', label: 'First audio delta', color: 'bg-orange-400' },
+  { key: 'firstAudible', label: 'First audible sample', color: 'bg-green-400' }
+];
+
+// Nearest-rank percentile over an ascending array
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(sorted.length * p / 100) - 1));
+  return sorted[index];
+};
+
+export const summarize = (values) => {
+  const valid = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+  if (valid.length === 0) {
+    return { count: 0, min: 0, avg: 0, p50: 0, p90: 0, p99: 0, max: 0 };
+  }
+  const sorted = [...valid].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    avg: Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1]
+  };
+};
+
+// Stats for every stage plus tool execution time across turns
+export const summarizeTurns = (turns) => {
+  const summary = {};
+  LATENCY_STAGES.forEach(stage => {
+    summary[stage.key] = summarize(turns.map(turn => turn.marks[stage.key]));
+  });
+  summary.toolMs = summarize(turns.filter(turn => turn.toolCalls > 0).map(turn => turn.toolMs));
+  return summary;
+};
@@ -0,0 +1,222 @@
+// Session metrics reports (CSV / JSON) and loading them back for comparison.
+//
+// A report has one flat row per user turn: who answered (model, voice,
+// architecture), billable tokens, latency stage marks, tool calls and cost.
+// Benchmark runs also fill in the utterance and whether the expected tool
+// calls were made (toolCorrect is null when there was nothing to check).
+// The summary is always derived from the rows, so a CSV report loaded back
+// summarizes the same way as the JSON one.
+
+import { LATENCY_STAGES, summarize } from './latencyStats';
+import { PRICE_FIELDS, costOf } from './pricing';
+import { downloadFile } from './download';
+
+export const REPORT_VERSION = 1;
+
+const TOKEN_KEYS = PRICE_FIELDS.map(field => field.key);
+const LATENCY_KEYS = LATENCY_STAGES.map(stage => `${stage.key}Ms`);
+
+export const CSV_COLUMNS = [
+  'turn', 'timestamp', 'model', 'voice', 'modelCategory',
+  ...TOKEN_KEYS,
+  ...LATENCY_KEYS,
+  'toolCalls', 'tools', 'toolMs', 'costUsd',
+  'utterance', 'expectedTools', 'toolCorrect'
+];
+
+const NUMERIC_COLUMNS = new Set([...TOKEN_KEYS, ...LATENCY_KEYS, 'turn', 'toolCalls', 'toolMs', 'costUsd']);
+
+// Session voice may be a plain name or an Azure voice object
+export const describeSession = (config) => {
+  const voice = config.sessionConfig?.voice;
+  return {
+    model: config.model,
+    voice: typeof voice === 'object' && voice !== null ? voice.name : voice || '',
+    modelCategory: config.modelCategory
+  };
+};
+
+const emptyRow = (turn, timestamp, session) => ({
+  turn,
+  timestamp: timestamp ? new Date(timestamp).toISOString() : '',
+  model: session.model || '',
+  voice: session.voice || '',
+  modelCategory: session.modelCategory || '',
+  ...Object.fromEntries(TOKEN_KEYS.map(key => [key, 0])),
+  ...Object.fromEntries(LATENCY_KEYS.map(key => [key, null])),
+  toolCalls: 0,
+  tools: [],
+  toolMs: 0,
+  costUsd: 0,
+  utterance: '',
+  expectedTools: [],
+  toolCorrect: null
+});
+
+// Joins latency turns and per-response usage into one row per turn.
+// Responses not tied to a user turn (e.g. after a system message) get their own row.
+export const buildReportRows = (metrics, prices) => {
+  const rows = metrics.turnLatencies.map(turn => {
+    const row = emptyRow(turn.id, turn.speechEndedAt, turn);
+    LATENCY_STAGES.forEach(stage => {
+      row[`${stage.key}Ms`] = turn.marks[stage.key] ?? null;
+    });
+    row.toolCalls = turn.toolCalls;
+    row.tools = (turn.tools || []).map(tool => tool.name);
+    row.toolMs = turn.toolMs;
+    row.utterance = turn.utterance || '';
+    row.expectedTools = (turn.expectedTools || []).map(tool => tool.name);
+    row.toolCorrect = turn.toolCorrect ?? null;
+    return row;
+  });
+
+  const rowsByTurn = new Map(rows.map(row => [row.turn, row]));
+  metrics.usage.forEach(entry => {
+    let row = entry.turnId !== null ? rowsByTurn.get(entry.turnId) : null;
+    if (!row) {
+      row = emptyRow(null, entry.at, entry);
+      rows.push(row);
+    }
+    TOKEN_KEYS.forEach(key => {
+      row[key] += entry.tokens[key] || 0;
+    });
+    const cost = costOf(entry.tokens, entry.model, prices);
+    // An unpriced model makes the whole row's cost unknown
+    row.costUsd = cost === null || row.costUsd === null ? null : row.costUsd + cost;
+  });
+
+  return rows.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+};
+
+export const summarizeReportRows = (rows) => {
+  const tokens = Object.fromEntries(TOKEN_KEYS.map(key => [key, rows.reduce((sum, row) => sum + (row[key] || 0), 0)]));
+  const latency = Object.fromEntries(LATENCY_STAGES.map(stage => [stage.key, summarize(rows.map(row => row[`${stage.key}Ms`]))]));
+  const pricedRows = rows.filter(row => row.costUsd !== null);
+  const costUsd = pricedRows.reduce((sum, row) => sum + row.costUsd, 0);
+  const scoredRows = rows.filter(row => row.toolCorrect === true || row.toolCorrect === false);
+  return {
+    turns: rows.length,
+    models: [...new Set(rows.map(row => row.model).filter(Boolean))],
+    tokens,
+    latency,
+    toolCalls: rows.reduce((sum, row) => sum + (row.toolCalls || 0), 0),
+    toolMs: summarize(rows.filter(row => row.toolCalls > 0).map(row => row.toolMs)),
+    costUsd,
+    costPerTurnUsd: pricedRows.length > 0 ? costUsd / pricedRows.length : 0,
+    unpricedTurns: rows.length - pricedRows.length,
+    toolAccuracy: scoredRows.length > 0 ? scoredRows.filter(row => row.toolCorrect).length / scoredRows.length : null
+  };
+};
+
+export const buildMetricsReport = (metrics, config, prices) => {
+  const turns = buildReportRows(metrics, prices);
+  return {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    session: { ...describeSession(config), apiVersion: config.apiVersion, audioChunkMs: config.audioChunkMs },
+    summary: summarizeReportRows(turns),
+    turns
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const reportToCsv = (report) => [
+  CSV_COLUMNS.join(','),
+  ...report.turns.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+].join('\n');
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(r => r.some(cell => cell !== ''));
+};
+
+const rowsFromCsv = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header || !header.includes('turn') || !header.includes('model')) {
+    throw new Error('Not a metrics report (missing turn/model columns)');
+  }
+  return records.map(record => {
+    const row = {};
+    header.forEach((column, index) => {
+      const cell = record[index] ?? '';
+      if (column === 'tools' || column === 'expectedTools') {
+        row[column] = cell ? cell.split(';') : [];
+      } else if (column === 'toolCorrect') {
+        row.toolCorrect = cell === '' ? null : cell === 'true';
+      } else if (NUMERIC_COLUMNS.has(column)) {
+        row[column] = cell === '' ? null : Number(cell);
+      } else {
+        row[column] = cell;
+      }
+    });
+    return row;
+  });
+};
+
+// Accepts a JSON or CSV report; returns { name, session, summary, turns }
+export const parseMetricsReport = (text, name) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    const report = JSON.parse(trimmed);
+    if (!report || report.version !== REPORT_VERSION || !Array.isArray(report.turns)) {
+      throw new Error('Not a metrics report (unsupported version or missing turns)');
+    }
+    return { name, session: report.session || {}, summary: summarizeReportRows(report.turns), turns: report.turns };
+  }
+  const turns = rowsFromCsv(trimmed);
+  const first = turns[0] || {};
+  return {
+    name,
+    session: { model: first.model, voice: first.voice, modelCategory: first.modelCategory },
+    summary: summarizeReportRows(turns),
+    turns
+  };
+};
+
+export const downloadMetricsReport = (report, format = 'json') => {
+  const stamp = report.generatedAt.replace(/[:.]/g, '-');
+  if (format === 'csv') {
+    downloadFile(reportToCsv(report), 'text/csv', `voice-live-metrics-${stamp}.csv`);
+  } else {
+    downloadFile(JSON.stringify(report, null, 2), 'application/json', `voice-live-metrics-${stamp}.json`);
+  }
+};
@@ -0,0 +1,119 @@
+// Token pricing for cost estimates, in USD per 1M tokens.
+// Defaults follow the Azure Voice Live Pro / Basic / Lite tiers at the time of
+// writing; check the Azure pricing page and import an override when they change.
+
+export const PRICE_FIELDS = [
+  { key: 'textInput', label: 'Text input' },
+  { key: 'textCachedInput', label: 'Cached text input' },
+  { key: 'textOutput', label: 'Text output' },
+  { key: 'audioInput', label: 'Audio input' },
+  { key: 'audioCachedInput', label: 'Cached audio input' },
+  { key: 'audioOutput', label: 'Audio output' }
+];
+
+const PRO = { textInput: 5.5, textCachedInput: 2.75, textOutput: 22, audioInput: 44, audioCachedInput: 2.75, audioOutput: 88 };
+const BASIC = { textInput: 0.66, textCachedInput: 0.33, textOutput: 2.64, audioInput: 15, audioCachedInput: 0.33, audioOutput: 33 };
+const LITE = { textInput: 0.11, textCachedInput: 0.04, textOutput: 0.44, audioInput: 4, audioCachedInput: 0.04, audioOutput: 22 };
+
+export const DEFAULT_PRICES = {
+  'gpt-realtime': PRO,
+  'gpt-realtime-mini': BASIC,
+  'gpt-4o': PRO,
+  'gpt-4o-mini': BASIC,
+  'gpt-4.1': PRO,
+  'gpt-4.1-mini': BASIC,
+  'gpt-5': PRO,
+  'gpt-5-chat': PRO,
+  'gpt-5-mini': BASIC,
+  'gpt-5-nano': LITE,
+  'phi4-mm-realtime': LITE,
+  'phi4-mini': LITE
+};
+
+const STORAGE_KEY = 'voice_live_price_overrides';
+
+// Checks an override table: { [model]: { [field]: number >= 0 } }, fields may be partial
+export const parsePriceTable = (text) => {
+  let table;
+  try {
+    table = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Price table is not valid JSON: ${error.message}`);
+  }
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error('Price table must be an object keyed by model name');
+  }
+  const knownFields = PRICE_FIELDS.map(field => field.key);
+  Object.entries(table).forEach(([model, rates]) => {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+      throw new Error(`Prices for ${model} must be an object`);
+    }
+    Object.entries(rates).forEach(([field, value]) => {
+      if (!knownFields.includes(field)) {
+        throw new Error(`Unknown price field ${model}.${field} (expected one of ${knownFields.join(', ')})`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`${model}.${field} must be a non-negative number`);
+      }
+    });
+  });
+  return table;
+};
+
+// Defaults with overrides merged per model; fields missing for a new model are priced at 0
+export const mergePrices = (overrides = {}) => {
+  const prices = { ...DEFAULT_PRICES };
+  Object.entries(overrides).forEach(([model, rates]) => {
+    prices[model] = { ...(DEFAULT_PRICES[model] || {}), ...rates };
+  });
+  return prices;
+};
+
+export const loadPriceOverrides = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? parsePriceTable(saved) : {};
+  } catch (error) {
+    console.warn('Ignoring saved price overrides:', error.message);
+    return {};
+  }
+};
+
+export const savePriceOverrides = (overrides) => {
+  if (Object.keys(overrides).length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  }
+};
+
+// Splits a response.done usage object into billable token buckets.
+// Handles both the nested cached_tokens_details shape and the flat cached_audio_tokens one.
+export const usageToTokens = (usage = {}) => {
+  const inputDetails = usage.input_token_details || {};
+  const outputDetails = usage.output_token_details || {};
+  const audioIn = inputDetails.audio_tokens || 0;
+  const textIn = inputDetails.text_tokens ?? Math.max(0, (usage.input_tokens || 0) - audioIn);
+  const cachedAudio = inputDetails.cached_tokens_details?.audio_tokens ?? inputDetails.cached_audio_tokens ?? 0;
+  const cachedText = inputDetails.cached_tokens_details?.text_tokens ?? Math.max(0, (inputDetails.cached_tokens || 0) - cachedAudio);
+  return {
+    textInput: Math.max(0, textIn - cachedText),
+    textCachedInput: cachedText,
+    textOutput: outputDetails.text_tokens || 0,
+    audioInput: Math.max(0, audioIn - cachedAudio),
+    audioCachedInput: cachedAudio,
+    audioOutput: outputDetails.audio_tokens || 0
+  };
+};
+
+// Cost in USD of one token breakdown; null if the model has no price table
+export const costOf = (tokens, model, prices) => {
+  const rates = prices[model];
+  if (!rates) return null;
+  return PRICE_FIELDS.reduce((sum, { key }) => sum + ((tokens[key] || 0) * (rates[key] || 0)) / 1e6, 0);
+};
+
+export const formatCost = (usd) => {
+  if (usd === null || usd === undefined) return 'n/a';
+  return usd < 0.01 ? `$${usd.toFixed(5)}` : `$${usd.toFixed(4)}`;
+};
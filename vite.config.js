@@ -5,4 +5,8 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/azure-voice-live-for-car/',
+  build: {
+    // AudioWorklet modules are loaded with addModule(), keep them as real files instead of data: URLs
+    assetsInlineLimit: (filePath) => (filePath.includes('/src/audio/') && filePath.endsWith('Processor.js') ? false : undefined),
+  },
 })